@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Workout = require('../models/Workout');
+const Nutrition = require('../models/Nutrition');
+const Progress = require('../models/Progress');
+const { generateImpersonationToken } = require('../utils/authTokens');
+
+const ROLES = ['user', 'coach', 'admin'];
+const USER_LIST_FIELDS = 'name email role emailVerified disabledAt disabledReason deletionScheduledFor createdAt';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getPaging = (query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Load the target user for /users/:id routes, or send 404
+const findTargetUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  const user = await User.findById(req.params.id).select(USER_LIST_FIELDS);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// @desc    List and search users
+// @route   GET /api/admin/users?q=&role=&status=active|disabled&page=&limit=
+// @access  Private (admin)
+const listUsers = async (req, res) => {
+  try {
+    const { q, role, status } = req.query;
+    const { page, limit, skip } = getPaging(req.query);
+
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({ message: 'Search must be a single value' });
+    }
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) {
+      filter.role = role;
+    }
+    if (status === 'disabled') {
+      filter.disabledAt = { $exists: true };
+    } else if (status === 'active') {
+      filter.disabledAt = { $exists: false };
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(USER_LIST_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    await AuditLog.record(req, 'list_users', { details: { q, role, status, page } });
+
+    res.status(200).json({ users, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get one user with data counts
+// @route   GET /api/admin/users/:id
+// @access  Private (admin)
+const getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [workouts, nutrition, progress, activeSessions] = await Promise.all([
+      Workout.countDocuments({ userId: user._id }),
+      Nutrition.countDocuments({ userId: user._id }),
+      Progress.countDocuments({ userId: user._id }),
+      Session.countDocuments({ userId: user._id, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } }),
+    ]);
+
+    await AuditLog.record(req, 'view_user', { targetUserId: user._id });
+
+    res.status(200).json({
+      ...user.toObject(),
+      counts: { workouts, nutrition, progress, activeSessions },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/admin/users/:id/role
+// @access  Private (admin)
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await AuditLog.record(req, 'update_role', {
+      targetUserId: user._id,
+      details: { from: previousRole, to: role },
+    });
+
+    res.status(200).json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Disable a user and end all their sessions
+// @route   POST /api/admin/users/:id/disable
+// @access  Private (admin)
+const disableUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot disable your own account' });
+    }
+
+    user.disabledAt = new Date();
+    user.disabledReason = req.body.reason;
+    await user.save();
+
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'account_disabled');
+
+    await AuditLog.record(req, 'disable_user', {
+      targetUserId: user._id,
+      details: { reason: req.body.reason, revokedSessions },
+    });
+
+    res.status(200).json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Re-enable a disabled user
+// @route   POST /api/admin/users/:id/enable
+// @access  Private (admin)
+const enableUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.disabledAt = undefined;
+    user.disabledReason = undefined;
+    await user.save();
+
+    await AuditLog.record(req, 'enable_user', { targetUserId: user._id });
+
+    res.status(200).json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get a short-lived access token acting as another user
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (admin)
+const impersonateUser = async (req, res) => {
+  try {
+    if (req.impersonator) {
+      return res.status(400).json({ message: 'Stop impersonating before starting another session' });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role === 'admin') {
+      return res.status(403).json({ message: 'Admins cannot be impersonated' });
+    }
+
+    if (user.disabledAt) {
+      return res.status(400).json({ message: 'Cannot impersonate a disabled account' });
+    }
+
+    await AuditLog.record(req, 'impersonate_user', {
+      targetUserId: user._id,
+      details: { reason: req.body.reason },
+    });
+
+    res.status(200).json({
+      token: generateImpersonationToken(user._id, req.user._id),
+      user: { _id: user.id, name: user.name, email: user.email },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Read the admin audit log
+// @route   GET /api/admin/audit-log?actorId=&targetUserId=&action=&page=&limit=
+// @access  Private (admin)
+const getAuditLog = async (req, res) => {
+  try {
+    const { actorId, targetUserId, action } = req.query;
+    const { page, limit, skip } = getPaging(req.query);
+
+    const filter = {};
+    if (actorId && mongoose.Types.ObjectId.isValid(actorId)) filter.actorId = actorId;
+    if (targetUserId && mongoose.Types.ObjectId.isValid(targetUserId)) filter.targetUserId = targetUserId;
+    if (action) filter.action = action;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actorId', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    await AuditLog.record(req, 'view_audit_log', { details: { actorId, targetUserId, action, page } });
+
+    res.status(200).json({ entries, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  updateUserRole,
+  disableUser,
+  enableUser,
+  impersonateUser,
+  getAuditLog,
+};
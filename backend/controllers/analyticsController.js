@@ -2,6 +2,10 @@ const mongoose = require('mongoose');
 const Workout = require('../models/Workout');
 const Nutrition = require('../models/Nutrition');
 const Progress = require('../models/Progress');
+const Exercise = require('../models/Exercise');
+const { trainingLoad, CHRONIC_DAYS } = require('../utils/trainingLoad');
+const { muscleVolume, bundledMuscles, resolveTargets } = require('../utils/muscleVolume');
+const { dayNumber, dayStart } = require('../utils/dates');
 
 // Helper function to calculate current streak
 const currentStreak = (docs) => {
@@ -96,6 +100,13 @@ const getOverview = async (req, res) => {
     const currentWeight = latestProgress ? latestProgress.weight : null;
     const calorieBalanceToday = todayCaloriesIn - todayWorkoutCalories;
 
+    // Profile-based energy estimates (null until height, birth date and sex are set)
+    const bmr = req.user.getBmr(currentWeight);
+    const dailyEnergyExpenditure = req.user.getTdee(currentWeight);
+    const bmi = latestProgress
+      ? Progress.withHeight(latestProgress, req.user.height).bmi
+      : null;
+
     // Calculate streaks
     const workoutStreak = currentStreak(allWorkouts);
     const nutritionStreak = currentStreak(allNutrition);
@@ -138,6 +149,9 @@ const getOverview = async (req, res) => {
       todayCaloriesIn,
       currentWeight,
       calorieBalanceToday,
+      bmr,
+      dailyEnergyExpenditure,
+      bmi,
       streaks: {
         workout: workoutStreak,
         nutrition: nutritionStreak
@@ -401,10 +415,167 @@ const getForecast = async (req, res) => {
   }
 };
 
+// Get pace and speed over time for one workout type (e.g. ?type=running&days=90)
+const getPaceTrend = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365);
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const match = {
+      userId: new mongoose.Types.ObjectId(userId),
+      distance: { $gt: 0 }
+    };
+
+    // Workout types that have a distance, most logged first
+    const typeCounts = await Workout.aggregate([
+      { $match: match },
+      { $group: { _id: "$type", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+    const types = typeCounts.map(entry => entry._id);
+    const type = req.query.type || types[0];
+
+    if (req.query.type && (typeof req.query.type !== 'string' || !types.includes(req.query.type))) {
+      return res.status(400).json({ message: `Type must be one of: ${types.join(', ') || 'none logged with a distance'}` });
+    }
+
+    if (!type) {
+      return res.json({ type: null, types, days, points: [], summary: null });
+    }
+
+    const workouts = await Workout.find({ ...match, type, date: { $gte: since } })
+      .select('date distance duration movingTime avgSpeed')
+      .sort({ date: 1 });
+
+    const points = workouts
+      .filter(workout => workout.speed > 0)
+      .map(workout => ({
+        workout: workout._id,
+        date: workout.date,
+        distance: workout.distance,
+        speed: workout.speed,
+        pace: workout.pace
+      }));
+
+    let summary = null;
+    if (points.length) {
+      const totalDistance = points.reduce((sum, point) => sum + point.distance, 0);
+      const totalHours = points.reduce((sum, point) => sum + point.distance / point.speed, 0);
+      const avgSpeed = totalDistance / totalHours;
+      summary = {
+        workouts: points.length,
+        distance: Math.round(totalDistance * 100) / 100,
+        avgSpeed: Math.round(avgSpeed * 100) / 100,
+        avgPace: Math.round(3600 / avgSpeed),
+        bestPace: Math.min(...points.map(point => point.pace))
+      };
+    }
+
+    res.json({ type, types, days, points, summary });
+
+  } catch (error) {
+    console.error('Pace trend error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch pace data',
+      error: error.message
+    });
+  }
+};
+
+// Get session-RPE training load, monotony, strain and the acute:chronic ratio (?weeks=8)
+const getTrainingLoad = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks, 10) || 8, 1), 26);
+    const { timezone } = req.user;
+    const since = dayStart(dayNumber(new Date(), timezone) - (weeks * 7 + CHRONIC_DAYS), timezone);
+
+    const rated = { userId, rpe: { $ne: null } };
+    const [workouts, firstRated, unrated] = await Promise.all([
+      Workout.find({ ...rated, date: { $gte: since } }).select('date duration rpe'),
+      // The ratio needs to know how far back rated history goes
+      Workout.findOne(rated).select('date').sort({ date: 1 }),
+      Workout.countDocuments({
+        userId,
+        rpe: null,
+        date: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
+      })
+    ]);
+
+    const result = trainingLoad(workouts, { weeks, historyStart: firstRated && firstRated.date, timeZone: timezone });
+
+    // Sessions this week with no RPE aren't counted, which understates the load
+    res.json({ ...result, unratedThisWeek: unrated });
+
+  } catch (error) {
+    console.error('Training load error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch training load',
+      error: error.message
+    });
+  }
+};
+
+// Get weekly hard sets and tonnage per muscle group against the user's targets (?weeks=4)
+const getMuscleVolume = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks, 10) || 4, 1), 12);
+    const { timezone } = req.user;
+    const since = dayStart(dayNumber(new Date(), timezone) - (weeks * 7 - 1), timezone);
+
+    const workouts = await Workout.find({
+      userId,
+      date: { $gte: since },
+      'exercises.0': { $exists: true }
+    }).select('date exercises');
+
+    // Muscles come from the linked exercise where there is one (so custom exercises
+    // count), then a library or custom exercise of the same name, then the bundled mapping
+    const logged = workouts.flatMap(workout => workout.exercises);
+    const ids = [...new Set(logged.filter(exercise => exercise.exercise).map(exercise => String(exercise.exercise)))];
+    const slugs = [...new Set(logged.map(exercise => Exercise.slugify(exercise.name)))];
+    const exercises = await Exercise.find({
+      userId: { $in: [null, userId] },
+      $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }]
+    }).select('userId slug primaryMuscles secondaryMuscles');
+
+    const byId = new Map(exercises.map(exercise => [String(exercise._id), exercise]));
+    const bySlug = new Map();
+    exercises.forEach(exercise => {
+      if (!bySlug.has(exercise.slug) || exercise.isCustom) bySlug.set(exercise.slug, exercise);
+    });
+
+    const musclesFor = (exercise) => {
+      const match = (exercise.exercise && byId.get(String(exercise.exercise)))
+        || bySlug.get(Exercise.slugify(exercise.name));
+      if (match && (match.primaryMuscles.length || match.secondaryMuscles.length)) {
+        return { primary: match.primaryMuscles, secondary: match.secondaryMuscles };
+      }
+      return bundledMuscles(exercise.name);
+    };
+
+    const targets = resolveTargets(req.user.toObject().volumeTargets);
+    res.json(muscleVolume(workouts, { musclesFor, weeks, targets, timeZone: timezone }));
+
+  } catch (error) {
+    console.error('Muscle volume error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch muscle volume',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getOverview,
   getCaloriesData,
   getMacrosData,
   getWeightTrend,
-  getForecast
+  getForecast,
+  getPaceTrend,
+  getTrainingLoad,
+  getMuscleVolume
 };
\ No newline at end of file
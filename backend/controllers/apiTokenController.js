@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+
+const MAX_TOKENS_PER_USER = 25;
+
+// @desc    List the current user's API tokens
+// @route   GET /api/tokens
+// @access  Private (session only)
+const getApiTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    res.status(200).json({ tokens, availableScopes: ApiToken.SCOPES });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Create an API token; the token value is only returned once
+// @route   POST /api/tokens
+// @access  Private (session only)
+const createApiToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Please add a token name' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: 'Please choose at least one scope' });
+    }
+
+    const unknownScopes = scopes.filter(scope => !ApiToken.SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({ message: `Unknown scopes: ${unknownScopes.join(', ')}` });
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return res.status(400).json({ message: 'Expiry must be between 1 and 365 days' });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await ApiToken.countDocuments({ userId: req.user.id, revokedAt: { $exists: false } });
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_TOKENS_PER_USER} active tokens` });
+    }
+
+    const { apiToken, token } = await ApiToken.createForUser(req.user._id, {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    res.status(201).json({ ...apiToken.toObject(), token });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Revoke an API token
+// @route   DELETE /api/tokens/:id
+// @access  Private (session only)
+const revokeApiToken = async (req, res) => {
+  try {
+    const apiToken = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ApiToken.findOne({ _id: req.params.id, userId: req.user.id })
+      : null;
+
+    if (!apiToken) {
+      return res.status(404).json({ message: 'API token not found' });
+    }
+
+    if (!apiToken.revokedAt) {
+      apiToken.revokedAt = new Date();
+      await apiToken.save();
+    }
+
+    res.status(200).json({ id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+};
@@ -1,13 +1,35 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { sendMail, clientUrl } = require('../utils/mailer');
+const { getGraceDays, purgeUser } = require('../utils/accountPurge');
+const { generateToken, buildAuthResponse, generatePurposeToken } = require('../utils/authTokens');
+const { sendTooManyRequests } = require('../middleware/rateLimitMiddleware');
+const { validationMessage } = require('../utils/validationMessage');
 
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Send the email verification link for a user (saves the new token).
+// A pending email change is confirmed through the same link, sent to the new address.
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendMail({
+    to: user.pendingEmail || user.email,
+    subject: 'Verify your FitBodyTrack email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below.\n\n` +
+      `${clientUrl('/verify-email', { token: verificationToken })}\n\n` +
+      `If you didn't create a FitBodyTrack account, you can ignore this email.`,
   });
 };
 
+// Sign out every session and revoke every API token, e.g. after a password change
+const revokeCredentials = async (userId, reason) => {
+  await Session.revokeAllForUser(userId, reason);
+  await ApiToken.revokeAllForUser(userId);
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -31,15 +53,18 @@ const registerUser = async (req, res) => {
       name,
       email,
       password,
+      emailVerified: false,
     });
 
     if (user) {
-      res.status(201).json({
-        _id: user.id,
-        name: user.name,
-        email: user.email,
-        token: generateToken(user._id),
-      });
+      // A mail failure shouldn't lose the account; the user can ask for a new link
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+
+      res.status(201).json(await buildAuthResponse(user, req));
     } else {
       res.status(400).json({ message: 'Invalid user data' });
     }
@@ -56,16 +81,37 @@ const loginUser = async (req, res) => {
     const { email, password } = req.body;
 
     // Check for user email
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select('+failedLoginAttempts +lockUntil');
+
+    const lockSeconds = user ? user.getLockRemainingSeconds() : 0;
+    if (lockSeconds > 0) {
+      return sendTooManyRequests(
+        res,
+        lockSeconds,
+        `Too many failed sign-in attempts. Try again in ${Math.ceil(lockSeconds / 60)} minutes`
+      );
+    }
 
     if (user && (await user.matchPassword(password))) {
-      res.json({
-        _id: user.id,
-        name: user.name,
-        email: user.email,
-        token: generateToken(user._id),
-      });
+      if (user.disabledAt) {
+        return res.status(403).json({ message: 'This account has been disabled', type: 'ACCOUNT_DISABLED' });
+      }
+
+      await user.resetFailedLogins();
+
+      // With 2FA on, the password only earns a short-lived challenge for the second step
+      if (user.twoFactor && user.twoFactor.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: generatePurposeToken(user._id, '2fa-login', '5m'),
+        });
+      }
+
+      res.json(await buildAuthResponse(user, req));
     } else {
+      if (user) {
+        await user.registerFailedLogin();
+      }
       res.status(400).json({ message: 'Invalid credentials' });
     }
   } catch (error) {
@@ -77,11 +123,465 @@ const loginUser = async (req, res) => {
 // @route   GET /api/auth/me
 // @access  Private
 const getMe = async (req, res) => {
-  res.status(200).json(req.user);
+  res.status(200).json({ ...req.user.toJSON(), heartRateZones: req.user.getHeartRateZones() });
+};
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presentedToken } = req.body;
+
+    if (!presentedToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const rotated = await Session.rotate(presentedToken);
+
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: generateToken(rotated.session.userId, rotated.session._id),
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Revoke the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await Session.findByIdAndUpdate(req.sessionId, {
+        revokedAt: new Date(),
+        revokedReason: 'logout',
+      });
+    }
+
+    res.status(200).json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Revoke every session of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllDevices = async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id);
+    res.status(200).json({ message: 'Logged out of all devices', revoked });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Please add an email' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    // Same answer whether or not the account exists, so emails can't be enumerated
+    const response = { message: 'If an account exists for that email, a reset link has been sent' };
+
+    if (!user) {
+      return res.status(200).json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = clientUrl('/reset-password', { token: resetToken });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your FitBodyTrack password',
+        text: `Hi ${user.name},\n\nUse the link below to choose a new password. ` +
+          `It can be used once and expires soon.\n\n${resetUrl}\n\n` +
+          `If you didn't ask for this, you can ignore this email.`,
+      });
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+      return res.status(500).json({ message: 'Could not send reset email, please try again later' });
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Please add the reset token and a new password' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findByPasswordResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Anyone holding the old password may have active sessions or API tokens
+    await revokeCredentials(user._id, 'password_reset');
+
+    res.status(200).json({ message: 'Password has been reset, please sign in' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Confirm an email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const user = await User.findByEmailVerificationToken(token);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (user.pendingEmail) {
+      // The address may have been registered by someone else since the change was requested
+      const taken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+      if (taken) {
+        return res.status(400).json({ message: 'That email address is already in use' });
+      }
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.status(200).json({ message: 'Email verified', emailVerified: true, email: user.email });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified && !user.pendingEmail) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Profile fields a user may edit through PUT /api/auth/me
+const PROFILE_FIELDS = [
+  'name', 'height', 'birthDate', 'sex', 'activityLevel', 'correctedMet', 'units', 'timezone',
+  'maxHeartRate', 'restingHeartRate', 'thresholdHeartRate', 'hrZoneMethod', 'progression',
+  'volumeTargets',
+];
+
+// @desc    Update profile of the current user
+// @route   PUT /api/auth/me
+// @access  Private
+const updateMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const unknownFields = Object.keys(req.body).filter((field) => !PROFILE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ message: `Cannot update: ${unknownFields.join(', ')}` });
+    }
+
+    if (req.body.name !== undefined && !String(req.body.name).trim()) {
+      return res.status(400).json({ message: 'Name cannot be empty' });
+    }
+
+    // Progression settings can be changed one at a time
+    if (req.body.progression && typeof req.body.progression === 'object') {
+      req.body.progression = { ...user.toObject().progression, ...req.body.progression };
+    }
+
+    // Likewise set targets, muscle by muscle
+    if (req.body.volumeTargets && typeof req.body.volumeTargets === 'object') {
+      const current = user.toObject().volumeTargets || {};
+      req.body.volumeTargets = Object.fromEntries(
+        Object.entries({ ...current, ...req.body.volumeTargets }).map(([muscle, target]) => (
+          [muscle, { ...current[muscle], ...target }]
+        ))
+      );
+    }
+
+    PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] === undefined) return;
+      // null or an empty string clears an optional field
+      user[field] = req.body[field] === null || req.body[field] === '' ? undefined : req.body[field];
+    });
+
+    await user.save();
+
+    const { password, ...profile } = user.toObject();
+    res.status(200).json({ ...profile, heartRateZones: user.getHeartRateZones() });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Schedule deletion of the current account and all its data
+// @route   DELETE /api/auth/me
+// @access  Private
+const deleteMe = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: 'Please confirm your password' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!(await user.matchPassword(password))) {
+      return res.status(403).json({ message: 'Incorrect password' });
+    }
+
+    const graceDays = getGraceDays();
+    user.deletionRequestedAt = new Date();
+
+    if (graceDays <= 0) {
+      await purgeUser(user);
+      return res.status(200).json({ message: 'Account deleted', deleted: true });
+    }
+
+    user.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    res.status(202).json({
+      message: `Account scheduled for deletion. You can cancel within ${graceDays} days`,
+      deletionScheduledFor: user.deletionScheduledFor,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Change password of the current user
+// @route   PUT /api/auth/password
+// @access  Private
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Please add your current and new password' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!(await user.matchPassword(currentPassword))) {
+      return res.status(403).json({ message: 'Current password is incorrect' });
+    }
+
+    if (await user.matchPassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current one' });
+    }
+
+    user.password = newPassword;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out everywhere, then sign this device back in with a fresh session
+    await revokeCredentials(user._id, 'password_change');
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your FitBodyTrack password was changed',
+        text: `Hi ${user.name},\n\nYour password was just changed and all other devices and API tokens were signed out.\n\n` +
+          `If this wasn't you, reset your password straight away:\n${clientUrl('/forgot-password')}`,
+      });
+    } catch (mailError) {
+      console.error('Password change email error:', mailError);
+    }
+
+    res.status(200).json({
+      message: 'Password changed. Other devices and API tokens have been signed out',
+      ...(await buildAuthResponse(user, req)),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Start changing the email of the current user
+// @route   PUT /api/auth/email
+// @access  Private
+const changeEmail = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+
+    if (!password || !email) {
+      return res.status(400).json({ message: 'Please add your password and the new email' });
+    }
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ message: 'Please add a valid email' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!(await user.matchPassword(password))) {
+      return res.status(403).json({ message: 'Incorrect password' });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({ message: 'That is already your email address' });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'That email address is already in use' });
+    }
+
+    const previousEmail = user.email;
+    user.pendingEmail = email;
+    await sendVerificationEmail(user);
+
+    // Let the current address know, in case someone else is trying to take over the account
+    try {
+      await sendMail({
+        to: previousEmail,
+        subject: 'Your FitBodyTrack email is being changed',
+        text: `Hi ${user.name},\n\nA request was made to change your account email to ${email}. ` +
+          `It will only change once the new address is confirmed.\n\n` +
+          `If this wasn't you, change your password straight away.`,
+      });
+    } catch (mailError) {
+      console.error('Email change notice error:', mailError);
+    }
+
+    res.status(202).json({
+      message: `We sent a confirmation link to ${email}. Your email will change once it is opened`,
+      pendingEmail: email,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Cancel a pending email change
+// @route   DELETE /api/auth/email
+// @access  Private
+const cancelEmailChange = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.pendingEmail) {
+      return res.status(400).json({ message: 'No email change is pending' });
+    }
+
+    user.pendingEmail = undefined;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.status(200).json({ message: 'Email change cancelled', pendingEmail: null });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/me/cancel-deletion
+// @access  Private
+const cancelDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({ message: 'No deletion is scheduled for this account' });
+    }
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
+
+    res.status(200).json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
 };
 
 module.exports = {
   registerUser,
   loginUser,
   getMe,
+  updateMe,
+  deleteMe,
+  cancelDeletion,
+  refreshToken,
+  logoutUser,
+  logoutAllDevices,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  changeEmail,
+  cancelEmailChange,
 };
\ No newline at end of file
@@ -0,0 +1,146 @@
+const Exercise = require('../models/Exercise');
+const { validationMessage } = require('../utils/validationMessage');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Fields a user may set on a custom exercise
+const EXERCISE_FIELDS = ['name', 'category', 'met', 'primaryMuscles', 'secondaryMuscles', 'equipment'];
+
+const pickExerciseFields = (body) => EXERCISE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// @desc    Search the exercise library and the user's custom exercises
+// @route   GET /api/exercises
+// @access  Private
+const getExercises = async (req, res) => {
+  try {
+    const { category, muscle } = req.query;
+
+    if (category && !Exercise.CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `Unknown category "${category}"` });
+    }
+    if (muscle && !Exercise.MUSCLE_GROUPS.includes(muscle)) {
+      return res.status(400).json({ message: `Unknown muscle group "${muscle}"` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const filter = Exercise.buildSearchFilter(req.user._id, req.query);
+
+    const exercises = await Exercise.find(filter)
+      .sort({ category: 1, name: 1 })
+      .limit(limit);
+
+    res.status(200).json(exercises);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Values available for filtering the exercise list
+// @route   GET /api/exercises/filters
+// @access  Private
+const getExerciseFilters = async (req, res) => {
+  try {
+    const equipment = await Exercise.distinct('equipment', { userId: { $in: [null, req.user._id] } });
+
+    res.status(200).json({
+      categories: Exercise.CATEGORIES,
+      muscleGroups: Exercise.MUSCLE_GROUPS,
+      equipment: equipment.sort(),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Add a custom exercise
+// @route   POST /api/exercises
+// @access  Private
+const createExercise = async (req, res) => {
+  try {
+    const fields = pickExerciseFields(req.body);
+
+    if (!fields.name || !fields.category || !fields.met) {
+      return res.status(400).json({ message: 'Please add name, category and MET value' });
+    }
+
+    const slug = Exercise.slugify(fields.name);
+    if (!slug) {
+      return res.status(400).json({ message: 'Exercise name must contain letters or numbers' });
+    }
+
+    if (await Exercise.exists({ userId: req.user._id, slug })) {
+      return res.status(400).json({ message: 'You already have an exercise with that name' });
+    }
+
+    const exercise = await Exercise.create({
+      ...fields,
+      slug,
+      userId: req.user._id,
+    });
+
+    res.status(201).json(exercise);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Update a custom exercise
+// @route   PUT /api/exercises/:id
+// @access  Private (owner)
+const updateExercise = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the ownedResource middleware
+    const exercise = req.resource;
+    const fields = pickExerciseFields(req.body);
+
+    if (fields.name !== undefined) {
+      const slug = Exercise.slugify(String(fields.name));
+      if (!slug) {
+        return res.status(400).json({ message: 'Exercise name must contain letters or numbers' });
+      }
+      if (slug !== exercise.slug && await Exercise.exists({ userId: req.user._id, slug })) {
+        return res.status(400).json({ message: 'You already have an exercise with that name' });
+      }
+      // Keep the slug so workouts already logged against it still resolve
+    }
+
+    exercise.set(fields);
+    await exercise.save();
+
+    res.status(200).json(exercise);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Delete a custom exercise
+// @route   DELETE /api/exercises/:id
+// @access  Private (owner)
+const deleteExercise = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the ownedResource middleware
+    await req.resource.deleteOne();
+
+    res.status(200).json({ id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getExercises,
+  getExerciseFilters,
+  createExercise,
+  updateExercise,
+  deleteExercise,
+};
@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const LiveWorkout = require('../models/LiveWorkout');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+// Finishing a session saves it exactly like a workout logged through the API
+const { createWorkout } = require('./workoutController');
+const { validationMessage } = require('../utils/validationMessage');
+
+// Map submitted exercises onto the session. Sets come back with the time they were
+// ticked off, or just `completed: true`: then a set already ticked at the same position
+// keeps its time and a newly ticked one gets the current time.
+// Returns { exercises } or { error }.
+const mergeExercises = (submitted, current = [], now = new Date()) => {
+  if (!Array.isArray(submitted)) {
+    return { error: 'Exercises must be a list' };
+  }
+
+  const exercises = [];
+  for (const [index, exercise] of submitted.entries()) {
+    if (!exercise || typeof exercise.name !== 'string' || !exercise.name.trim()) {
+      return { error: `Exercise ${index + 1}: please add a name` };
+    }
+    if (exercise.sets !== undefined && !Array.isArray(exercise.sets)) {
+      return { error: `Exercise ${index + 1}: sets must be a list` };
+    }
+
+    const previous = current[index] && current[index].name === exercise.name.trim() ? current[index] : null;
+    exercises.push({
+      name: exercise.name.trim(),
+      exercise: mongoose.Types.ObjectId.isValid(exercise.exercise) ? exercise.exercise : undefined,
+      sets: (exercise.sets || []).map((set, setIndex) => {
+        const before = previous && previous.sets[setIndex];
+        const stamped = set.completedAt ? new Date(set.completedAt) : null;
+        let completedAt;
+        if (stamped && !Number.isNaN(stamped.getTime())) {
+          completedAt = stamped;
+        } else if (set.completed) {
+          completedAt = (before && before.completedAt) || now;
+        }
+        return {
+          reps: set.reps === '' || set.reps === null ? undefined : set.reps,
+          load: set.load === '' || set.load === null ? 0 : set.load,
+          setType: set.setType,
+          completedAt,
+        };
+      }),
+    });
+  }
+
+  return { exercises };
+};
+
+// Put back a session claimed for finishing that couldn't be saved. If another one
+// has been started in the meantime, that one wins and this is dropped.
+const restoreLiveWorkout = async (live) => {
+  try {
+    await LiveWorkout.create(live.toObject());
+  } catch (error) {
+    console.error('Live workout restore error:', error);
+  }
+};
+
+// Session with its clock worked out on the server, so every device shows the same time
+const withClock = (live) => ({ ...live.toJSON(), elapsedSeconds: live.elapsedSeconds(), serverTime: new Date() });
+
+// @desc    Get the workout in progress
+// @route   GET /api/live-workout
+// @access  Private
+const getLiveWorkout = async (req, res) => {
+  try {
+    const live = await LiveWorkout.findOne({ userId: req.user._id });
+    if (!live) {
+      return res.status(404).json({ message: 'No workout in progress' });
+    }
+    res.status(200).json(withClock(live));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Start a workout, empty or from a draft (e.g. a started template or plan session)
+// @route   POST /api/live-workout
+// @access  Private
+const startLiveWorkout = async (req, res) => {
+  try {
+    const { type, template, plannedSession, exercises = [], restSeconds } = req.body;
+
+    if (await LiveWorkout.exists({ userId: req.user._id })) {
+      return res.status(409).json({
+        message: 'You already have a workout in progress. Finish or discard it first.',
+        type: 'LIVE_WORKOUT_EXISTS'
+      });
+    }
+    if (!type) {
+      return res.status(400).json({ message: 'Please add a workout type' });
+    }
+
+    const result = mergeExercises(exercises);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    // Only keep a template link that points at one of the user's own templates
+    let templateId;
+    if (mongoose.Types.ObjectId.isValid(template)
+      && await WorkoutTemplate.exists({ _id: template, userId: req.user._id })) {
+      templateId = template;
+    }
+
+    // Draft sets are targets, not yet done
+    result.exercises.forEach(exercise => exercise.sets.forEach(set => { set.completedAt = undefined; }));
+
+    const live = await LiveWorkout.create({
+      userId: req.user._id,
+      type,
+      template: templateId,
+      plannedSession: plannedSession && plannedSession.plan ? plannedSession : undefined,
+      restSeconds,
+      exercises: result.exercises,
+    });
+
+    res.status(201).json(withClock(live));
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    // Two devices starting at once: the unique index lets only one through
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You already have a workout in progress', type: 'LIVE_WORKOUT_EXISTS' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Update the workout in progress: exercises and sets, notes, type,
+//          pausing the clock and starting or stopping the rest timer
+// @route   PUT /api/live-workout
+// @access  Private
+const updateLiveWorkout = async (req, res) => {
+  try {
+    const live = await LiveWorkout.findOne({ userId: req.user._id });
+    if (!live) {
+      return res.status(404).json({ message: 'No workout in progress' });
+    }
+
+    const { type, notes, exercises, restSeconds, paused, rest } = req.body;
+    const now = new Date();
+
+    if (type !== undefined) live.type = type;
+    if (notes !== undefined) live.notes = notes;
+    if (restSeconds !== undefined) live.restSeconds = restSeconds;
+
+    if (exercises !== undefined) {
+      const result = mergeExercises(exercises, live.exercises, now);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      live.exercises = result.exercises;
+    }
+
+    if (paused === true && !live.pausedAt) {
+      live.pausedAt = now;
+    } else if (paused === false && live.pausedAt) {
+      live.pausedSeconds += (now - live.pausedAt) / 1000;
+      live.pausedAt = undefined;
+    }
+
+    // { seconds } starts a rest timer (the session default when omitted); null stops it
+    if (rest === null) {
+      live.rest = undefined;
+    } else if (rest !== undefined) {
+      const seconds = rest.seconds !== undefined ? Number(rest.seconds) : live.restSeconds;
+      if (!Number.isFinite(seconds) || seconds <= 0 || seconds > 1800) {
+        return res.status(400).json({ message: 'Rest must be between 1 second and 30 minutes' });
+      }
+      live.rest = { startedAt: now, endsAt: new Date(now.getTime() + seconds * 1000) };
+    }
+
+    await live.save();
+
+    res.status(200).json(withClock(live));
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Finish the workout in progress and save it as a workout
+// @route   POST /api/live-workout/finish
+// @access  Private
+const finishLiveWorkout = async (req, res) => {
+  // Claim the session by removing it first, so two devices finishing at once can't
+  // both save it: the second finds nothing. It is put back if saving fails.
+  let live;
+  try {
+    live = await LiveWorkout.findOneAndDelete({ userId: req.user._id });
+    if (!live) {
+      return res.status(404).json({ message: 'No workout in progress' });
+    }
+
+    // Details only known at the end, like calories from a watch or how hard it felt
+    const { calories, heartRate, rpe, tags, notes } = req.body;
+    const result = await createWorkout(req.user, {
+      ...live.toWorkoutData(),
+      calories,
+      heartRate,
+      rpe,
+      tags,
+      notes: notes !== undefined ? notes : live.notes,
+    });
+
+    // The session is kept when it can't be saved yet (e.g. no weight for calories)
+    if (result.status) {
+      await restoreLiveWorkout(live);
+      return res.status(result.status).json({ message: result.message, type: result.type });
+    }
+
+    res.status(201).json({ ...result.workout.toJSON(), personalRecords: result.personalRecords });
+  } catch (error) {
+    // createWorkout only throws before the workout is saved
+    if (live) {
+      await restoreLiveWorkout(live);
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Discard the workout in progress without saving it
+// @route   DELETE /api/live-workout
+// @access  Private
+const discardLiveWorkout = async (req, res) => {
+  try {
+    const live = await LiveWorkout.findOneAndDelete({ userId: req.user._id });
+    if (!live) {
+      return res.status(404).json({ message: 'No workout in progress' });
+    }
+    res.status(200).json({ id: live._id });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getLiveWorkout,
+  startLiveWorkout,
+  updateLiveWorkout,
+  finishLiveWorkout,
+  discardLiveWorkout,
+};
@@ -165,26 +165,13 @@ const addNutrition = async (req, res) => {
 
 // @desc    Delete nutrition entry
 // @route   DELETE /api/nutrition/:id
-// @access  Private
+// @access  Private (owner)
 const deleteNutrition = async (req, res) => {
   try {
-    const nutrition = await Nutrition.findById(req.params.id);
-
-    if (!nutrition) {
-      return res.status(404).json({ message: 'Nutrition entry not found' });
-    }
-
-    // Check for user
-    if (!req.user) {
-      return res.status(401).json({ message: 'User not found' });
-    }
-
-    // Make sure the logged in user matches the nutrition user
-    if (nutrition.userId.toString() !== req.user.id) {
-      return res.status(401).json({ message: 'User not authorized' });
-    }
+    // Loaded and ownership-checked by the ownedResource middleware
+    const nutrition = req.resource;
 
-    await Nutrition.findByIdAndDelete(req.params.id);
+    await nutrition.deleteOne();
 
     res.status(200).json({ id: req.params.id });
   } catch (error) {
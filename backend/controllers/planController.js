@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const TrainingPlan = require('../models/TrainingPlan');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const Workout = require('../models/Workout');
+const { normalizePlannedExercises } = require('../utils/plannedExercises');
+const { getPlanStatus, getUpcomingSessions } = require('../utils/trainingPlans');
+const { validationMessage } = require('../utils/validationMessage');
+
+const MAX_UPCOMING_DAYS = 56;
+
+// Check and normalize submitted plan sessions. A session that names one of the user's
+// templates and has no exercises of its own copies the template's exercises.
+// Returns { sessions } or { error } with a message for the client.
+const normalizeSessions = async (sessions, userId) => {
+  if (!Array.isArray(sessions)) {
+    return { error: 'Sessions must be a list' };
+  }
+
+  const normalized = [];
+  for (const [index, session] of sessions.entries()) {
+    const label = `Session ${index + 1}`;
+
+    if (!session || typeof session.name !== 'string' || !session.name.trim()) {
+      return { error: `${label}: please add a name` };
+    }
+
+    const weekday = Number(session.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return { error: `${label}: weekday must be 0 (Sunday) to 6 (Saturday)` };
+    }
+
+    let template = null;
+    if (session.template) {
+      template = mongoose.Types.ObjectId.isValid(session.template)
+        ? await WorkoutTemplate.findOne({ _id: session.template, userId })
+        : null;
+      if (!template) {
+        return { error: `${label}: template not found` };
+      }
+    }
+
+    const submittedExercises = session.exercises || [];
+    const result = submittedExercises.length === 0 && template
+      ? { exercises: template.exercises.map(exercise => exercise.toObject()) }
+      : normalizePlannedExercises(submittedExercises);
+    if (result.error) {
+      return { error: `${label}: ${result.error}` };
+    }
+
+    const type = session.type || (template && template.type);
+    if (!type) {
+      return { error: `${label}: please specify the workout type` };
+    }
+
+    normalized.push({
+      // Keep ids stable on edit so logged workouts stay linked
+      _id: mongoose.Types.ObjectId.isValid(session._id) ? session._id : undefined,
+      name: session.name.trim(),
+      weekday,
+      type,
+      duration: session.duration || (template && template.duration) || undefined,
+      template: template ? template._id : undefined,
+      exercises: result.exercises,
+    });
+  }
+
+  return { sessions: normalized };
+};
+
+// Fields a user may set directly on a plan
+const PLAN_FIELDS = ['name', 'description', 'startDate', 'weeks', 'active', 'deload'];
+
+const pickPlanFields = (body) => PLAN_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// @desc    Get training plans
+// @route   GET /api/plans
+// @access  Private
+const getPlans = async (req, res) => {
+  try {
+    const plans = await TrainingPlan.find({ userId: req.user.id }).sort({ active: -1, startDate: -1 });
+    res.status(200).json(plans);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get a training plan with its adherence
+// @route   GET /api/plans/:id
+// @access  Private (owner)
+const getPlan = async (req, res) => {
+  try {
+    const plan = req.resource;
+    res.status(200).json({ ...plan.toJSON(), status: await getPlanStatus(plan, req.user.timezone) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Create a training plan
+// @route   POST /api/plans
+// @access  Private
+const createPlan = async (req, res) => {
+  try {
+    const fields = pickPlanFields(req.body);
+
+    if (!fields.name || !fields.startDate || !fields.weeks) {
+      return res.status(400).json({ message: 'Please add name, start date and number of weeks' });
+    }
+
+    const result = await normalizeSessions(req.body.sessions || [], req.user.id);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    const plan = await TrainingPlan.create({
+      ...fields,
+      sessions: result.sessions,
+      userId: req.user.id,
+    });
+
+    res.status(201).json(plan);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Update a training plan
+// @route   PUT /api/plans/:id
+// @access  Private (owner)
+const updatePlan = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the ownedResource middleware
+    const plan = req.resource;
+
+    plan.set(pickPlanFields(req.body));
+
+    if (req.body.sessions !== undefined) {
+      const result = await normalizeSessions(req.body.sessions, req.user.id);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      plan.sessions = result.sessions;
+    }
+
+    await plan.save();
+
+    res.status(200).json(plan);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Delete a training plan; logged workouts are kept but unlinked
+// @route   DELETE /api/plans/:id
+// @access  Private (owner)
+const deletePlan = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the ownedResource middleware
+    const plan = req.resource;
+
+    await Workout.updateMany({ 'plannedSession.plan': plan._id }, { $unset: { plannedSession: 1 } });
+    await plan.deleteOne();
+
+    res.status(200).json({ id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Adherence, missed sessions and upcoming schedule for a plan
+// @route   GET /api/plans/:id/adherence
+// @access  Private (owner)
+const getPlanAdherence = async (req, res) => {
+  try {
+    res.status(200).json(await getPlanStatus(req.resource, req.user.timezone));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Sessions scheduled across active plans for the coming days
+// @route   GET /api/plans/upcoming
+// @access  Private
+const getUpcoming = async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 7, MAX_UPCOMING_DAYS);
+    res.status(200).json(await getUpcomingSessions(req.user._id, days, req.user.timezone));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Start a planned session; returns an unsaved, editable workout
+// @route   POST /api/plans/:id/sessions/:sessionId/start
+// @access  Private (owner)
+const startPlannedSession = async (req, res) => {
+  try {
+    const plan = req.resource;
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    if (!plan.sessions.id(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const draft = plan.toWorkoutDraft(req.params.sessionId, date, req.user.timezone);
+    if (!draft) {
+      return res.status(400).json({ message: 'That date is outside the plan' });
+    }
+
+    res.status(200).json(draft);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getPlans,
+  getPlan,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  getPlanAdherence,
+  getUpcoming,
+  startPlannedSession,
+};
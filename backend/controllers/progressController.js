@@ -6,7 +6,7 @@ const Progress = require('../models/Progress');
 const getProgress = async (req, res) => {
   try {
     const progress = await Progress.find({ userId: req.user.id }).sort({ date: -1 });
-    res.status(200).json(progress);
+    res.status(200).json(Progress.withHeight(progress, req.user.height));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -29,7 +29,7 @@ const addProgress = async (req, res) => {
       userId: req.user.id,
     });
 
-    res.status(201).json(progress);
+    res.status(201).json(Progress.withHeight(progress, req.user.height));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -37,26 +37,13 @@ const addProgress = async (req, res) => {
 
 // @desc    Delete progress entry
 // @route   DELETE /api/progress/:id
-// @access  Private
+// @access  Private (owner)
 const deleteProgress = async (req, res) => {
   try {
-    const progress = await Progress.findById(req.params.id);
-
-    if (!progress) {
-      return res.status(400).json({ message: 'Progress entry not found' });
-    }
-
-    // Check for user
-    if (!req.user) {
-      return res.status(401).json({ message: 'User not found' });
-    }
-
-    // Make sure the logged in user matches the progress user
-    if (progress.userId.toString() !== req.user.id) {
-      return res.status(401).json({ message: 'User not authorized' });
-    }
+    // Loaded and ownership-checked by the ownedResource middleware
+    const progress = req.resource;
 
-    await Progress.findByIdAndDelete(req.params.id);
+    await progress.deleteOne();
 
     res.status(200).json({ id: req.params.id });
   } catch (error) {
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Workout = require('../models/Workout');
+const Exercise = require('../models/Exercise');
+const { recommendNextSession, SCHEMES } = require('../utils/progression');
+
+// Sessions looked back over; enough for stall detection with a long window
+const HISTORY_SESSIONS = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Suggested load and reps for the next session of an exercise
+// @route   GET /api/recommendations?exercise=Bench%20Press&exerciseId=&scheme=
+// @access  Private
+const getRecommendation = async (req, res) => {
+  try {
+    const { exercise, exerciseId, scheme } = req.query;
+
+    if (typeof exercise !== 'string' || !exercise.trim()) {
+      return res.status(400).json({ message: 'Please name the exercise' });
+    }
+    if (scheme && !SCHEMES.includes(scheme)) {
+      return res.status(400).json({ message: `Scheme must be one of: ${SCHEMES.join(', ')}` });
+    }
+
+    // Same exercise: linked to the same library entry, or logged under the same name
+    const exerciseKey = Exercise.slugify(exercise);
+    const linked = mongoose.Types.ObjectId.isValid(exerciseId) ? exerciseId.toString() : null;
+    const matches = (entry) => (linked && entry.exercise && entry.exercise.toString() === linked)
+      || Exercise.slugify(entry.name) === exerciseKey;
+
+    const conditions = [{ 'exercises.name': new RegExp(`^${escapeRegex(exercise.trim())}$`, 'i') }];
+    if (linked) conditions.push({ 'exercises.exercise': linked });
+
+    const workouts = await Workout.find({ userId: req.user._id, $or: conditions })
+      .select('date exercises')
+      .sort({ date: -1 })
+      .limit(HISTORY_SESSIONS);
+
+    const history = workouts
+      .map(workout => ({
+        date: workout.date,
+        sets: workout.exercises.filter(matches).flatMap(entry => entry.sets),
+      }))
+      .filter(session => session.sets.length > 0);
+
+    const settings = { ...req.user.toObject().progression };
+    if (scheme) settings.scheme = scheme;
+
+    res.status(200).json({
+      exercise: exercise.trim(),
+      exerciseKey,
+      settings,
+      sessions: history.length,
+      recommendation: recommendNextSession(history, settings),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getRecommendation,
+};
@@ -0,0 +1,89 @@
+const PersonalRecord = require('../models/PersonalRecord');
+
+// @desc    Current personal bests, grouped by exercise
+// @route   GET /api/records
+// @access  Private
+const getRecords = async (req, res) => {
+  try {
+    const bests = await PersonalRecord.aggregate([
+      { $match: { userId: req.user._id } },
+      { $sort: { value: -1, date: 1 } },
+      {
+        $group: {
+          _id: { exerciseKey: '$exerciseKey', recordType: '$recordType', load: '$load' },
+          record: { $first: '$$ROOT' },
+        },
+      },
+      { $replaceRoot: { newRoot: '$record' } },
+      { $sort: { exerciseName: 1, recordType: 1, load: -1 } },
+    ]);
+
+    const exercises = {};
+    for (const record of bests) {
+      if (!exercises[record.exerciseKey]) {
+        exercises[record.exerciseKey] = {
+          exerciseKey: record.exerciseKey,
+          exerciseName: record.exerciseName,
+          records: [],
+          lastRecordAt: record.date,
+        };
+      }
+      const entry = exercises[record.exerciseKey];
+      entry.records.push(record);
+      if (record.date > entry.lastRecordAt) entry.lastRecordAt = record.date;
+    }
+
+    res.status(200).json(Object.values(exercises));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    History of one record type for an exercise
+// @route   GET /api/records/:exerciseKey/history
+// @access  Private
+const getRecordHistory = async (req, res) => {
+  try {
+    const recordType = req.query.type || 'estimated_1rm';
+
+    if (!PersonalRecord.RECORD_TYPES[recordType]) {
+      return res.status(400).json({ message: `Unknown record type "${recordType}"` });
+    }
+
+    const filter = {
+      userId: req.user.id,
+      exerciseKey: req.params.exerciseKey,
+      recordType,
+    };
+    if (req.query.load !== undefined) filter.load = Number(req.query.load);
+
+    const history = await PersonalRecord.find(filter).sort({ date: 1, value: 1 });
+
+    res.status(200).json(history);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Records set in recent workouts
+// @route   GET /api/records/recent
+// @access  Private
+const getRecentRecords = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+
+    const records = await PersonalRecord.find({ userId: req.user.id, previousValue: { $ne: null } })
+      .sort({ date: -1, createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json(records);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getRecords,
+  getRecordHistory,
+  getRecentRecords,
+};
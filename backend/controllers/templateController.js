@@ -0,0 +1,158 @@
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const { normalizePlannedExercises } = require('../utils/plannedExercises');
+const { validationMessage } = require('../utils/validationMessage');
+
+// Fields a user may set directly on a template
+const TEMPLATE_FIELDS = ['name', 'description', 'type', 'duration'];
+
+const pickTemplateFields = (body) => TEMPLATE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// @desc    Get workout templates
+// @route   GET /api/templates
+// @access  Private
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await WorkoutTemplate.find({ userId: req.user.id }).sort({ name: 1 });
+    res.status(200).json(templates);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get a workout template
+// @route   GET /api/templates/:id
+// @access  Private (owner)
+const getTemplate = async (req, res) => {
+  res.status(200).json(req.resource);
+};
+
+// @desc    Create a workout template
+// @route   POST /api/templates
+// @access  Private
+const createTemplate = async (req, res) => {
+  try {
+    const fields = pickTemplateFields(req.body);
+
+    if (!fields.name) {
+      return res.status(400).json({ message: 'Please add a template name' });
+    }
+
+    const result = normalizePlannedExercises(req.body.exercises || []);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    const template = await WorkoutTemplate.create({
+      ...fields,
+      exercises: result.exercises,
+      userId: req.user.id,
+    });
+
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Save a logged workout as a template
+// @route   POST /api/templates/from-workout/:workoutId
+// @access  Private (owner)
+const createTemplateFromWorkout = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the ownedResource middleware
+    const workout = req.resource;
+
+    const template = await WorkoutTemplate.create({
+      name: req.body.name || `${workout.type} (${workout.date.toISOString().split('T')[0]})`,
+      description: req.body.description,
+      type: workout.type,
+      duration: workout.duration,
+      exercises: WorkoutTemplate.plannedExercisesFromWorkout(workout),
+      userId: req.user.id,
+    });
+
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Update a workout template
+// @route   PUT /api/templates/:id
+// @access  Private (owner)
+const updateTemplate = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the ownedResource middleware
+    const template = req.resource;
+
+    template.set(pickTemplateFields(req.body));
+
+    if (req.body.exercises !== undefined) {
+      const result = normalizePlannedExercises(req.body.exercises);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      template.exercises = result.exercises;
+    }
+
+    await template.save();
+
+    res.status(200).json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Delete a workout template
+// @route   DELETE /api/templates/:id
+// @access  Private (owner)
+const deleteTemplate = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the ownedResource middleware
+    await req.resource.deleteOne();
+
+    res.status(200).json({ id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Start a workout from a template; returns an unsaved, editable workout
+// @route   POST /api/templates/:id/start
+// @access  Private (owner)
+const startFromTemplate = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the ownedResource middleware
+    const template = req.resource;
+
+    template.timesUsed += 1;
+    template.lastUsedAt = new Date();
+    await template.save();
+
+    res.status(200).json(template.toWorkoutDraft());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  createTemplateFromWorkout,
+  updateTemplate,
+  deleteTemplate,
+  startFromTemplate,
+};
@@ -0,0 +1,198 @@
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { buildAuthResponse, verifyPurposeToken } = require('../utils/authTokens');
+const { sendTooManyRequests } = require('../middleware/rateLimitMiddleware');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'FitBodyTrack';
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+const LOCKOUT_FIELDS = '+failedLoginAttempts +lockUntil';
+
+// Accept either a TOTP code or a recovery code. Saves the user when one is used.
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    if (!user.useRecoveryCode(recoveryCode)) return false;
+    await user.save();
+    return true;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return true;
+};
+
+// @desc    Start 2FA enrolment: new secret, provisioning URI and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.status(200).json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Confirm enrolment with a code and receive recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save();
+
+    res.status(200).json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Turn 2FA off (needs the password and a current code or recovery code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(403).json({ message: 'Incorrect password' });
+    }
+
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Replace all recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await checkSecondFactor(user, { code }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save();
+
+    res.status(200).json({ recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Second login step: exchange a challenge token and code for a session
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Please add the challenge token and a code' });
+    }
+
+    const userId = verifyPurposeToken(challengeToken, '2fa-login');
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired, please sign in again' });
+    }
+
+    const user = await User.findById(userId).select(`${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired, please sign in again' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockSeconds = user.getLockRemainingSeconds();
+    if (lockSeconds > 0) {
+      return sendTooManyRequests(
+        res,
+        lockSeconds,
+        `Too many failed sign-in attempts. Try again in ${Math.ceil(lockSeconds / 60)} minutes`
+      );
+    }
+
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      await user.registerFailedLogin();
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await user.resetFailedLogins();
+
+    res.json({
+      ...(await buildAuthResponse(user, req)),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+};
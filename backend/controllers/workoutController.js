@@ -1,21 +1,154 @@
+const mongoose = require('mongoose');
 const Workout = require('../models/Workout');
+const Exercise = require('../models/Exercise');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const { resolvePlannedSession } = require('../utils/trainingPlans');
+const { detectPersonalRecords, refreshPersonalRecords, announceable } = require('../utils/personalRecords');
+const PersonalRecord = require('../models/PersonalRecord');
+const { parseActivityFile, summarizeActivity, simplifyTrack, buildSamples } = require('../utils/activityFiles');
+const { metFor, gradeFor, correctedMet } = require('../utils/met');
+const { keytelCalories, timeInZones } = require('../utils/heartRate');
+const { normalizeDistance, speedFor } = require('../utils/units');
+const { validationMessage } = require('../utils/validationMessage');
 const Progress = require('../models/Progress'); // Add this import
 
-// MET values for different workout types
-const MET_VALUES = {
-  running: 9.8,
-  walking: 3.8,
-  cycling: 7.5,
-  pushups: 8.0
+// Check and normalize a submitted exercise list.
+// Returns { exercises } sorted by order, or { error } with a message for the client.
+const normalizeExercises = (exercises) => {
+  if (!Array.isArray(exercises)) {
+    return { error: 'Exercises must be a list' };
+  }
+
+  const normalized = [];
+  for (const [index, exercise] of exercises.entries()) {
+    const label = `Exercise ${index + 1}`;
+
+    if (!exercise || typeof exercise.name !== 'string' || !exercise.name.trim()) {
+      return { error: `${label}: please add a name` };
+    }
+
+    if (!Array.isArray(exercise.sets) || exercise.sets.length === 0) {
+      return { error: `${label}: please add at least one set` };
+    }
+
+    const sets = [];
+    for (const [setIndex, set] of exercise.sets.entries()) {
+      const setLabel = `${label}, set ${setIndex + 1}`;
+      const reps = Number(set && set.reps);
+      const load = set && set.load !== undefined && set.load !== '' && set.load !== null ? Number(set.load) : 0;
+      const setType = (set && set.setType) || 'working';
+
+      if (!Number.isInteger(reps) || reps < 0) {
+        return { error: `${setLabel}: reps must be a whole number` };
+      }
+      if (!Number.isFinite(load) || load < 0) {
+        return { error: `${setLabel}: load must be zero or more` };
+      }
+      if (!Workout.SET_TYPES.includes(setType)) {
+        return { error: `${setLabel}: set type must be warmup, working or dropset` };
+      }
+
+      sets.push({ reps, load, setType });
+    }
+
+    normalized.push({
+      name: exercise.name.trim(),
+      // Optional link to the exercise library entry
+      exercise: mongoose.Types.ObjectId.isValid(exercise.exercise) ? exercise.exercise : undefined,
+      order: Number.isInteger(exercise.order) ? exercise.order : index,
+      sets,
+    });
+  }
+
+  normalized
+    .sort((a, b) => a.order - b.order)
+    .forEach((exercise, index) => { exercise.order = index; });
+
+  return { exercises: normalized };
 };
 
-// Calculate calories using MET formula
-const calculateCalories = (type, duration, weight) => {
-  const metValue = MET_VALUES[type.toLowerCase()];
+// MET for a workout: the Compendium entry matching its speed, grade, power or effort,
+// else the library value. Returns { met, metCode }; either may be undefined.
+const selectMet = (type, libraryEntry, { distance, minutes, avgSpeed, track, power, rpe }) => {
+  const match = metFor(libraryEntry ? libraryEntry.slug : type, {
+    speed: avgSpeed || speedFor(distance, minutes),
+    grade: gradeFor(track, distance),
+    power: power && power.avg,
+    rpe: Number(rpe) || undefined,
+    category: libraryEntry && libraryEntry.category,
+  });
+  if (match) return { met: match.met, metCode: match.code };
+  return { met: libraryEntry ? libraryEntry.met : undefined, metCode: undefined };
+};
+
+// Calculate calories using MET formula. METs are corrected to the user's resting
+// metabolic rate when the user has turned that on and the profile is complete.
+const calculateCalories = (metValue, duration, weight, user) => {
   if (!metValue || !weight || !duration) {
     return null;
   }
-  return Math.round(metValue * weight * (duration / 60));
+  const bmr = user && user.correctedMet === true && user.getBmr ? user.getBmr(weight) : null;
+  return Math.round(correctedMet(metValue, bmr, weight) * weight * (duration / 60));
+};
+
+// Estimate calories, preferring average heart rate when the profile has age and sex.
+// HR reflects the whole session (rests included), so it uses the full duration;
+// MET estimates use the active minutes. Returns { calories, calorieMethod } or null.
+const estimateCalories = ({ metValue, duration, activeMinutes, weight, heartRate, user }) => {
+  const fromHeartRate = keytelCalories({
+    avgHeartRate: heartRate && heartRate.avg,
+    minutes: duration,
+    weight,
+    age: user && user.getAge ? user.getAge() : null,
+    sex: user && user.sex,
+  });
+  if (fromHeartRate) {
+    return { calories: fromHeartRate, calorieMethod: 'heart_rate' };
+  }
+
+  const fromMet = calculateCalories(metValue, activeMinutes, weight, user);
+  return fromMet ? { calories: fromMet, calorieMethod: 'met' } : null;
+};
+
+// Check an optional { avg, max } heart rate from the client.
+// Returns { heartRate } (undefined when cleared) or { error }.
+const normalizeHeartRate = (value) => {
+  if (value === undefined || value === null || value === '') return { heartRate: undefined };
+
+  const toBpm = (bpm) => (bpm === undefined || bpm === null || bpm === '' ? undefined : Number(bpm));
+  const avg = toBpm(value.avg);
+  const max = toBpm(value.max);
+
+  for (const [label, bpm] of [['Average', avg], ['Max', max]]) {
+    if (bpm !== undefined && (!Number.isFinite(bpm) || bpm < 30 || bpm > 250)) {
+      return { error: `${label} heart rate must be between 30 and 250 bpm` };
+    }
+  }
+  if (avg !== undefined && max !== undefined && max < avg) {
+    return { error: 'Max heart rate cannot be lower than the average' };
+  }
+  if (avg === undefined && max === undefined) return { heartRate: undefined };
+
+  return { heartRate: { avg, max } };
+};
+
+const MAX_TAGS = 20;
+
+// Tags arrive as an array or a comma-separated string; keep them unique and lower-case.
+// Returns { tags } or { error }.
+const normalizeTags = (value) => {
+  if (value === undefined || value === null || value === '') return { tags: [] };
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  if (list.some(tag => typeof tag !== 'string')) {
+    return { error: 'Tags must be text' };
+  }
+
+  const tags = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) {
+    return { error: `A workout can have at most ${MAX_TAGS} tags` };
+  }
+  return { tags };
 };
 
 // Helper function to get latest weight from Progress
@@ -31,105 +164,513 @@ const getLatestWeight = async (userId) => {
   }
 };
 
-// @desc    Get workouts
-// @route   GET /api/workouts
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque to clients: the sort value (null when missing) and id of the
+// last workout on a page
+const encodeCursor = (workout, sortField) => Buffer.from(
+  JSON.stringify({ value: workout[sortField] ?? null, id: workout._id })
+).toString('base64url');
+
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id) || value === undefined) return null;
+    if (value === null) return { value: null, id: new mongoose.Types.ObjectId(id) };
+    const decoded = sortField === 'date' ? new Date(value) : Number(value);
+    if (Number.isNaN(decoded.valueOf())) return null;
+    return { value: decoded, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Keyset condition for the workouts after a cursor, using the id to break ties.
+// MongoDB sorts missing values before every number: first ascending, last descending.
+const afterCursor = (sortField, direction, { value, id }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+  const tie = { _id: { [after]: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [sortField]: null, ...tie }, { [sortField]: { $ne: null } }] }
+      : { [sortField]: null, ...tie };
+  }
+
+  const conditions = [
+    { [sortField]: { [after]: value } },
+    { [sortField]: value, ...tie },
+  ];
+  if (direction === -1) conditions.push({ [sortField]: null });
+  return { $or: conditions };
+};
+
+// @desc    Get workouts, filtered, sorted and a page at a time
+// @route   GET /api/workouts?from=&to=&type=&tag=&minDuration=&maxDuration=&minCalories=&maxCalories=&q=&sort=&order=&limit=&cursor=
 // @access  Private
 const getWorkouts = async (req, res) => {
   try {
-    const workouts = await Workout.find({ userId: req.user.id }).sort({ date: -1 });
-    res.status(200).json(workouts);
+    const sortField = req.query.sort || 'date';
+    if (!Workout.SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({ message: `Sort must be one of: ${Workout.SORT_FIELDS.join(', ')}` });
+    }
+    const direction = req.query.order === 'asc' ? 1 : -1;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const { filter, error: filterError } = Workout.buildHistoryFilter(req.user.id, req.query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+
+    // Keyset pagination: continue after the last workout of the previous page
+    let pageFilter = filter;
+    if (req.query.cursor) {
+      const cursor = typeof req.query.cursor === 'string' ? decodeCursor(req.query.cursor, sortField) : null;
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      pageFilter = { $and: [filter, afterCursor(sortField, direction, cursor)] };
+    }
+
+    const [workouts, totals] = await Promise.all([
+      Workout.find(pageFilter)
+        .select('-track -samples')
+        .sort({ [sortField]: direction, _id: direction })
+        .limit(limit + 1),
+      Workout.aggregate([
+        { $match: filter },
+        { $group: { _id: null, total: { $sum: 1 }, calories: { $sum: '$calories' }, duration: { $sum: '$duration' } } },
+      ]),
+    ]);
+
+    const hasMore = workouts.length > limit;
+    const page = hasMore ? workouts.slice(0, limit) : workouts;
+    const { total = 0, calories = 0, duration = 0 } = totals[0] || {};
+
+    res.status(200).json({
+      workouts: page,
+      total,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+      // Totals over every workout matching the filters, not just this page
+      summary: { calories, duration },
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// @desc    Get a single workout, including its recorded track and samples
+// @route   GET /api/workouts/:id
+// @access  Private (owner)
+const getWorkout = (req, res) => {
+  // Loaded and ownership-checked by the ownedResource middleware
+  const workout = req.resource;
+
+  // Time in the user's current zones, when the workout has heart-rate samples
+  let heartRateZones = null;
+  const zones = req.user.getHeartRateZones();
+  if (zones && workout.samples.some(sample => sample.hr > 0)) {
+    heartRateZones = { method: zones.method, ...timeInZones(workout.samples, zones.zones) };
+  }
+
+  res.status(200).json({ ...workout.toJSON(), heartRateZones });
+};
+
+// Build and save a workout for a user, linking it to the library, templates and plans,
+// working out calories when none are given and checking for personal records.
+// Returns { workout, personalRecords }, or { status, message, type } for the client.
+const createWorkout = async (user, data) => {
+  const { type, duration, weight, calories, date } = data;
+
+  if (!type || !duration) {
+    return { status: 400, message: 'Please add type and duration' };
+  }
+
+  const { heartRate, error: heartRateError } = normalizeHeartRate(data.heartRate);
+  if (heartRateError) {
+    return { status: 400, message: heartRateError };
+  }
+
+  // Distances may be typed in miles or metres; they are stored in km
+  const { distance, error: distanceError } = normalizeDistance(data.distance, data.distanceUnit);
+  if (distanceError) {
+    return { status: 400, message: distanceError };
+  }
+
+  const { tags, error: tagsError } = normalizeTags(data.tags);
+  if (tagsError) {
+    return { status: 400, message: tagsError };
+  }
+
+  let exercises = [];
+  if (data.exercises !== undefined) {
+    const result = normalizeExercises(data.exercises);
+    if (result.error) {
+      return { status: 400, message: result.error };
+    }
+    exercises = result.exercises;
+  }
+
+  // The workout type names an exercise from the library (or the user's custom ones)
+  const libraryEntry = await Exercise.resolve(type, user._id);
+
+  // Only keep a template link that points at one of the user's own templates
+  let template;
+  if (mongoose.Types.ObjectId.isValid(data.template)
+    && await WorkoutTemplate.exists({ _id: data.template, userId: user._id })) {
+    template = data.template;
+  }
+
+  // Link the workout to the training plan session it completes
+  const { plannedSession, error: plannedSessionError } = await resolvePlannedSession(user._id, {
+    plannedSession: data.plannedSession,
+    date: date || Date.now(),
+    type,
+    timeZone: user.timezone,
+  });
+  if (plannedSessionError) {
+    return { status: 400, message: plannedSessionError };
+  }
+
+  // Runs, walks and rides burn calories at their actual speed, over the time spent moving.
+  // Typed-in workouts with a distance get their speed from it.
+  const activeMinutes = data.movingTime ? data.movingTime / 60 : duration;
+  const { met: metValue, metCode } = selectMet(type, libraryEntry, {
+    distance,
+    minutes: activeMinutes,
+    avgSpeed: data.avgSpeed,
+    track: data.track,
+    power: data.power,
+    rpe: data.rpe,
+  });
+
+  let finalCalories = calories;
+  let finalWeight = weight;
+  let calorieMethod = 'manual';
+
+  // If no calories provided, try to auto-calculate
+  if (!calories) {
+    // If no weight provided, try to get latest weight from Progress
+    if (!weight) {
+      finalWeight = await getLatestWeight(user._id);
+      if (!finalWeight) {
+        return {
+          status: 400,
+          message: 'Please add your weight in the Progress section for automatic calorie calculation, or enter calories manually',
+          type: 'NO_WEIGHT_DATA'
+        };
+      }
+    }
+
+    // Calculate calories
+    const estimate = estimateCalories({
+      metValue, duration, activeMinutes, weight: finalWeight, heartRate, user
+    });
+    if (estimate) {
+      finalCalories = estimate.calories;
+      calorieMethod = estimate.calorieMethod;
+    } else {
+      return {
+        status: 400,
+        message: 'Cannot auto-calculate calories for this workout type. Please enter calories manually.'
+      };
+    }
+  }
+
+  // Ensure calories is provided either manually or calculated
+  if (!finalCalories) {
+    return {
+      status: 400,
+      message: 'Please provide calories or ensure you have weight data for automatic calculation'
+    };
+  }
+
+  const workout = await Workout.create({
+    type,
+    duration,
+    weight: finalWeight,
+    calories: finalCalories,
+    calorieMethod,
+    exercise: libraryEntry ? libraryEntry._id : undefined,
+    met: metValue || undefined,
+    metCode,
+    template,
+    plannedSession: plannedSession || undefined,
+    date: date || Date.now(),
+    rpe: data.rpe || undefined,
+    tags,
+    notes: data.notes,
+    exercises,
+    totalVolume: Workout.calculateVolume(exercises),
+    distance,
+    movingTime: data.movingTime,
+    elevationGain: data.elevationGain,
+    avgSpeed: data.avgSpeed,
+    heartRate,
+    cadence: data.cadence,
+    power: data.power,
+    laps: data.laps,
+    track: data.track,
+    samples: data.samples,
+    device: data.device,
+    source: data.source,
+    userId: user._id,
+  });
+
+  // New bests set by this workout are returned alongside it. The workout is saved by now,
+  // so a failure here must not look like a failed save (a retry would log it twice).
+  let records = [];
+  try {
+    records = await detectPersonalRecords(workout);
+  } catch (error) {
+    console.error('Personal record detection error:', error);
+  }
+
+  return { workout, personalRecords: announceable(records) };
+};
+
 // @desc    Set workout
 // @route   POST /api/workouts
 // @access  Private
 const setWorkout = async (req, res) => {
   try {
-    const { type, duration, weight, calories, date } = req.body;
+    // Recorded-activity fields only come from imported files
+    const {
+      track, samples, laps, device, source, movingTime, avgSpeed, cadence, power, elevationGain, calorieMethod, ...data
+    } = req.body;
+
+    const result = await createWorkout(req.user, data);
+    if (result.status) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
 
-    if (!type || !duration) {
-      return res.status(400).json({ message: 'Please add type and duration' });
+    res.status(201).json({ ...result.workout.toJSON(), personalRecords: result.personalRecords });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: validationMessage(error) });
     }
+    res.status(500).json({ message: error.message });
+  }
+};
 
-    let finalCalories = calories;
-    let finalWeight = weight;
+const round = (value, places = 0) => (
+  Number.isFinite(value) ? Math.round(value * 10 ** places) / 10 ** places : undefined
+);
 
-    // If no calories provided, try to auto-calculate
-    if (!calories) {
-      // If no weight provided, try to get latest weight from Progress
-      if (!weight) {
-        finalWeight = await getLatestWeight(req.user.id);
-        if (!finalWeight) {
-          return res.status(400).json({ 
-            message: 'Please add your weight in the Progress section for automatic calorie calculation, or enter calories manually',
-            type: 'NO_WEIGHT_DATA'
-          });
-        }
-      }
+// km/h from metres and seconds
+const speedKmh = (metres, seconds) => (metres && seconds ? round((metres / 1000) / (seconds / 3600), 2) : undefined);
 
-      // Calculate calories
-      const calculatedCalories = calculateCalories(type, duration, finalWeight);
-      if (calculatedCalories) {
-        finalCalories = calculatedCalories;
-      } else {
-        return res.status(400).json({ 
-          message: 'Cannot auto-calculate calories for this workout type. Please enter calories manually.' 
-        });
-      }
+// Read an uploaded activity file into workout fields, without saving anything.
+// Returns { data } ready for createWorkout, or { status, message, type } for the client.
+const readActivityUpload = (file, body) => {
+  const activity = parseActivityFile(file.buffer, file.originalname);
+  const summary = summarizeActivity(activity);
+
+  const type = body.type || activity.sport;
+  if (!type) {
+    return {
+      status: 400,
+      message: 'Could not tell what kind of activity this is. Please choose a workout type',
+      type: 'ACTIVITY_TYPE_REQUIRED'
+    };
+  }
+
+  if (summary.elapsedTime < 60) {
+    return { status: 400, message: 'The activity is shorter than a minute' };
+  }
+
+  const movingTime = Math.round(summary.movingTime);
+
+  return {
+    data: {
+      type,
+      duration: Math.max(1, Math.round(summary.elapsedTime / 60)),
+      date: activity.startTime,
+      distance: round(summary.distance / 1000, 3),
+      movingTime,
+      elevationGain: round(summary.elevationGain),
+      avgSpeed: speedKmh(summary.distance, movingTime),
+      heartRate: summary.heartRate,
+      cadence: summary.cadence,
+      power: summary.power,
+      laps: (activity.laps || []).map(lap => ({
+        ...lap,
+        distance: round(lap.distance / 1000, 3),
+        avgSpeed: speedKmh(lap.distance, lap.movingTime || lap.elapsedTime),
+      })),
+      track: simplifyTrack(activity.points),
+      samples: buildSamples(activity),
+      device: activity.device,
+      source: { type: activity.format, fileName: file.originalname },
+    },
+  };
+};
+
+// @desc    Read an activity file and show what would be imported
+// @route   POST /api/workouts/import/preview
+// @access  Private
+const previewImport = async (req, res) => {
+  try {
+    const result = readActivityUpload(req.file, req.body);
+    if (result.status) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
     }
 
-    // Ensure calories is provided either manually or calculated
-    if (!finalCalories) {
-      return res.status(400).json({ 
-        message: 'Please provide calories or ensure you have weight data for automatic calculation' 
+    const { track, samples, ...preview } = result.data;
+    const duplicate = await Workout.findDuplicateActivity(req.user._id, preview.date, preview.device);
+
+    res.status(200).json({
+      preview: { ...preview, trackPoints: track.length, sampleCount: samples.length },
+      duplicate,
+    });
+  } catch (error) {
+    if (error.name === 'ActivityFileError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Create a workout from a GPX, TCX or FIT file
+// @route   POST /api/workouts/import
+// @access  Private
+const importWorkout = async (req, res) => {
+  try {
+    const activity = readActivityUpload(req.file, req.body);
+    if (activity.status) {
+      const { status, ...body } = activity;
+      return res.status(status).json(body);
+    }
+
+    // The same recording twice is refused unless the user confirms it's wanted
+    const duplicate = await Workout.findDuplicateActivity(req.user._id, activity.data.date, activity.data.device);
+    if (duplicate && req.body.allowDuplicate !== 'true') {
+      return res.status(409).json({
+        message: 'This activity looks like one you have already imported',
+        type: 'DUPLICATE_ACTIVITY',
+        duplicate,
       });
     }
 
-    const workout = await Workout.create({
-      type,
-      duration,
-      weight: finalWeight,
-      calories: finalCalories,
-      date: date || Date.now(),
-      userId: req.user.id,
+    const result = await createWorkout(req.user, {
+      ...activity.data,
+      weight: req.body.weight ? Number(req.body.weight) : undefined,
+      calories: req.body.calories ? Number(req.body.calories) : undefined,
+      plannedSession: req.body.plannedSession,
     });
+    if (result.status) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
 
-    res.status(201).json(workout);
+    const { track, samples, ...workout } = result.workout.toJSON();
+    res.status(201).json({ ...workout, personalRecords: result.personalRecords });
   } catch (error) {
+    if (error.name === 'ActivityFileError' || error.name === 'ValidationError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
     res.status(500).json({ message: error.message });
   }
 };
 
 // @desc    Update workout
 // @route   PUT /api/workouts/:id
-// @access  Private
+// @access  Private (owner)
 const updateWorkout = async (req, res) => {
   try {
-    const workout = await Workout.findById(req.params.id);
+    // Loaded and ownership-checked by the ownedResource middleware
+    const workout = req.resource;
+
+    const { type, duration, weight, calories } = req.body;
+    let updateData = { ...req.body };
+    // Ownership can't be changed through an update, and derived fields come from the server
+    delete updateData.userId;
+    delete updateData.totalVolume;
+    delete updateData.exercise;
+    delete updateData.met;
+    delete updateData.metCode;
+    delete updateData.template;
+    delete updateData.plannedSession;
+    delete updateData.track;
+    delete updateData.samples;
+    delete updateData.laps;
+    delete updateData.device;
+    delete updateData.source;
+    delete updateData.movingTime;
+    delete updateData.avgSpeed;
+    delete updateData.elevationGain;
+    delete updateData.cadence;
+    delete updateData.power;
+    delete updateData.calorieMethod;
+    delete updateData.distanceUnit;
 
-    if (!workout) {
-      return res.status(400).json({ message: 'Workout not found' });
+    if (req.body.tags !== undefined) {
+      const result = normalizeTags(req.body.tags);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      updateData.tags = result.tags;
+    }
+    // An empty rating clears it
+    if (req.body.rpe === '' || req.body.rpe === null) {
+      updateData.rpe = null;
     }
 
-    // Check for user
-    if (!req.user) {
-      return res.status(401).json({ message: 'User not found' });
+    if (req.body.distance !== undefined) {
+      const result = normalizeDistance(req.body.distance, req.body.distanceUnit);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      updateData.distance = result.distance === undefined ? null : result.distance;
     }
 
-    // Make sure the logged in user matches the workout user
-    if (workout.userId.toString() !== req.user.id) {
-      return res.status(401).json({ message: 'User not authorized' });
+    if (req.body.heartRate !== undefined) {
+      const result = normalizeHeartRate(req.body.heartRate);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      // Clearing it unsets the field rather than storing an empty object
+      updateData.heartRate = result.heartRate === undefined ? null : result.heartRate;
+    }
+    // Calories sent back unchanged (e.g. from the edit form) keep their method
+    if (calories && Number(calories) !== workout.calories) {
+      updateData.calorieMethod = 'manual';
     }
 
-    const { type, duration, weight, calories } = req.body;
-    let updateData = { ...req.body };
+    // Keep the library link in step with the type, and the MET with the speed and effort
+    let metValue = workout.met;
+    const distanceChanged = updateData.distance !== undefined;
+    const rpeChanged = req.body.rpe !== undefined;
+    if (type || distanceChanged || duration || rpeChanged) {
+      const libraryEntry = await Exercise.resolve(type || workout.type, req.user._id);
+      const selected = selectMet(type || workout.type, libraryEntry, {
+        distance: distanceChanged ? updateData.distance : workout.distance,
+        minutes: workout.movingTime ? workout.movingTime / 60 : (duration || workout.duration),
+        avgSpeed: workout.avgSpeed,
+        track: workout.track,
+        power: workout.power,
+        rpe: rpeChanged ? updateData.rpe : workout.rpe,
+      });
+      metValue = selected.met === undefined ? null : selected.met;
+      updateData.exercise = libraryEntry ? libraryEntry._id : null;
+      updateData.met = metValue;
+      updateData.metCode = selected.metCode || null;
+    }
 
-    // If type, duration, or weight are being updated and no manual calories provided
-    if ((type || duration || weight) && !calories) {
-      const finalType = type || workout.type;
+    if (req.body.exercises !== undefined) {
+      const result = normalizeExercises(req.body.exercises);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      updateData.exercises = result.exercises;
+      updateData.totalVolume = Workout.calculateVolume(result.exercises);
+    }
+
+    // If type, duration, distance, effort, weight or heart rate are being updated and no manual calories provided
+    if ((type || duration || distanceChanged || rpeChanged || weight || req.body.heartRate !== undefined) && !calories) {
       const finalDuration = duration || workout.duration;
       let finalWeight = weight || workout.weight;
       
@@ -141,46 +682,54 @@ const updateWorkout = async (req, res) => {
         }
       }
       
-      const calculatedCalories = calculateCalories(finalType, finalDuration, finalWeight);
-      if (calculatedCalories) {
-        updateData.calories = calculatedCalories;
+      // Workouts logged before the library existed have no stored MET yet
+      if (metValue === undefined) {
+        const libraryEntry = await Exercise.resolve(workout.type, req.user._id);
+        metValue = libraryEntry ? libraryEntry.met : null;
+      }
+
+      // Recorded activities keep their moving time; typed-in ones use the duration
+      const estimate = estimateCalories({
+        metValue,
+        duration: finalDuration,
+        activeMinutes: workout.movingTime ? workout.movingTime / 60 : finalDuration,
+        weight: finalWeight,
+        heartRate: updateData.heartRate !== undefined ? updateData.heartRate : workout.heartRate,
+        user: req.user,
+      });
+      if (estimate) {
+        updateData.calories = estimate.calories;
+        updateData.calorieMethod = estimate.calorieMethod;
       }
     }
 
     const updatedWorkout = await Workout.findByIdAndUpdate(
-      req.params.id, 
+      workout._id, 
       updateData, 
-      { new: true }
+      { new: true, runValidators: true }
     );
 
-    res.status(200).json(updatedWorkout);
+    const records = await refreshPersonalRecords(updatedWorkout);
+
+    res.status(200).json({ ...updatedWorkout.toJSON(), personalRecords: announceable(records) });
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
     res.status(500).json({ message: error.message });
   }
 };
 
 // @desc    Delete workout
 // @route   DELETE /api/workouts/:id
-// @access  Private
+// @access  Private (owner)
 const deleteWorkout = async (req, res) => {
   try {
-    const workout = await Workout.findById(req.params.id);
-
-    if (!workout) {
-      return res.status(400).json({ message: 'Workout not found' });
-    }
-
-    // Check for user
-    if (!req.user) {
-      return res.status(401).json({ message: 'User not found' });
-    }
-
-    // Make sure the logged in user matches the workout user
-    if (workout.userId.toString() !== req.user.id) {
-      return res.status(401).json({ message: 'User not authorized' });
-    }
+    // Loaded and ownership-checked by the ownedResource middleware
+    const workout = req.resource;
 
-    await Workout.findByIdAndDelete(req.params.id);
+    await workout.deleteOne();
+    await PersonalRecord.deleteMany({ workout: workout._id });
 
     res.status(200).json({ id: req.params.id });
   } catch (error) {
@@ -190,7 +739,12 @@ const deleteWorkout = async (req, res) => {
 
 module.exports = {
   getWorkouts,
+  getWorkout,
   setWorkout,
+  previewImport,
+  importWorkout,
   updateWorkout,
   deleteWorkout,
+  // Shared with live sessions, which save through the same path when finished
+  createWorkout,
 };
\ No newline at end of file
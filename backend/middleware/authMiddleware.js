@@ -1,7 +1,110 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const ApiToken = require('../models/ApiToken');
 
-const protect = async (req, res, next) => {
+// Only write lastUsedAt on an API token this often, not on every request
+const TOKEN_USAGE_WRITE_INTERVAL_MS = 60 * 1000;
+
+// What an account with an unverified email may do:
+//   allow     - everything
+//   read-only - GET/HEAD requests only
+//   grace     - everything for UNVERIFIED_GRACE_DAYS after sign-up, then read-only
+//   block     - nothing
+const UNVERIFIED_POLICIES = ['allow', 'read-only', 'grace', 'block'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const defaultUnverifiedPolicy = () => process.env.UNVERIFIED_ACCESS_POLICY || 'grace';
+
+// Returns an error message when the policy denies the request, otherwise null
+const checkUnverifiedPolicy = (policy, user, method) => {
+  if (user.isEmailVerified || policy === 'allow') return null;
+
+  if (policy === 'block') {
+    return 'Please verify your email address to continue';
+  }
+
+  if (policy === 'grace') {
+    const graceDays = parseInt(process.env.UNVERIFIED_GRACE_DAYS, 10) || 7;
+    const graceEndsAt = new Date(user.createdAt.getTime() + graceDays * 24 * 60 * 60 * 1000);
+    if (new Date() < graceEndsAt) return null;
+  }
+
+  if (READ_METHODS.includes(method)) return null;
+
+  return policy === 'grace'
+    ? 'Your verification grace period has ended. Please verify your email to make changes'
+    : 'Please verify your email address to make changes';
+};
+
+// Authenticate a session or impersonation JWT; throws when the token is unusable
+const authenticateJwt = async (token, req) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Purpose tokens (e.g. a 2FA login challenge) never grant API access
+  if (decoded.purpose) {
+    throw new Error('Purpose token used for API access');
+  }
+
+  // Every login token is bound to a session so it can be revoked; only impersonation
+  // tokens (short-lived, never refreshed) have none. Older tokens without one are refused.
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive()) {
+      throw new Error('Session revoked');
+    }
+    req.sessionId = session._id;
+  } else if (!decoded.impersonatedBy) {
+    throw new Error('Token has no session');
+  }
+
+  req.auth = { type: 'session' };
+  req.impersonator = decoded.impersonatedBy;
+
+  // Get user from token
+  req.user = await User.findById(decoded.id).select('-password');
+
+  // Tokens issued before the last password change are void, sessions or not.
+  // iat is in whole seconds, so a token from the same second as the change still counts.
+  if (req.user && req.user.passwordChangedAt
+    && decoded.iat < Math.floor(req.user.passwordChangedAt.getTime() / 1000)) {
+    throw new Error('Token issued before password change');
+  }
+};
+
+// Authenticate a personal access token; returns an error response body or null
+const authenticateApiToken = async (token, scope, req) => {
+  const apiToken = await ApiToken.findActiveByToken(token);
+  if (!apiToken) {
+    return { status: 401, body: { message: 'Not authorized, token revoked or expired' } };
+  }
+
+  // API tokens only reach routes that declare a scope, and only with that scope granted
+  if (!scope) {
+    return { status: 403, body: { message: 'This endpoint cannot be used with an API token', type: 'SESSION_REQUIRED' } };
+  }
+  if (!apiToken.scopes.includes(scope)) {
+    return { status: 403, body: { message: `API token is missing the "${scope}" scope`, type: 'INSUFFICIENT_SCOPE' } };
+  }
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > TOKEN_USAGE_WRITE_INTERVAL_MS) {
+    apiToken.lastUsedAt = new Date();
+    await apiToken.save();
+  }
+
+  req.auth = { type: 'api_token', tokenId: apiToken._id, scopes: apiToken.scopes };
+  req.user = await User.findById(apiToken.userId).select('-password');
+  return null;
+};
+
+// Build a protect middleware.
+//   scope      - permission an API token needs for this route (e.g. 'workouts:read');
+//                without one, only session tokens are accepted
+//   unverified - policy override for routes an unverified user must always reach
+//                (e.g. resending the verification email)
+const buildProtect = ({ unverified, scope } = {}) => async (req, res, next) => {
   let token;
 
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
@@ -9,17 +112,48 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
-
-      next();
+      if (ApiToken.isApiToken(token)) {
+        const failure = await authenticateApiToken(token, scope, req);
+        if (failure) {
+          return res.status(failure.status).json(failure.body);
+        }
+      } else {
+        await authenticateJwt(token, req);
+      }
     } catch (error) {
       console.error(error);
       return res.status(401).json({ message: 'Not authorized, token failed' });
     }
+
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authorized, user not found' });
+    }
+
+    if (req.user.disabledAt) {
+      return res.status(403).json({ message: 'This account has been disabled', type: 'ACCOUNT_DISABLED' });
+    }
+
+    if (req.impersonator && !READ_METHODS.includes(req.method)) {
+      // Anything an admin changes while acting as a user ends up in the audit log
+      await AuditLog.record(req, 'impersonated_request', {
+        actorId: req.impersonator,
+        targetUserId: req.user._id,
+        details: { method: req.method, path: req.originalUrl },
+      });
+    }
+
+    const policy = unverified || defaultUnverifiedPolicy();
+    if (!UNVERIFIED_POLICIES.includes(policy)) {
+      console.error(`Unknown unverified access policy "${policy}"`);
+      return res.status(500).json({ message: 'Server misconfiguration' });
+    }
+
+    const denied = checkUnverifiedPolicy(policy, req.user, req.method);
+    if (denied) {
+      return res.status(403).json({ message: denied, type: 'EMAIL_NOT_VERIFIED' });
+    }
+
+    return next();
   }
 
   if (!token) {
@@ -27,4 +161,30 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
\ No newline at end of file
+const protect = buildProtect();
+
+// protect for routes that API tokens may use with the given scope
+const protectFor = (scope) => buildProtect({ scope });
+
+// Restrict a route to the given roles; use after protect
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'You do not have permission to do that' });
+  }
+  next();
+};
+
+// Refuse credential changes (password, email, 2FA, API tokens) while an admin is
+// impersonating the user, so a short impersonation can't be turned into lasting access.
+// Use after protect.
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      message: 'Credentials cannot be changed while impersonating a user',
+      type: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+  next();
+};
+
+module.exports = { protect, protectFor, buildProtect, authorize, denyImpersonation };
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Load the document named by a route param and make sure the current user owns it.
+// The document is attached as req.resource for the controller.
+//
+//   router.delete('/:id', protect, ownedResource(Workout, { label: 'Workout' }), deleteWorkout);
+const ownedResource = (Model, {
+  label = Model.modelName,
+  param = 'id',
+  notFoundStatus = 404,
+  ownerField = 'userId',
+} = {}) => async (req, res, next) => {
+  try {
+    const id = req.params[param];
+
+    const resource = mongoose.Types.ObjectId.isValid(id) ? await Model.findById(id) : null;
+
+    if (!resource) {
+      return res.status(notFoundStatus).json({ message: `${label} not found` });
+    }
+
+    // Check for user
+    if (!req.user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    // Make sure the logged in user matches the resource owner
+    if (!resource[ownerField] || resource[ownerField].toString() !== req.user.id) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+
+    req.resource = resource;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = { ownedResource };
@@ -0,0 +1,106 @@
+// Fixed-window rate limiting. Counters live in a store with two async methods:
+//   increment(key, windowMs) -> { count, resetAt }
+//   reset(key)
+// MemoryStore is fine for a single process; pass a shared store (e.g. Redis-backed)
+// through the `store` option or setDefaultStore when running several instances.
+
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+
+    // Drop expired windows so the map doesn't grow without bound
+    this.cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) this.hits.delete(key);
+      }
+    }, cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+let defaultStore = null;
+
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = new MemoryStore();
+  return defaultStore;
+};
+
+const setDefaultStore = (store) => {
+  defaultStore = store;
+};
+
+// Bucket by client IP (set app 'trust proxy' when running behind a proxy)
+const keyByIp = (req) => req.ip;
+
+// Bucket by the account named in the request body; requests without one are not counted
+const keyByAccount = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+// Send a 429 with Retry-After in seconds
+const sendTooManyRequests = (res, retryAfterSeconds, message) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ message, retryAfter: retryAfterSeconds, type: 'RATE_LIMITED' });
+};
+
+const rateLimit = ({
+  name = 'global',
+  windowMs = 60 * 1000,
+  max = 60,
+  keyGenerator = keyByIp,
+  store,
+  message = 'Too many requests, please try again later',
+} = {}) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) return next();
+
+      const activeStore = store || getDefaultStore();
+      const { count, resetAt } = await activeStore.increment(`${name}:${key}`, windowMs);
+      const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(retryAfterSeconds));
+
+      if (count > max) {
+        return sendTooManyRequests(res, retryAfterSeconds, message);
+      }
+
+      next();
+    } catch (error) {
+      // A broken limiter store shouldn't take the API down with it
+      console.error('Rate limit store error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = {
+  rateLimit,
+  MemoryStore,
+  setDefaultStore,
+  keyByIp,
+  keyByAccount,
+  sendTooManyRequests,
+};
@@ -0,0 +1,41 @@
+const multer = require('multer');
+
+// Activity files are kept in memory: they are parsed straight away and never stored
+const MAX_ACTIVITY_FILE_BYTES = 20 * 1024 * 1024;
+const ACTIVITY_EXTENSIONS = ['gpx', 'tcx', 'fit'];
+
+const activityFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ACTIVITY_FILE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = file.originalname.toLowerCase().split('.').pop();
+    if (!ACTIVITY_EXTENSIONS.includes(extension)) {
+      const error = new Error(`Unsupported file type. Please upload a ${ACTIVITY_EXTENSIONS.map(extension => extension.toUpperCase()).join(' or ')} file`);
+      error.name = 'ActivityFileError';
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+// Accept one activity file in the "file" field; upload problems become a 400
+const activityUpload = (req, res, next) => {
+  activityFileUpload(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res.status(400).json({ message: 'Please choose an activity file to upload' });
+      }
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ message: `Activity files must be under ${MAX_ACTIVITY_FILE_BYTES / (1024 * 1024)} MB` });
+    }
+    if (error.name === 'MulterError' || error.name === 'ActivityFileError') {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  });
+};
+
+module.exports = { activityUpload };
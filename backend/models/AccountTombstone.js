@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Minimal record kept after an account is purged, so we can show that a
+// deletion request was honoured without retaining any of the user's data.
+const AccountTombstoneSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  // SHA-256 of the lower-cased email, to answer "was this address deleted?"
+  emailHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  requestedAt: {
+    type: Date,
+    required: true
+  },
+  purgedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Number of documents removed per collection
+  purgedCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AccountTombstone', AccountTombstoneSchema);
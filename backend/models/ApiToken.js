@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Permissions a personal access token can be granted
+const SCOPES = [
+  'workouts:read',
+  'workouts:write',
+  'exercises:read',
+  'exercises:write',
+  'nutrition:read',
+  'nutrition:write',
+  'progress:read',
+  'progress:write',
+  'analytics:read'
+];
+
+// Every token starts with this so it can be told apart from a session JWT
+const TOKEN_PREFIX = 'fbt_';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const ApiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a token name'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: SCOPES,
+        message: 'Unknown scope {VALUE}'
+      }
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'Please choose at least one scope'
+    }
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, shown in lists so users can tell tokens apart
+  displayPrefix: {
+    type: String,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ApiTokenSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method to create a token; the plain value is only ever returned here
+ApiTokenSchema.statics.createForUser = async function(userId, { name, scopes, expiresAt }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiToken = await this.create({
+    userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    displayPrefix: token.slice(0, TOKEN_PREFIX.length + 6)
+  });
+
+  return { apiToken, token };
+};
+
+// Static method to find the usable token matching a presented value
+ApiTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: { $exists: false },
+    $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// Static method to revoke every token for a user
+ApiTokenSchema.statics.revokeAllForUser = async function(userId) {
+  const result = await this.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+ApiTokenSchema.statics.isApiToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+const ApiToken = mongoose.model('ApiToken', ApiTokenSchema);
+ApiToken.SCOPES = SCOPES;
+
+module.exports = ApiToken;
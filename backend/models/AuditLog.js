@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Append-only record of administrative actions
+const AuditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+AuditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+
+// Static method to record an action taken in the context of a request
+AuditLogSchema.statics.record = function(req, action, { actorId, targetUserId, details } = {}) {
+  return this.create({
+    actorId: actorId || req.user._id,
+    action,
+    targetUserId,
+    details,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+};
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
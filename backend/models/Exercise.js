@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const CATEGORIES = ['cardio', 'strength', 'bodyweight', 'flexibility', 'sport'];
+
+const MUSCLE_GROUPS = [
+  'chest',
+  'back',
+  'shoulders',
+  'biceps',
+  'triceps',
+  'forearms',
+  'core',
+  'glutes',
+  'quadriceps',
+  'hamstrings',
+  'calves'
+];
+
+const slugify = (value) => value
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const ExerciseSchema = new mongoose.Schema({
+  // Library entries have no owner; custom exercises belong to the user who added them
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Stable key stored as a workout's type, e.g. "running" or "back-squat"
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add an exercise name'],
+    trim: true,
+    maxlength: [100, 'Exercise name cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Please choose a category'],
+    enum: {
+      values: CATEGORIES,
+      message: 'Category must be one of: ' + CATEGORIES.join(', ')
+    }
+  },
+  // Metabolic equivalent used for calorie estimates
+  met: {
+    type: Number,
+    required: [true, 'Please add a MET value'],
+    min: [1, 'MET value must be at least 1'],
+    max: [25, 'MET value cannot exceed 25']
+  },
+  primaryMuscles: [{
+    type: String,
+    enum: {
+      values: MUSCLE_GROUPS,
+      message: 'Unknown muscle group {VALUE}'
+    }
+  }],
+  secondaryMuscles: [{
+    type: String,
+    enum: {
+      values: MUSCLE_GROUPS,
+      message: 'Unknown muscle group {VALUE}'
+    }
+  }],
+  equipment: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One slug per owner: unique across the library and within each user's custom exercises
+ExerciseSchema.index({ userId: 1, slug: 1 }, { unique: true });
+ExerciseSchema.index({ category: 1, name: 1 });
+
+ExerciseSchema.virtual('isCustom').get(function() {
+  return Boolean(this.userId);
+});
+
+// Static method to load the bundled dataset; safe to run on every start
+ExerciseSchema.statics.seedLibrary = async function(entries) {
+  if (!entries.length) return 0;
+
+  const result = await this.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: { userId: null, slug: entry.slug },
+      update: { $set: { ...entry, userId: null } },
+      upsert: true
+    }
+  })));
+
+  return result.upsertedCount + result.modifiedCount;
+};
+
+// Static method to build a query filter over the library plus a user's own exercises
+ExerciseSchema.statics.buildSearchFilter = function(userId, { q, category, muscle, equipment, custom } = {}) {
+  const filter = { userId: { $in: [null, userId] } };
+
+  if (custom === 'true') filter.userId = userId;
+  if (custom === 'false') filter.userId = null;
+  if (category) filter.category = category;
+  if (equipment) filter.equipment = equipment.toLowerCase();
+  if (muscle) {
+    filter.$or = [{ primaryMuscles: muscle }, { secondaryMuscles: muscle }];
+  }
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+    filter.$and = [{ $or: [{ name: pattern }, { slug: pattern }] }];
+  }
+
+  return filter;
+};
+
+// Static method to find the exercise a workout type refers to.
+// A user's custom exercise wins over a library entry with the same slug.
+ExerciseSchema.statics.resolve = async function(type, userId) {
+  if (!type) return null;
+
+  const slug = slugify(type);
+  const matches = await this.find({
+    userId: { $in: [null, userId] },
+    $or: [{ slug }, { name: new RegExp(`^${escapeRegex(type.trim())}$`, 'i') }]
+  });
+
+  return matches.find(exercise => exercise.isCustom) || matches[0] || null;
+};
+
+const Exercise = mongoose.model('Exercise', ExerciseSchema);
+Exercise.CATEGORIES = CATEGORIES;
+Exercise.MUSCLE_GROUPS = MUSCLE_GROUPS;
+Exercise.slugify = slugify;
+
+module.exports = Exercise;
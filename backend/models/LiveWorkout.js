@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Workout = require('./Workout');
+
+const DEFAULT_REST_SECONDS = 90;
+
+const LiveSetSchema = new mongoose.Schema({
+  reps: {
+    type: Number,
+    min: 0
+  },
+  // Load in kg; 0 for bodyweight sets
+  load: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  setType: {
+    type: String,
+    enum: {
+      values: Workout.SET_TYPES,
+      message: 'Set type must be warmup, working or dropset'
+    },
+    default: 'working'
+  },
+  // Set when the set is ticked off; unticked sets aren't saved with the workout
+  completedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const LiveExerciseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please specify the exercise name'],
+    trim: true
+  },
+  exercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise'
+  },
+  sets: [LiveSetSchema]
+}, { _id: false });
+
+// A workout in progress. Each user has at most one; it is kept on the server so the
+// session survives a page reload or a switch to another device, and becomes a
+// Workout when finished.
+const LiveWorkoutSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Please specify workout type'],
+    trim: true
+  },
+  // Where the session came from, carried over to the finished workout
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkoutTemplate'
+  },
+  plannedSession: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrainingPlan'
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    date: {
+      type: Date
+    }
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Elapsed time stops while paused; earlier pauses are summed in pausedSeconds
+  pausedAt: {
+    type: Date
+  },
+  pausedSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Rest timer length used after each completed set
+  restSeconds: {
+    type: Number,
+    default: DEFAULT_REST_SECONDS,
+    min: [0, 'Rest time cannot be negative'],
+    max: [1800, 'Rest time cannot be more than 30 minutes']
+  },
+  // The rest timer currently running, if any
+  rest: {
+    startedAt: Date,
+    endsAt: Date
+  },
+  exercises: [LiveExerciseSchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Seconds of training so far, leaving out paused time
+LiveWorkoutSchema.methods.elapsedSeconds = function(now = new Date()) {
+  const pausedNow = this.pausedAt ? (now - this.pausedAt) / 1000 : 0;
+  return Math.max(0, Math.round((now - this.startedAt) / 1000 - this.pausedSeconds - pausedNow));
+};
+
+// The data for the finished Workout: completed sets only, duration from the clock
+LiveWorkoutSchema.methods.toWorkoutData = function(now = new Date()) {
+  const exercises = this.exercises
+    .map((exercise, order) => ({
+      name: exercise.name,
+      exercise: exercise.exercise,
+      order,
+      sets: exercise.sets
+        .filter(set => set.completedAt)
+        .map(set => ({ reps: set.reps || 0, load: set.load, setType: set.setType }))
+    }))
+    .filter(exercise => exercise.sets.length > 0);
+
+  return {
+    type: this.type,
+    duration: Math.max(1, Math.round(this.elapsedSeconds(now) / 60)),
+    date: this.startedAt,
+    template: this.template,
+    plannedSession: this.plannedSession && this.plannedSession.session ? this.plannedSession : undefined,
+    notes: this.notes,
+    exercises,
+  };
+};
+
+const LiveWorkout = mongoose.model('LiveWorkout', LiveWorkoutSchema);
+LiveWorkout.DEFAULT_REST_SECONDS = DEFAULT_REST_SECONDS;
+
+module.exports = LiveWorkout;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// What a record measures, and the unit its value is in
+const RECORD_TYPES = {
+  heaviest_weight: 'kg',
+  estimated_1rm: 'kg',
+  most_reps: 'reps',
+  best_volume: 'kg',
+  longest_duration: 'min',
+  longest_distance: 'km',
+  fastest_speed: 'km/h'
+};
+
+// Every PR is kept, so a lift's history is the list of its records in date order
+const PersonalRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workout',
+    required: true
+  },
+  // Normalized exercise name (or workout type for cardio), e.g. "back-squat"
+  exerciseKey: {
+    type: String,
+    required: true
+  },
+  exerciseName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recordType: {
+    type: String,
+    required: true,
+    enum: Object.keys(RECORD_TYPES)
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  // Load the reps were done at (most_reps only)
+  load: {
+    type: Number
+  },
+  // The set or effort behind the record, e.g. { reps: 5, load: 100 }
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Best value before this record, or null when it's the first one
+  previousValue: {
+    type: Number,
+    default: null
+  },
+  date: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+PersonalRecordSchema.index({ userId: 1, exerciseKey: 1, recordType: 1, load: 1, value: -1 });
+PersonalRecordSchema.index({ workout: 1 });
+
+const PersonalRecord = mongoose.model('PersonalRecord', PersonalRecordSchema);
+PersonalRecord.RECORD_TYPES = RECORD_TYPES;
+
+module.exports = PersonalRecord;
@@ -92,13 +92,24 @@ progressSchema.methods.getWeightChange = async function() {
   };
 };
 
-// Virtual for BMI calculation (requires height to be set)
+// Virtual for BMI calculation. Height lives on the user profile, so callers
+// attach it with entry.$locals.height (cm) before serializing.
 progressSchema.virtual('bmi').get(function() {
-  // This would need user height from user profile
-  // For now, return null - can be implemented when height is available
-  return null;
+  const height = this.$locals && this.$locals.height;
+  if (!height || !this.weight) return null;
+  const heightM = height / 100;
+  return parseFloat((this.weight / (heightM * heightM)).toFixed(1));
 });
 
+// Static method to attach the user's height to entries so the bmi virtual can be computed
+progressSchema.statics.withHeight = function(entries, height) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  list.forEach(entry => {
+    if (entry) entry.$locals.height = height;
+  });
+  return entries;
+};
+
 // Pre-save middleware to prevent duplicate entries on the same date
 progressSchema.pre('save', async function(next) {
   if (this.isNew) {
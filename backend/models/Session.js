@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Two tabs refreshing at once present the same token; the one that loses the swap
+// within this window is turned away without treating the token as stolen
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only a hash of the current refresh secret is stored; the secret rotates on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The secret it replaced and when, to tell a concurrent refresh from a replayed token
+  previousTokenHash: {
+    type: String
+  },
+  rotatedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Let MongoDB clean up sessions once the refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+// Static method to open a new session and return its first refresh token
+SessionSchema.statics.start = async function(userId, { userAgent, ip } = {}) {
+  const secret = crypto.randomBytes(40).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const session = await this.create({
+    userId,
+    refreshTokenHash: hashToken(secret),
+    expiresAt,
+    userAgent,
+    ip
+  });
+
+  return { session, refreshToken: buildRefreshToken(session._id, secret) };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Presenting an already-rotated token is treated as theft and revokes the session,
+// unless it was rotated moments ago by a concurrent refresh.
+SessionSchema.statics.rotate = async function(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const presentedHash = hashToken(parsed.secret);
+  const secret = crypto.randomBytes(40).toString('hex');
+  const now = new Date();
+
+  // Compare and swap in one step, so only one of two concurrent refreshes wins
+  const session = await this.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: presentedHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { $set: { refreshTokenHash: hashToken(secret), previousTokenHash: presentedHash, rotatedAt: now, lastUsedAt: now } },
+    { new: true }
+  );
+  if (session) {
+    return { session, refreshToken: buildRefreshToken(session._id, secret) };
+  }
+
+  const current = await this.findById(parsed.sessionId);
+  if (!current || !current.isActive()) return null;
+
+  const justRotated = current.previousTokenHash === presentedHash
+    && current.rotatedAt && now - current.rotatedAt < ROTATION_GRACE_MS;
+  if (!justRotated) {
+    await this.updateOne(
+      { _id: current._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    );
+  }
+  return null;
+};
+
+// Static method to revoke every open session for a user
+SessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout_all') {
+  const result = await this.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Instance method to check that the session can still be used
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const { PlannedExerciseSchema } = require('./WorkoutTemplate');
+const { DAY_MS, dayNumber } = require('../utils/dates');
+
+const WEEK_MS = 7 * DAY_MS;
+
+// Plans are scheduled in calendar days, each stored as UTC midnight of its date, like a
+// workout logged with a date only. A moment in time is placed on the day it falls on in
+// the user's timezone.
+const planDay = (date, timeZone = 'UTC') => new Date(dayNumber(date, timeZone) * DAY_MS);
+
+const PlannedSessionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please name each session'],
+    trim: true,
+    maxlength: [100, 'Session name cannot exceed 100 characters']
+  },
+  // 0 = Sunday ... 6 = Saturday
+  weekday: {
+    type: Number,
+    required: [true, 'Please choose a weekday for each session'],
+    min: 0,
+    max: 6
+  },
+  // Workout type logged for this session, e.g. "strength" or "running"
+  type: {
+    type: String,
+    required: [true, 'Please specify the session workout type'],
+    trim: true
+  },
+  // Target duration in minutes
+  duration: {
+    type: Number,
+    min: 1
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkoutTemplate'
+  },
+  exercises: [PlannedExerciseSchema]
+});
+
+const TrainingPlanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a plan name'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  weeks: {
+    type: Number,
+    required: [true, 'Please specify the plan length in weeks'],
+    min: [1, 'A plan must last at least 1 week'],
+    max: [52, 'A plan cannot last more than 52 weeks']
+  },
+  // Inactive plans keep their history but drop out of the schedule
+  active: {
+    type: Boolean,
+    default: true
+  },
+  sessions: [PlannedSessionSchema],
+  // Deload weeks: every Nth week and/or listed week numbers (1-based).
+  // Sessions in those weeks are scaled down by the factors below.
+  deload: {
+    everyNWeeks: {
+      type: Number,
+      min: 2
+    },
+    weeks: [{
+      type: Number,
+      min: 1
+    }],
+    volumeFactor: {
+      type: Number,
+      min: 0.1,
+      max: 1,
+      default: 0.6
+    },
+    loadFactor: {
+      type: Number,
+      min: 0.1,
+      max: 1,
+      default: 0.9
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+TrainingPlanSchema.index({ userId: 1, active: 1 });
+
+TrainingPlanSchema.pre('save', function(next) {
+  if (this.startDate) {
+    this.startDate = planDay(this.startDate);
+  }
+  next();
+});
+
+// First day after the plan ends
+TrainingPlanSchema.virtual('endDate').get(function() {
+  return this.startDate ? new Date(this.startDate.getTime() + this.weeks * WEEK_MS) : null;
+});
+
+// Instance method to check whether a 1-based plan week is a deload week
+TrainingPlanSchema.methods.isDeloadWeek = function(week) {
+  const { everyNWeeks, weeks = [] } = this.deload || {};
+  return weeks.includes(week) || Boolean(everyNWeeks && week % everyNWeeks === 0);
+};
+
+// Instance method to list scheduled sessions between two dates (end exclusive)
+TrainingPlanSchema.methods.listOccurrences = function(from = this.startDate, to = this.endDate) {
+  const planStart = planDay(this.startDate);
+  const rangeStart = Math.max(planStart.getTime(), planDay(from).getTime());
+  const rangeEnd = Math.min(this.endDate.getTime(), new Date(to).getTime());
+
+  const occurrences = [];
+  for (let time = rangeStart; time < rangeEnd; time += DAY_MS) {
+    const date = new Date(time);
+    const week = Math.floor((time - planStart.getTime()) / WEEK_MS) + 1;
+
+    this.sessions
+      .filter(session => session.weekday === date.getUTCDay())
+      .forEach(session => occurrences.push({
+        plan: this._id,
+        planName: this.name,
+        session: session._id,
+        sessionName: session.name,
+        type: session.type,
+        date,
+        week,
+        isDeload: this.isDeloadWeek(week)
+      }));
+  }
+
+  return occurrences;
+};
+
+// Instance method to find the day a session is scheduled in the plan week that contains
+// the calendar day `date`. Null when the session doesn't exist or the week is outside the plan.
+TrainingPlanSchema.methods.scheduledDate = function(sessionId, date) {
+  const session = this.sessions.id(sessionId);
+  if (!session) return null;
+
+  const planStart = planDay(this.startDate).getTime();
+  const week = Math.floor((planDay(date).getTime() - planStart) / WEEK_MS);
+  if (week < 0 || week >= this.weeks) return null;
+
+  const weekStart = planStart + week * WEEK_MS;
+  const offset = (session.weekday - new Date(weekStart).getUTCDay() + 7) % 7;
+  return new Date(weekStart + offset * DAY_MS);
+};
+
+// Instance method to build an editable workout (not saved) for one scheduled session,
+// scaled down when it falls in a deload week. The workout is linked to the session's
+// day in the plan week of `date` (in `timeZone`); null when that week is outside the plan.
+TrainingPlanSchema.methods.toWorkoutDraft = function(sessionId, date, timeZone = 'UTC') {
+  const session = this.sessions.id(sessionId);
+  const day = this.scheduledDate(sessionId, planDay(date, timeZone));
+  if (!session || !day) return null;
+
+  const week = Math.floor((day - planDay(this.startDate)) / WEEK_MS) + 1;
+  const isDeload = this.isDeloadWeek(week);
+  const volumeFactor = isDeload ? this.deload.volumeFactor : 1;
+  const loadFactor = isDeload ? this.deload.loadFactor : 1;
+
+  return {
+    type: session.type,
+    duration: session.duration,
+    template: session.template,
+    plannedSession: { plan: this._id, session: session._id, date: day },
+    isDeload,
+    week,
+    exercises: [...session.exercises]
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .map((exercise, order) => ({
+        name: exercise.name,
+        exercise: exercise.exercise,
+        order,
+        sets: Array.from({ length: Math.max(1, Math.round(exercise.targetSets * volumeFactor)) }, () => ({
+          reps: exercise.targetReps,
+          // Round deload loads to the nearest 0.5 kg
+          load: exercise.targetLoad ? Math.round(exercise.targetLoad * loadFactor * 2) / 2 : 0,
+          setType: 'working'
+        }))
+      }))
+  };
+};
+
+const TrainingPlan = mongoose.model('TrainingPlan', TrainingPlanSchema);
+TrainingPlan.planDay = planDay;
+
+module.exports = TrainingPlan;
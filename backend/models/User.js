@@ -1,5 +1,60 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { MUSCLE_GROUPS } = require('./Exercise');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+// Multipliers applied to BMR to estimate total daily energy expenditure
+const ACTIVITY_FACTORS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9
+};
+
+const HR_ZONE_METHODS = ['max', 'hrr', 'threshold'];
+
+// How next-session lifting targets are worked out (see utils/progression.js)
+const PROGRESSION_SCHEMES = ['linear', 'double', 'percentage'];
+
+// Five-zone models as [name, lower, upper] fractions of the reference heart rate:
+// max HR (classic 50-100% split), heart rate reserve (Karvonen: the same split of
+// max minus resting HR, added to resting HR) or lactate threshold HR (Friel)
+const MAX_HR_ZONES = [
+  ['Recovery', 0.5, 0.6],
+  ['Endurance', 0.6, 0.7],
+  ['Tempo', 0.7, 0.8],
+  ['Threshold', 0.8, 0.9],
+  ['VO2 max', 0.9, 1.0]
+];
+
+const HR_ZONE_MODELS = {
+  max: MAX_HR_ZONES,
+  hrr: MAX_HR_ZONES,
+  threshold: [
+    ['Recovery', 0, 0.85],
+    ['Endurance', 0.85, 0.9],
+    ['Tempo', 0.9, 0.95],
+    ['Threshold', 0.95, 1.0],
+    ['VO2 max', 1.0, 1.1]
+  ]
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -14,10 +69,258 @@ const UserSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // New address waiting for confirmation; email only changes once the link is opened
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
   password: {
     type: String,
     required: [true, 'Please add a password'],
     minlength: 6
+  },
+  // Set on every password change; JWTs issued before it are refused by protect
+  passwordChangedAt: {
+    type: Date
+  },
+  // Password reset: only the SHA-256 of the emailed token is kept
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['user', 'coach', 'admin'],
+      message: 'Role must be user, coach or admin'
+    },
+    default: 'user'
+  },
+  // Set by an admin; disabled accounts can't sign in or use existing tokens
+  disabledAt: {
+    type: Date
+  },
+  disabledReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Profile, stored in metric units regardless of the display preference
+  height: {
+    type: Number,
+    min: [50, 'Height must be at least 50 cm'],
+    max: [272, 'Height must be less than 272 cm']
+  },
+  birthDate: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        const age = (Date.now() - value.getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+        return age >= 13 && age <= 120;
+      },
+      message: 'Birth date must give an age between 13 and 120'
+    }
+  },
+  sex: {
+    type: String,
+    enum: {
+      values: ['male', 'female', 'other'],
+      message: 'Sex must be male, female or other'
+    }
+  },
+  activityLevel: {
+    type: String,
+    enum: {
+      values: Object.keys(ACTIVITY_FACTORS),
+      message: `Activity level must be one of: ${Object.keys(ACTIVITY_FACTORS).join(', ')}`
+    }
+  },
+  // Scale MET calorie estimates to the user's own resting metabolic rate (from BMR)
+  // instead of the standard 3.5 ml O2/kg/min. Opt-in, so existing estimates don't change.
+  correctedMet: {
+    type: Boolean,
+    default: false
+  },
+  // Heart-rate profile for zones and HR-based calorie estimates (bpm).
+  // Zones come from max HR or, with hrZoneMethod 'hrr', from the reserve between resting
+  // and max HR, or with 'threshold', from lactate threshold HR.
+  maxHeartRate: {
+    type: Number,
+    min: [100, 'Max heart rate must be at least 100 bpm'],
+    max: [230, 'Max heart rate must be at most 230 bpm']
+  },
+  restingHeartRate: {
+    type: Number,
+    min: [25, 'Resting heart rate must be at least 25 bpm'],
+    max: [120, 'Resting heart rate must be at most 120 bpm']
+  },
+  thresholdHeartRate: {
+    type: Number,
+    min: [80, 'Threshold heart rate must be at least 80 bpm'],
+    max: [220, 'Threshold heart rate must be at most 220 bpm']
+  },
+  hrZoneMethod: {
+    type: String,
+    enum: {
+      values: HR_ZONE_METHODS,
+      message: 'Zone method must be max, hrr or threshold'
+    },
+    default: 'max'
+  },
+  // Progression settings for next-session recommendations; loads in kg
+  progression: {
+    scheme: {
+      type: String,
+      enum: {
+        values: PROGRESSION_SCHEMES,
+        message: 'Progression scheme must be linear, double or percentage'
+      },
+      default: 'double'
+    },
+    increment: {
+      type: Number,
+      default: 2.5,
+      min: [0.5, 'Load increment must be at least 0.5 kg'],
+      max: [20, 'Load increment must be at most 20 kg']
+    },
+    targetReps: {
+      type: Number,
+      default: 5,
+      min: [1, 'Target reps must be at least 1'],
+      max: [30, 'Target reps must be at most 30']
+    },
+    repRangeMin: {
+      type: Number,
+      default: 8,
+      min: [1, 'Rep range must start at 1 or more']
+    },
+    repRangeMax: {
+      type: Number,
+      default: 12,
+      max: [50, 'Rep range must end at 50 or less'],
+      validate: {
+        validator: function(value) {
+          const min = this.progression ? this.progression.repRangeMin : this.repRangeMin;
+          return min === undefined || value >= min;
+        },
+        message: 'Rep range must end at or above where it starts'
+      }
+    },
+    percentage: {
+      type: Number,
+      default: 80,
+      min: [40, 'Percentage of 1RM must be at least 40'],
+      max: [100, 'Percentage of 1RM must be at most 100']
+    },
+    stallSessions: {
+      type: Number,
+      default: 3,
+      min: [2, 'Stall detection needs at least 2 sessions'],
+      max: [10, 'Stall detection looks at most 10 sessions back']
+    }
+  },
+  // Weekly hard-set targets per muscle group; unset muscles use the defaults in utils/muscleVolume.js
+  volumeTargets: Object.fromEntries(MUSCLE_GROUPS.map(muscle => [muscle, {
+    min: {
+      type: Number,
+      min: [0, 'Weekly set targets cannot be negative'],
+      max: [50, 'Weekly set targets must be at most 50']
+    },
+    max: {
+      type: Number,
+      min: [1, 'Weekly set targets must allow at least 1 set'],
+      max: [50, 'Weekly set targets must be at most 50'],
+      validate: {
+        validator: function(value) {
+          const targets = this.volumeTargets ? this.volumeTargets[muscle] : this[muscle];
+          const min = targets && targets.min;
+          return min === undefined || min === null || value >= min;
+        },
+        message: `The ${muscle} set target must end at or above where it starts`
+      }
+    }
+  }])),
+  units: {
+    type: String,
+    enum: {
+      values: ['metric', 'imperial'],
+      message: 'Units must be metric or imperial'
+    },
+    default: 'metric'
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Unknown timezone'
+    }
+  },
+  // TOTP two-factor authentication; secrets and recovery code hashes are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodeHashes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed within its window
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Brute-force protection: consecutive failed sign-ins and temporary lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // Account deletion: the account is purged once deletionScheduledFor has passed
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date,
+    index: true
+  },
+  // Left unset on accounts created before verification existed; those count as verified
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -26,7 +329,10 @@ const UserSchema = new mongoose.Schema({
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
+  }
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
@@ -37,4 +343,150 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a single-use password reset token; returns the plain token for the email
+UserSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Find the user owning an unexpired password reset token
+UserSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetTokenHash +passwordResetExpires');
+};
+
+// Generate an email verification token; returns the plain token for the email
+UserSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Find the user owning an unexpired email verification token
+UserSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  }).select('+emailVerificationTokenHash +emailVerificationExpires');
+};
+
+// Seconds left on a login lockout, or 0 when the account isn't locked
+UserSchema.methods.getLockRemainingSeconds = function() {
+  if (!this.lockUntil) return 0;
+  return Math.max(0, Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000));
+};
+
+// Count a failed sign-in; locks the account after MAX_FAILED_LOGINS in a row
+UserSchema.methods.registerFailedLogin = async function() {
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+  if (this.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    this.lockUntil = new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000);
+    this.failedLoginAttempts = 0;
+  }
+  await this.save();
+};
+
+// Clear the failure counter after a successful sign-in
+UserSchema.methods.resetFailedLogins = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return;
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  await this.save();
+};
+
+// Age in whole years, or null when no birth date is set
+UserSchema.methods.getAge = function(onDate = new Date()) {
+  if (!this.birthDate) return null;
+  let age = onDate.getFullYear() - this.birthDate.getFullYear();
+  const birthdayPassed =
+    onDate.getMonth() > this.birthDate.getMonth() ||
+    (onDate.getMonth() === this.birthDate.getMonth() && onDate.getDate() >= this.birthDate.getDate());
+  if (!birthdayPassed) age--;
+  return age;
+};
+
+// Basal metabolic rate (kcal/day) using Mifflin-St Jeor; null when the profile is incomplete
+UserSchema.methods.getBmr = function(weightKg) {
+  const age = this.getAge();
+  if (!weightKg || !this.height || age === null || !this.sex) return null;
+
+  const base = 10 * weightKg + 6.25 * this.height - 5 * age;
+  // No sex-specific constant applies to 'other', so use the midpoint of the two
+  const sexOffset = { male: 5, female: -161, other: -78 }[this.sex];
+  return Math.round(base + sexOffset);
+};
+
+// Total daily energy expenditure (kcal/day) from BMR and activity level
+UserSchema.methods.getTdee = function(weightKg) {
+  const bmr = this.getBmr(weightKg);
+  if (!bmr || !this.activityLevel) return null;
+  return Math.round(bmr * ACTIVITY_FACTORS[this.activityLevel]);
+};
+
+// Max heart rate: the measured value, else estimated from age (Tanaka: 208 - 0.7 x age)
+UserSchema.methods.getMaxHeartRate = function() {
+  if (this.maxHeartRate) return this.maxHeartRate;
+  const age = this.getAge();
+  return age === null ? null : Math.round(208 - 0.7 * age);
+};
+
+// Five training zones as { method, zones: [{ zone, name, min, max }] } in bpm,
+// or null when there's nothing to base them on. A method whose heart rate isn't set
+// falls back to max HR.
+UserSchema.methods.getHeartRateZones = function() {
+  let method = 'max';
+  if (this.hrZoneMethod === 'threshold' && this.thresholdHeartRate) method = 'threshold';
+  if (this.hrZoneMethod === 'hrr' && this.restingHeartRate) method = 'hrr';
+
+  // Zone bounds are base + range x fraction
+  const maxHeartRate = this.getMaxHeartRate();
+  let base = 0;
+  let range = method === 'threshold' ? this.thresholdHeartRate : maxHeartRate;
+  if (method === 'hrr' && maxHeartRate) {
+    base = this.restingHeartRate;
+    range = maxHeartRate - this.restingHeartRate;
+  }
+  if (!(range > 0)) return null;
+
+  return {
+    method,
+    estimated: method !== 'threshold' && !this.maxHeartRate,
+    zones: HR_ZONE_MODELS[method].map(([name, lower, upper], index) => ({
+      zone: index + 1,
+      name,
+      min: Math.round(base + range * lower),
+      max: Math.round(base + range * upper)
+    }))
+  };
+};
+
+// Generate fresh one-time recovery codes; stores their hashes and returns the plain codes
+UserSchema.methods.createRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodeHashes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Consume a recovery code; returns true if it was valid (requires +twoFactor.recoveryCodeHashes)
+UserSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code || '').trim().toLowerCase());
+  const hashes = this.twoFactor.recoveryCodeHashes || [];
+  if (!hashes.includes(codeHash)) return false;
+  this.twoFactor.recoveryCodeHashes = hashes.filter(hash => hash !== codeHash);
+  return true;
+};
+
+// Virtual for verification state (legacy accounts without the flag are trusted)
+UserSchema.virtual('isEmailVerified').get(function() {
+  return this.emailVerified !== false;
+});
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
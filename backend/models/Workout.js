@@ -1,5 +1,129 @@
 const mongoose = require('mongoose');
 
+const SET_TYPES = ['warmup', 'working', 'dropset'];
+
+const SetSchema = new mongoose.Schema({
+  reps: {
+    type: Number,
+    required: [true, 'Please specify reps for each set'],
+    min: 0
+  },
+  // Load in kg; 0 for bodyweight sets
+  load: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  setType: {
+    type: String,
+    enum: {
+      values: SET_TYPES,
+      message: 'Set type must be warmup, working or dropset'
+    },
+    default: 'working'
+  }
+}, { _id: false });
+
+const ExerciseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please specify the exercise name'],
+    trim: true
+  },
+  exercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise'
+  },
+  // Position within the session, starting at 0
+  order: {
+    type: Number,
+    min: 0
+  },
+  sets: [SetSchema]
+}, { _id: false });
+
+const SOURCES = ['manual', 'gpx', 'tcx', 'fit'];
+const CALORIE_METHODS = ['manual', 'met', 'heart_rate'];
+// Fields the workout history can be sorted by. Calories can be cleared, so paging
+// has to cope with a missing sort value.
+const SORT_FIELDS = ['date', 'duration', 'calories'];
+
+// History filter query parameters; each must be a single string, never an array or object
+const HISTORY_PARAMS = ['type', 'tag', 'q', 'from', 'to', 'minDuration', 'maxDuration', 'minCalories', 'maxCalories'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Imports starting this close to an existing one are treated as possible duplicates
+const DUPLICATE_WINDOW_MS = 60 * 1000;
+
+// A point on a recorded route, kept after simplification
+const TrackPointSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    required: true
+  },
+  lon: {
+    type: Number,
+    required: true
+  },
+  // Elevation in metres
+  ele: {
+    type: Number
+  },
+  time: {
+    type: Date
+  },
+  hr: {
+    type: Number
+  }
+}, { _id: false });
+
+// Lap or interval as split by the device; times in seconds, distance in km
+const LapSchema = new mongoose.Schema({
+  startTime: {
+    type: Date
+  },
+  elapsedTime: {
+    type: Number,
+    min: 0
+  },
+  movingTime: {
+    type: Number,
+    min: 0
+  },
+  distance: {
+    type: Number,
+    min: 0
+  },
+  // km/h
+  avgSpeed: {
+    type: Number,
+    min: 0
+  },
+  avgHeartRate: Number,
+  maxHeartRate: Number,
+  avgCadence: Number,
+  avgPower: Number,
+  maxPower: Number,
+  elevationGain: {
+    type: Number,
+    min: 0
+  },
+  calories: Number
+}, { _id: false });
+
+// Sensor readings over time; offset is seconds from the workout start
+const SampleSchema = new mongoose.Schema({
+  offset: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  hr: Number,
+  cadence: Number,
+  power: Number
+}, { _id: false });
+
 const WorkoutSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,6 +135,39 @@ const WorkoutSchema = new mongoose.Schema({
     required: [true, 'Please specify workout type'],
     trim: true
   },
+  // Library entry the type was matched to, and the MET value used for calories
+  exercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise'
+  },
+  met: {
+    type: Number,
+    min: 0
+  },
+  // Compendium of Physical Activities code the MET came from (see data/compendium.json);
+  // unset when the library value was used
+  metCode: {
+    type: String
+  },
+  // Template the session was started from, if any
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkoutTemplate'
+  },
+  // Training plan session this workout completes, if any
+  plannedSession: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrainingPlan'
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Day the session was scheduled for (UTC midnight)
+    date: {
+      type: Date
+    }
+  },
   duration: {
     type: Number,
     required: [true, 'Please specify duration in minutes'],
@@ -24,15 +181,204 @@ const WorkoutSchema = new mongoose.Schema({
     type: Number,
     min: 1
   },
+  // How the calories were arrived at: entered by the user, MET x weight x time,
+  // or from average heart rate
+  calorieMethod: {
+    type: String,
+    enum: CALORIE_METHODS
+  },
   date: {
     type: Date,
     default: Date.now
+  },
+  // Session rating of perceived exertion on the CR-10 scale (1 = very easy, 10 = maximal)
+  rpe: {
+    type: Number,
+    min: [1, 'RPE must be between 1 and 10'],
+    max: [10, 'RPE must be between 1 and 10']
+  },
+  // Lower-case labels for grouping workouts, e.g. "race" or "hotel gym"
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tags cannot be more than 30 characters']
+  }],
+  // Free-text notes, searchable from the workout history
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  // Strength sessions: the exercises performed, in order
+  exercises: [ExerciseSchema],
+  // Sum of reps x load over working and drop sets (kg)
+  totalVolume: {
+    type: Number,
+    min: 0
+  },
+  // Distance covered in km
+  distance: {
+    type: Number,
+    min: 0
+  },
+  // Recorded activities: time spent moving in seconds, total climb in metres
+  // and average moving speed in km/h
+  movingTime: {
+    type: Number,
+    min: 0
+  },
+  elevationGain: {
+    type: Number,
+    min: 0
+  },
+  avgSpeed: {
+    type: Number,
+    min: 0
+  },
+  // Average and maximum heart rate (bpm), recorded or typed in
+  heartRate: {
+    avg: {
+      type: Number,
+      min: [30, 'Average heart rate must be at least 30 bpm'],
+      max: [250, 'Average heart rate must be at most 250 bpm']
+    },
+    max: {
+      type: Number,
+      min: [30, 'Max heart rate must be at least 30 bpm'],
+      max: [250, 'Max heart rate must be at most 250 bpm']
+    }
+  },
+  // Steps or revolutions per minute, and watts
+  cadence: {
+    avg: Number,
+    max: Number
+  },
+  power: {
+    avg: Number,
+    max: Number
+  },
+  laps: [LapSchema],
+  // Simplified route and thinned sensor samples; both left out of workout lists
+  track: [TrackPointSchema],
+  samples: [SampleSchema],
+  // Recording device, used to spot the same activity imported twice
+  device: {
+    manufacturer: String,
+    product: String,
+    serialNumber: String
+  },
+  // Where the workout came from: typed in, or imported from a device file
+  source: {
+    type: {
+      type: String,
+      enum: SOURCES,
+      default: 'manual'
+    },
+    fileName: {
+      type: String,
+      trim: true
+    }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Average speed in km/h: as recorded, or from distance over moving time (else duration)
+WorkoutSchema.virtual('speed').get(function() {
+  if (this.avgSpeed) return this.avgSpeed;
+  const hours = this.movingTime ? this.movingTime / 3600 : this.duration / 60;
+  if (!(this.distance > 0) || !(hours > 0)) return undefined;
+  return Math.round((this.distance / hours) * 100) / 100;
+});
+
+// Pace in seconds per km
+WorkoutSchema.virtual('pace').get(function() {
+  const speed = this.speed;
+  return speed > 0 ? Math.round(3600 / speed) : undefined;
 });
 
 // Index for efficient analytics queries
 WorkoutSchema.index({ userId: 1, date: -1 });
+WorkoutSchema.index({ 'plannedSession.plan': 1, 'plannedSession.date': 1 });
+
+// Static method to find an imported workout that looks like the same recording:
+// starting within a minute, from the same device when the file names one
+WorkoutSchema.statics.findDuplicateActivity = function(userId, startTime, device = {}) {
+  if (!startTime) return null;
+
+  const filter = {
+    userId,
+    date: {
+      $gte: new Date(startTime.getTime() - DUPLICATE_WINDOW_MS),
+      $lte: new Date(startTime.getTime() + DUPLICATE_WINDOW_MS)
+    }
+  };
+  if (device && device.serialNumber) {
+    filter['device.serialNumber'] = device.serialNumber;
+  } else {
+    filter['source.type'] = { $in: SOURCES.filter(source => source !== 'manual') };
+  }
+
+  return this.findOne(filter).select('-track -samples');
+};
+
+// Static method to build a query filter over a user's workout history.
+// Returns { filter }, or { error } when a parameter can't be read.
+WorkoutSchema.statics.buildHistoryFilter = function(userId, query = {}) {
+  const filter = { userId: new mongoose.Types.ObjectId(userId) };
+
+  // ?type[$ne]=x or ?q[]=x arrive as objects and arrays; never let them into the filter
+  const invalid = HISTORY_PARAMS.find(param => query[param] !== undefined && typeof query[param] !== 'string');
+  if (invalid) return { error: `"${invalid}" must be a single value` };
+
+  if (query.type) filter.type = query.type;
+  if (query.tag) filter.tags = query.tag.trim().toLowerCase();
+
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) return { error: `"${param}" must be a date` };
+    // A plain date as the upper bound includes the whole day
+    if (param === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[param])) date.setUTCHours(23, 59, 59, 999);
+    filter.date = { ...filter.date, [operator]: date };
+  }
+
+  const ranges = [
+    ['duration', 'minDuration', 'maxDuration'],
+    ['calories', 'minCalories', 'maxCalories'],
+  ];
+  for (const [field, minParam, maxParam] of ranges) {
+    for (const [param, operator] of [[minParam, '$gte'], [maxParam, '$lte']]) {
+      if (query[param] === undefined || query[param] === '') continue;
+      const value = Number(query[param]);
+      if (!Number.isFinite(value)) return { error: `"${param}" must be a number` };
+      filter[field] = { ...filter[field], [operator]: value };
+    }
+  }
+
+  if (query.q && query.q.trim()) {
+    filter.notes = new RegExp(escapeRegex(query.q.trim()), 'i');
+  }
+
+  return { filter };
+};
+
+// Static method to total reps x load for a list of exercises; warm-up sets don't count
+WorkoutSchema.statics.calculateVolume = function(exercises = []) {
+  return exercises.reduce((total, exercise) => {
+    return total + (exercise.sets || [])
+      .filter(set => set.setType !== 'warmup')
+      .reduce((sum, set) => sum + (set.reps || 0) * (set.load || 0), 0);
+  }, 0);
+};
+
+const Workout = mongoose.model('Workout', WorkoutSchema);
+Workout.SET_TYPES = SET_TYPES;
+Workout.SOURCES = SOURCES;
+Workout.CALORIE_METHODS = CALORIE_METHODS;
+Workout.SORT_FIELDS = SORT_FIELDS;
 
-module.exports = mongoose.model('Workout', WorkoutSchema);
\ No newline at end of file
+module.exports = Workout;
\ No newline at end of file
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const PlannedExerciseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please specify the exercise name'],
+    trim: true
+  },
+  exercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise'
+  },
+  order: {
+    type: Number,
+    min: 0
+  },
+  targetSets: {
+    type: Number,
+    required: [true, 'Please specify target sets'],
+    min: [1, 'Target sets must be at least 1'],
+    max: [20, 'Target sets cannot exceed 20']
+  },
+  targetReps: {
+    type: Number,
+    required: [true, 'Please specify target reps'],
+    min: [1, 'Target reps must be at least 1']
+  },
+  // Planned load in kg; left empty for bodyweight or "pick on the day"
+  targetLoad: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const WorkoutTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a template name'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Workout type used when a session is started from this template
+  type: {
+    type: String,
+    required: [true, 'Please specify workout type'],
+    trim: true,
+    default: 'strength'
+  },
+  // Target duration in minutes
+  duration: {
+    type: Number,
+    min: 1
+  },
+  exercises: [PlannedExerciseSchema],
+  timesUsed: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+WorkoutTemplateSchema.index({ userId: 1, name: 1 });
+
+// Static method to turn a logged workout into planned exercises.
+// Only working sets count; targets come from the heaviest of them for each exercise.
+WorkoutTemplateSchema.statics.plannedExercisesFromWorkout = function(workout) {
+  return [...(workout.exercises || [])]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map((exercise, order) => {
+      const workingSets = exercise.sets.filter(set => set.setType === 'working');
+      const sets = workingSets.length ? workingSets : exercise.sets;
+      const topSet = sets.reduce((best, set) => ((set.load || 0) > (best.load || 0) ? set : best), sets[0] || {});
+
+      return {
+        name: exercise.name,
+        exercise: exercise.exercise,
+        order,
+        targetSets: Math.max(1, sets.length),
+        targetReps: Math.max(1, topSet.reps || 1),
+        targetLoad: topSet.load || undefined
+      };
+    });
+};
+
+// Instance method to build an editable workout (not saved) from the template
+WorkoutTemplateSchema.methods.toWorkoutDraft = function() {
+  return {
+    type: this.type,
+    duration: this.duration,
+    template: this._id,
+    exercises: [...this.exercises]
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .map((exercise, order) => ({
+        name: exercise.name,
+        exercise: exercise.exercise,
+        order,
+        sets: Array.from({ length: exercise.targetSets }, () => ({
+          reps: exercise.targetReps,
+          load: exercise.targetLoad || 0,
+          setType: 'working'
+        }))
+      }))
+  };
+};
+
+const WorkoutTemplate = mongoose.model('WorkoutTemplate', WorkoutTemplateSchema);
+// Shared with training plan sessions
+WorkoutTemplate.PlannedExerciseSchema = PlannedExerciseSchema;
+
+module.exports = WorkoutTemplate;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listUsers,
+  getUser,
+  updateUserRole,
+  disableUser,
+  enableUser,
+  impersonateUser,
+  getAuditLog,
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Every admin route requires an admin account
+router.use(protect, authorize('admin'));
+
+router.get('/users', listUsers);
+router.get('/users/:id', getUser);
+router.patch('/users/:id/role', updateUserRole);
+router.post('/users/:id/disable', disableUser);
+router.post('/users/:id/enable', enableUser);
+router.post('/users/:id/impersonate', impersonateUser);
+router.get('/audit-log', getAuditLog);
+
+module.exports = router;
@@ -1,14 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/authMiddleware');
+const { protectFor } = require('../middleware/authMiddleware');
 const { 
   getOverview,
   getCaloriesData,
   getMacrosData,
   getWeightTrend,
-  getForecast
+  getForecast,
+  getPaceTrend,
+  getTrainingLoad,
+  getMuscleVolume
 } = require('../controllers/analyticsController');
 
+// Session users, or API tokens with the analytics:read scope
+const protect = protectFor('analytics:read');
+
 // Existing route
 router.get('/overview', protect, getOverview);
 
@@ -17,5 +23,8 @@ router.get('/calories', protect, getCaloriesData);
 router.get('/macros', protect, getMacrosData);
 router.get('/weight-trend', protect, getWeightTrend);
 router.get('/forecast', protect, getForecast);
+router.get('/pace', protect, getPaceTrend);
+router.get('/training-load', protect, getTrainingLoad);
+router.get('/muscle-volume', protect, getMuscleVolume);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+} = require('../controllers/apiTokenController');
+
+// Plain protect: tokens can only be managed from a signed-in session, and not by an
+// admin impersonating the user
+const { protect, denyImpersonation } = require('../middleware/authMiddleware');
+
+router.route('/').get(protect, getApiTokens).post(protect, denyImpersonation, createApiToken);
+router.route('/:id').delete(protect, denyImpersonation, revokeApiToken);
+
+module.exports = router;
@@ -4,11 +4,55 @@ const {
   registerUser,
   loginUser,
   getMe,
+  updateMe,
+  deleteMe,
+  cancelDeletion,
+  refreshToken,
+  logoutUser,
+  logoutAllDevices,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  changeEmail,
+  cancelEmailChange,
 } = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} = require('../controllers/twoFactorController');
+const { buildProtect, denyImpersonation } = require('../middleware/authMiddleware');
+
+// Account routes stay reachable while the email is still unverified
+const protect = buildProtect({ unverified: 'allow' });
 
 router.post('/register', registerUser);
 router.post('/login', loginUser);
-router.get('/me', protect, getMe);
+router.post('/login/2fa', verifyTwoFactorLogin);
+router.post('/refresh', refreshToken);
+router.post('/logout', protect, logoutUser);
+router.post('/logout-all', protect, logoutAllDevices);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.route('/me').get(protect, getMe).put(protect, updateMe).delete(protect, deleteMe);
+router.post('/me/cancel-deletion', protect, cancelDeletion);
+
+// Credential changes (current password required); never while impersonating
+router.put('/password', protect, denyImpersonation, changePassword);
+router.route('/email')
+  .put(protect, denyImpersonation, changeEmail)
+  .delete(protect, denyImpersonation, cancelEmailChange);
+
+// Two-factor authentication
+router.post('/2fa/setup', protect, denyImpersonation, setupTwoFactor);
+router.post('/2fa/enable', protect, denyImpersonation, enableTwoFactor);
+router.post('/2fa/disable', protect, denyImpersonation, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, denyImpersonation, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getExercises,
+  getExerciseFilters,
+  createExercise,
+  updateExercise,
+  deleteExercise,
+} = require('../controllers/exerciseController');
+
+const { protectFor } = require('../middleware/authMiddleware');
+const { ownedResource } = require('../middleware/ownershipMiddleware');
+const Exercise = require('../models/Exercise');
+
+// Session users, or API tokens with the matching exercises scope
+const protectRead = protectFor('exercises:read');
+const protectWrite = protectFor('exercises:write');
+
+// Library entries have no owner, so they can't be edited or deleted through here
+const ownExercise = ownedResource(Exercise, { label: 'Exercise' });
+
+router.get('/filters', protectRead, getExerciseFilters);
+router.route('/').get(protectRead, getExercises).post(protectWrite, createExercise);
+router.route('/:id').put(protectWrite, ownExercise, updateExercise).delete(protectWrite, ownExercise, deleteExercise);
+
+module.exports = router;
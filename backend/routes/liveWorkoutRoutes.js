@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLiveWorkout,
+  startLiveWorkout,
+  updateLiveWorkout,
+  finishLiveWorkout,
+  discardLiveWorkout,
+} = require('../controllers/liveWorkoutController');
+
+const { protectFor } = require('../middleware/authMiddleware');
+
+// Session users, or API tokens with the matching workouts scope
+const protectRead = protectFor('workouts:read');
+const protectWrite = protectFor('workouts:write');
+
+// A user has at most one workout in progress, so there are no ids in these routes
+router.route('/')
+  .get(protectRead, getLiveWorkout)
+  .post(protectWrite, startLiveWorkout)
+  .put(protectWrite, updateLiveWorkout)
+  .delete(protectWrite, discardLiveWorkout);
+router.post('/finish', protectWrite, finishLiveWorkout);
+
+module.exports = router;
@@ -8,16 +8,24 @@ const {
   getDailySummary,
 } = require('../controllers/nutritionController');
 
-const { protect } = require('../middleware/authMiddleware');
+const { protectFor } = require('../middleware/authMiddleware');
+const { ownedResource } = require('../middleware/ownershipMiddleware');
+const Nutrition = require('../models/Nutrition');
+
+// Session users, or API tokens with the matching nutrition scope
+const protectRead = protectFor('nutrition:read');
+const protectWrite = protectFor('nutrition:write');
+
+const ownNutrition = ownedResource(Nutrition, { label: 'Nutrition entry' });
 
 // Main nutrition routes
-router.route('/').get(protect, getNutrition).post(protect, addNutrition);
-router.route('/:id').delete(protect, deleteNutrition);
+router.route('/').get(protectRead, getNutrition).post(protectWrite, addNutrition);
+router.route('/:id').delete(protectWrite, ownNutrition, deleteNutrition);
 
 // Food search route (moved before summary to avoid conflicts)
-router.route('/search').get(protect, searchFood);
+router.route('/search').get(protectRead, searchFood);
 
 // Daily summary route
-router.route('/summary/:date').get(protect, getDailySummary);
+router.route('/summary/:date').get(protectRead, getDailySummary);
 
 module.exports = router;
\ No newline at end of file
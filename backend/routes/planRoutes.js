@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPlans,
+  getPlan,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  getPlanAdherence,
+  getUpcoming,
+  startPlannedSession,
+} = require('../controllers/planController');
+
+const { protectFor } = require('../middleware/authMiddleware');
+const { ownedResource } = require('../middleware/ownershipMiddleware');
+const TrainingPlan = require('../models/TrainingPlan');
+
+// Plans are workout data, so they share the workouts scopes
+const protectRead = protectFor('workouts:read');
+const protectWrite = protectFor('workouts:write');
+
+const ownPlan = ownedResource(TrainingPlan, { label: 'Training plan' });
+
+router.route('/').get(protectRead, getPlans).post(protectWrite, createPlan);
+router.get('/upcoming', protectRead, getUpcoming);
+router.route('/:id')
+  .get(protectRead, ownPlan, getPlan)
+  .put(protectWrite, ownPlan, updatePlan)
+  .delete(protectWrite, ownPlan, deletePlan);
+router.get('/:id/adherence', protectRead, ownPlan, getPlanAdherence);
+router.post('/:id/sessions/:sessionId/start', protectRead, ownPlan, startPlannedSession);
+
+module.exports = router;
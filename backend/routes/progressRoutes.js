@@ -6,9 +6,17 @@ const {
   deleteProgress,
 } = require('../controllers/progressController');
 
-const { protect } = require('../middleware/authMiddleware');
+const { protectFor } = require('../middleware/authMiddleware');
+const { ownedResource } = require('../middleware/ownershipMiddleware');
+const Progress = require('../models/Progress');
 
-router.route('/').get(protect, getProgress).post(protect, addProgress);
-router.route('/:id').delete(protect, deleteProgress);
+// Session users, or API tokens with the matching progress scope
+const protectRead = protectFor('progress:read');
+const protectWrite = protectFor('progress:write');
+
+const ownProgress = ownedResource(Progress, { label: 'Progress entry', notFoundStatus: 400 });
+
+router.route('/').get(protectRead, getProgress).post(protectWrite, addProgress);
+router.route('/:id').delete(protectWrite, ownProgress, deleteProgress);
 
 module.exports = router;
\ No newline at end of file
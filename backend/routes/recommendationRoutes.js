@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getRecommendation } = require('../controllers/recommendationController');
+
+const { protectFor } = require('../middleware/authMiddleware');
+
+// Recommendations are derived from workouts, so they share the workouts:read scope
+const protect = protectFor('workouts:read');
+
+router.get('/', protect, getRecommendation);
+
+module.exports = router;
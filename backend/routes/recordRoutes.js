@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRecords,
+  getRecordHistory,
+  getRecentRecords,
+} = require('../controllers/recordController');
+
+const { protectFor } = require('../middleware/authMiddleware');
+
+// Records are derived from workouts, so they share the workouts:read scope
+const protect = protectFor('workouts:read');
+
+router.get('/', protect, getRecords);
+router.get('/recent', protect, getRecentRecords);
+router.get('/:exerciseKey/history', protect, getRecordHistory);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  createTemplateFromWorkout,
+  updateTemplate,
+  deleteTemplate,
+  startFromTemplate,
+} = require('../controllers/templateController');
+
+const { protectFor } = require('../middleware/authMiddleware');
+const { ownedResource } = require('../middleware/ownershipMiddleware');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const Workout = require('../models/Workout');
+
+// Templates are workout data, so they share the workouts scopes
+const protectRead = protectFor('workouts:read');
+const protectWrite = protectFor('workouts:write');
+
+const ownTemplate = ownedResource(WorkoutTemplate, { label: 'Template' });
+const ownWorkout = ownedResource(Workout, { label: 'Workout', param: 'workoutId' });
+
+router.route('/').get(protectRead, getTemplates).post(protectWrite, createTemplate);
+router.post('/from-workout/:workoutId', protectWrite, ownWorkout, createTemplateFromWorkout);
+router.route('/:id')
+  .get(protectRead, ownTemplate, getTemplate)
+  .put(protectWrite, ownTemplate, updateTemplate)
+  .delete(protectWrite, ownTemplate, deleteTemplate);
+router.post('/:id/start', protectWrite, ownTemplate, startFromTemplate);
+
+module.exports = router;
@@ -2,14 +2,31 @@ const express = require('express');
 const router = express.Router();
 const {
   getWorkouts,
+  getWorkout,
   setWorkout,
+  previewImport,
+  importWorkout,
   updateWorkout,
   deleteWorkout,
 } = require('../controllers/workoutController');
 
-const { protect } = require('../middleware/authMiddleware');
+const { protectFor } = require('../middleware/authMiddleware');
+const { ownedResource } = require('../middleware/ownershipMiddleware');
+const { activityUpload } = require('../middleware/uploadMiddleware');
+const Workout = require('../models/Workout');
 
-router.route('/').get(protect, getWorkouts).post(protect, setWorkout);
-router.route('/:id').delete(protect, deleteWorkout).put(protect, updateWorkout);
+// Session users, or API tokens with the matching workouts scope
+const protectRead = protectFor('workouts:read');
+const protectWrite = protectFor('workouts:write');
+
+const ownWorkout = ownedResource(Workout, { label: 'Workout', notFoundStatus: 400 });
+
+router.route('/').get(protectRead, getWorkouts).post(protectWrite, setWorkout);
+router.post('/import/preview', protectWrite, activityUpload, previewImport);
+router.post('/import', protectWrite, activityUpload, importWorkout);
+router.route('/:id')
+  .get(protectRead, ownWorkout, getWorkout)
+  .delete(protectWrite, ownWorkout, deleteWorkout)
+  .put(protectWrite, ownWorkout, updateWorkout);
 
 module.exports = router;
\ No newline at end of file
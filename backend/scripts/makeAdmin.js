@@ -0,0 +1,38 @@
+// Promote an existing account to admin: npm run make-admin -- someone@example.com
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+
+const run = async () => {
+  const email = process.argv[2];
+
+  if (!email) {
+    console.error('Usage: npm run make-admin -- <email>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { role: 'admin' },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.email} is now an admin`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
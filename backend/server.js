@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const { rateLimit, keyByAccount } = require('./middleware/rateLimitMiddleware');
 
 // Load environment variables
 dotenv.config();
@@ -11,16 +12,46 @@ connectDB();
 
 const app = express();
 
+// Honour X-Forwarded-For when deployed behind a proxy, so limits apply per client
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Rate limits per route group (more specific groups first)
+const MINUTE = 60 * 1000;
+app.use(
+  ['/api/auth/login', '/api/auth/forgot-password'],
+  rateLimit({
+    name: 'auth-account',
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyGenerator: keyByAccount,
+    message: 'Too many attempts for this account, please try again later',
+  })
+);
+app.use('/api/auth', rateLimit({ name: 'auth-ip', windowMs: 15 * MINUTE, max: 100 }));
+// Food search proxies OpenFoodFacts, so keep it well under their fair-use limits
+app.use('/api/nutrition/search', rateLimit({ name: 'food-search', windowMs: MINUTE, max: 20 }));
+app.use('/api', rateLimit({ name: 'api', windowMs: MINUTE, max: 300 }));
+
 // Routes
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/workouts', require('./routes/workoutRoutes'));
+app.use('/api/live-workout', require('./routes/liveWorkoutRoutes'));
+app.use('/api/templates', require('./routes/templateRoutes'));
+app.use('/api/plans', require('./routes/planRoutes'));
+app.use('/api/records', require('./routes/recordRoutes'));
+app.use('/api/recommendations', require('./routes/recommendationRoutes'));
+app.use('/api/exercises', require('./routes/exerciseRoutes'));
 app.use('/api/nutrition', require('./routes/nutritionRoutes'));
 app.use('/api/progress', require('./routes/progressRoutes'));
 app.use('/api/analytics', require('./routes/analyticsRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/tokens', require('./routes/apiTokenRoutes'));
 
 // Test route
 app.get('/', (req, res) => {
@@ -31,4 +62,10 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Load the bundled exercise library
+require('./utils/exerciseLibrary').seedExerciseLibrary();
+
+// Purge accounts whose deletion grace period has ended
+require('./utils/accountPurge').startPurgeScheduler();
\ No newline at end of file
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseActivityFile, summarizeActivity, simplifyTrack } = require('../utils/activityFiles');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+test('a GPX track is parsed with its sport, elevation and heart rate', () => {
+  const activity = parseActivityFile(fixture('run.gpx'), 'run.gpx');
+  assert.strictEqual(activity.format, 'gpx');
+  assert.strictEqual(activity.sport, 'running');
+  assert.strictEqual(activity.name, 'Morning Run');
+  assert.strictEqual(activity.startTime.toISOString(), '2026-03-01T07:00:00.000Z');
+  assert.strictEqual(activity.points.length, 6);
+  assert.deepStrictEqual(
+    { lat: activity.points[1].lat, lon: activity.points[1].lon, ele: activity.points[1].ele, hr: activity.points[1].hr },
+    { lat: 51.5005, lon: -0.1, ele: 12, hr: 130 }
+  );
+});
+
+test('a GPX summary skips the stop and elevation noise', () => {
+  const summary = summarizeActivity(parseActivityFile(fixture('run.gpx'), 'run.gpx'));
+  assert.ok(Math.abs(summary.distance - 222.4) < 1, `distance ${summary.distance}`);
+  assert.strictEqual(summary.elapsedTime, 70);
+  assert.strictEqual(summary.movingTime, 40);
+  assert.strictEqual(summary.elevationGain, 15);
+  assert.deepStrictEqual(summary.heartRate, { avg: 136, max: 150 });
+});
+
+test('a TCX activity uses the device lap totals', () => {
+  const activity = parseActivityFile(fixture('ride.tcx'), 'ride.tcx');
+  assert.strictEqual(activity.format, 'tcx');
+  assert.strictEqual(activity.sport, 'cycling');
+  assert.strictEqual(activity.laps.length, 2);
+  assert.strictEqual(activity.points.length, 6);
+
+  const summary = summarizeActivity(activity);
+  assert.strictEqual(summary.distance, 1100);
+  assert.strictEqual(summary.movingTime, 120);
+  assert.strictEqual(summary.elevationGain, 0);
+  assert.deepStrictEqual(summary.heartRate, { avg: 155, max: 165 });
+});
+
+test('simplifying a track drops points on a straight line and keeps corners', () => {
+  const { points } = parseActivityFile(fixture('run.gpx'), 'run.gpx');
+  const straight = simplifyTrack(points);
+  assert.deepStrictEqual(straight.map(point => point.lat), [51.5, 51.502]);
+  assert.strictEqual(straight[1].hr, 150);
+
+  const corner = simplifyTrack([
+    { lat: 51.5, lon: -0.1 },
+    { lat: 51.5005, lon: -0.1 },
+    { lat: 51.501, lon: -0.1 },
+    { lat: 51.501, lon: -0.099 },
+  ]);
+  assert.deepStrictEqual(corner.map(point => [point.lat, point.lon]), [[51.5, -0.1], [51.501, -0.1], [51.501, -0.099]]);
+});
+
+test('unsupported and empty files are rejected', () => {
+  const rejects = (buffer, fileName, message) => assert.throws(
+    () => parseActivityFile(Buffer.from(buffer), fileName),
+    error => error.name === 'ActivityFileError' && message.test(error.message)
+  );
+  rejects('hello', 'notes.txt', /Unsupported file type/);
+  rejects('<html></html>', 'route.gpx', /Not a GPX file/);
+  rejects('<gpx><trk><trkseg></trkseg></trk></gpx>', 'empty.gpx', /no track points/);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { decodeFit, isFitFile, crc16 } = require('../utils/fitDecoder');
+const { parseActivityFile } = require('../utils/activityFiles');
+
+// A 25 s ride: file_id, three full records (the last without altitude or heart rate),
+// one record with a compressed timestamp header, and a cycling session
+const fixture = () => fs.readFileSync(path.join(__dirname, 'fixtures', 'ride.fit'));
+
+// Rewrite the file CRC after editing the data so only the intended fault remains
+const withCrc = (buffer) => {
+  const end = buffer.length - 2;
+  buffer.writeUInt16LE(crc16(buffer, 0, end), end);
+  return buffer;
+};
+
+test('FIT files are recognised by their header', () => {
+  assert.strictEqual(isFitFile(fixture()), true);
+  assert.strictEqual(isFitFile(Buffer.from('<gpx></gpx>')), false);
+});
+
+test('records, sessions and the file id are decoded into SI units', () => {
+  const fit = decodeFit(fixture());
+  assert.strictEqual(fit.fileId.manufacturer, 1);
+  assert.strictEqual(fit.fileId.timeCreated.toISOString(), '2026-03-02T17:00:00.000Z');
+
+  assert.strictEqual(fit.records.length, 4);
+  const [first, , third, compressed] = fit.records;
+  assert.ok(Math.abs(first.lat - 48.85) < 1e-6 && Math.abs(first.lon - 2.35) < 1e-6);
+  assert.strictEqual(first.altitude, 35);
+  assert.strictEqual(first.heartRate, 140);
+  assert.strictEqual(third.distance, 222);
+  assert.strictEqual(third.altitude, undefined, 'invalid values are dropped');
+  assert.strictEqual(third.heartRate, undefined);
+  assert.strictEqual(compressed.timestamp.toISOString(), '2026-03-02T17:00:25.000Z');
+  assert.strictEqual(compressed.heartRate, 155);
+
+  assert.deepStrictEqual(fit.sessions, [{
+    startTime: new Date('2026-03-02T17:00:00Z'),
+    sport: 2,
+    totalElapsedTime: 25,
+    totalTimerTime: 24,
+    totalDistance: 222,
+  }]);
+});
+
+test('a FIT activity is imported with its sport and device', () => {
+  const activity = parseActivityFile(fixture(), 'ride.fit');
+  assert.strictEqual(activity.format, 'fit');
+  assert.strictEqual(activity.sport, 'cycling');
+  assert.strictEqual(activity.device.manufacturer, 'garmin');
+  assert.strictEqual(activity.points.length, 4);
+});
+
+test('damaged FIT files are rejected', () => {
+  const rejects = (buffer, message) => assert.throws(
+    () => decodeFit(buffer),
+    error => error.name === 'ActivityFileError' && message.test(error.message)
+  );
+
+  const buffer = fixture();
+  rejects(Buffer.from('not a fit file'), /Not a FIT file/);
+  rejects(buffer.subarray(0, buffer.length - 10), /truncated/);
+
+  const corrupted = fixture();
+  corrupted[20] ^= 0xFF;
+  rejects(corrupted, /checksum mismatch/);
+
+  // Point the first data message at a local type that was never defined
+  const undefinedType = fixture();
+  // (after the 14-byte header and the 6 + 3 × 3 bytes of the file_id definition)
+  const firstData = undefinedType[0] + 6 + 3 * 3;
+  undefinedType[firstData] = 0x05;
+  rejects(withCrc(undefinedType), /data before its definition/);
+});
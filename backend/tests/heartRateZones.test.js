@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+
+const bounds = (zones) => zones.zones.map(zone => [zone.min, zone.max]);
+
+test('heart rate reserve zones sit between resting and max heart rate', () => {
+  const user = new User({ maxHeartRate: 190, restingHeartRate: 50, hrZoneMethod: 'hrr' });
+  const zones = user.getHeartRateZones();
+  assert.strictEqual(zones.method, 'hrr');
+  assert.strictEqual(zones.estimated, false);
+  assert.deepStrictEqual(bounds(zones), [[120, 134], [134, 148], [148, 162], [162, 176], [176, 190]]);
+});
+
+test('heart rate reserve falls back to max heart rate without a resting heart rate', () => {
+  const user = new User({ maxHeartRate: 190, hrZoneMethod: 'hrr' });
+  const zones = user.getHeartRateZones();
+  assert.strictEqual(zones.method, 'max');
+  assert.deepStrictEqual(bounds(zones)[0], [95, 114]);
+});
+
+test('there are no heart rate reserve zones without a max heart rate', () => {
+  const user = new User({ restingHeartRate: 50, hrZoneMethod: 'hrr' });
+  assert.strictEqual(user.getHeartRateZones(), null);
+});
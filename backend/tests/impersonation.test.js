@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { generateImpersonationToken } = require('../utils/authTokens');
+
+const userId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+
+let server;
+let baseUrl;
+
+before(async () => {
+  // No database: protect only needs the user lookup and the audit log write
+  User.findById = () => ({ select: async () => ({ _id: userId, isEmailVerified: true }) });
+  AuditLog.record = async () => {};
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/tokens', require('../routes/apiTokenRoutes'));
+  app.use('/api/auth', require('../routes/authRoutes'));
+
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const request = (method, path, token, body = {}) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('impersonation tokens cannot create API tokens', async () => {
+  const token = generateImpersonationToken(userId, adminId);
+  const response = await request('POST', '/api/tokens', token, { name: 'backdoor', scopes: ['workouts:read'] });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).type, 'IMPERSONATION_FORBIDDEN');
+});
+
+test('impersonation tokens cannot change credentials', async () => {
+  const token = generateImpersonationToken(userId, adminId);
+  const routes = [
+    ['DELETE', `/api/tokens/${new mongoose.Types.ObjectId()}`],
+    ['PUT', '/api/auth/password'],
+    ['PUT', '/api/auth/email'],
+    ['DELETE', '/api/auth/email'],
+    ['POST', '/api/auth/2fa/setup'],
+    ['POST', '/api/auth/2fa/disable'],
+  ];
+
+  for (const [method, path] of routes) {
+    const response = await request(method, path, token);
+    assert.strictEqual(response.status, 403, `${method} ${path}`);
+  }
+});
+
+test('login tokens without a session are refused', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const token = jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  const response = await request('POST', '/api/tokens', token);
+
+  assert.strictEqual(response.status, 401);
+});
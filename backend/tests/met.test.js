@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { metFor, gradeFor } = require('../utils/met');
+
+const track = (...elevations) => elevations.map(ele => ({ lat: 0, lon: 0, ele }));
+
+test('a loop that ends where it started has no grade', () => {
+  assert.strictEqual(gradeFor(track(100, 150, 100), 5), null);
+  assert.strictEqual(gradeFor(track(100, 150, 90), 5), null);
+  assert.strictEqual(gradeFor([], 5), null);
+});
+
+test('grade is the net climb over the distance', () => {
+  assert.strictEqual(gradeFor(track(100, 80, 400), 5), 6);
+});
+
+test('a brisk walk keeps its speed-based MET on a gentle climb', () => {
+  const result = metFor('walking', { speed: 7.2, grade: 1.5 });
+  assert.strictEqual(result.code, '17230');
+  assert.strictEqual(result.basis, 'speed');
+});
+
+test('a steep climb upgrades an easy walk', () => {
+  const result = metFor('walking', { speed: 4.5, grade: gradeFor(track(200, 500), 5) });
+  assert.strictEqual(result.code, '17211');
+  assert.strictEqual(result.basis, 'grade');
+});
+
+test('speed, power and effort pick coded entries in that order', () => {
+  assert.strictEqual(metFor('running', { speed: 12, rpe: 3 }).code, '12070');
+  assert.strictEqual(metFor('stationary-cycling', { power: 150 }).code, '02014');
+  assert.strictEqual(metFor('running', { rpe: 3 }).code, '12020');
+  assert.strictEqual(metFor('running', {}).basis, 'default');
+});
+
+test('library exercises only use their category entry with a rated effort', () => {
+  assert.strictEqual(metFor('bench-press', { category: 'strength' }), null);
+  assert.strictEqual(metFor('bench-press', { category: 'strength', rpe: 8 }).code, '02050');
+});
+
+test('types named like object properties are not activities', () => {
+  assert.strictEqual(metFor('constructor', { speed: 10 }), null);
+  assert.strictEqual(metFor('toString', { category: '__proto__', rpe: 5 }), null);
+});
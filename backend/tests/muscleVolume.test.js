@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { muscleVolume, bundledMuscles, resolveTargets } = require('../utils/muscleVolume');
+
+const end = new Date('2026-03-28T12:00:00Z');
+
+const workout = (date, exercises) => ({ date: new Date(date), exercises });
+const sets = (count, load = 100, setType = 'working') => Array.from({ length: count }, () => ({ reps: 5, load, setType }));
+const byMuscle = (result) => Object.fromEntries(result.muscles.map(entry => [entry.muscle, entry]));
+
+test('sets count fully for primary muscles and half for secondary ones', () => {
+  const result = muscleVolume([
+    workout('2026-03-27T18:00:00Z', [{ name: 'Bench Press', sets: [...sets(3), ...sets(2, 40, 'warmup')] }]),
+  ], { end, weeks: 1 });
+  const muscles = byMuscle(result);
+
+  assert.strictEqual(muscles.chest.sets, 3);
+  assert.strictEqual(muscles.chest.tonnage, 1500);
+  assert.strictEqual(muscles.triceps.sets, 1.5);
+  assert.strictEqual(muscles.shoulders.tonnage, 750);
+  assert.strictEqual(muscles.back.sets, 0);
+  assert.strictEqual(result.secondaryFactor, 0.5);
+});
+
+test('common names and custom mappings are recognised, and unknown exercises listed', () => {
+  const result = muscleVolume([
+    workout('2026-03-27T18:00:00Z', [
+      { name: 'Squats', sets: sets(4) },
+      { name: 'Sled push', sets: sets(2) },
+      { name: 'Landmine press', sets: sets(3) },
+    ]),
+  ], {
+    end,
+    weeks: 1,
+    musclesFor: exercise => (exercise.name === 'Landmine press'
+      ? { primary: ['shoulders'], secondary: [] }
+      : bundledMuscles(exercise.name)),
+  });
+  const muscles = byMuscle(result);
+
+  assert.strictEqual(muscles.quadriceps.sets, 4);
+  assert.strictEqual(muscles.shoulders.sets, 3);
+  assert.deepStrictEqual(result.unmapped, ['Sled push']);
+});
+
+test('workouts fall into rolling weeks ending on the last day', () => {
+  const bench = [{ name: 'Bench Press', sets: sets(10) }];
+  const result = muscleVolume([
+    workout('2026-03-22T10:00:00Z', bench), // first day of the current week
+    workout('2026-03-21T10:00:00Z', bench), // last day of the week before
+    workout('2026-02-28T10:00:00Z', bench), // outside the four weeks
+    workout('2026-03-29T10:00:00Z', bench), // after the end
+  ], { end, weeks: 4 });
+
+  assert.deepStrictEqual(result.weeks.map(week => week.muscles.chest.sets), [0, 0, 10, 10]);
+  assert.strictEqual(result.weeks[3].weekStart.toISOString(), '2026-03-22T00:00:00.000Z');
+  assert.strictEqual(byMuscle(result).chest.averageSets, 5);
+  assert.strictEqual(byMuscle(result).chest.status, 'within');
+});
+
+test('weeks end at midnight in the user\'s timezone', () => {
+  // 22:30 on the 28th in New York is already the 29th in UTC
+  const late = [workout('2026-03-29T02:30:00Z', [{ name: 'Bench Press', sets: sets(3) }])];
+
+  assert.strictEqual(byMuscle(muscleVolume(late, { end, weeks: 1 })).chest.sets, 0);
+  assert.strictEqual(byMuscle(muscleVolume(late, { end, weeks: 1, timeZone: 'America/New_York' })).chest.sets, 3);
+});
+
+test('targets can be overridden per muscle', () => {
+  const targets = resolveTargets({ chest: { min: 4 } });
+  assert.deepStrictEqual(targets.chest, { min: 4, max: 20 });
+  assert.deepStrictEqual(targets.back, { min: 10, max: 20 });
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { recommendNextSession } = require('../utils/progression');
+
+const session = (load, reps, date = '2026-01-01') => ({
+  date,
+  sets: reps.map(count => ({ reps: count, load, setType: 'working' })),
+});
+
+test('linear progression adds exactly the user increment', () => {
+  for (const increment of [0.5, 1, 2.5]) {
+    const result = recommendNextSession([session(100, [5, 5, 5])], { scheme: 'linear', increment });
+    assert.strictEqual(result.load, 100 + increment);
+    assert.match(result.reason, new RegExp(`add ${increment} kg`));
+  }
+});
+
+test('a repeat keeps the last load unchanged', () => {
+  const result = recommendNextSession([session(61, [5, 4, 3])], { scheme: 'linear', increment: 2.5 });
+  assert.strictEqual(result.load, 61);
+  assert.match(result.reason, /repeat the load/);
+});
+
+test('double progression adds load only at the top of the range', () => {
+  const building = recommendNextSession([session(40, [10, 9, 9])], { scheme: 'double', increment: 1 });
+  assert.deepStrictEqual([building.load, building.reps], [40, 10]);
+
+  const topped = recommendNextSession([session(40, [12, 12, 12])], { scheme: 'double', increment: 1 });
+  assert.deepStrictEqual([topped.load, topped.reps], [41, 8]);
+});
+
+test('percentage loads are rounded to the user increment', () => {
+  // Best e1RM from 100 kg x 5 (Epley) is 116.7 kg; 80% is 93.3 kg
+  const result = recommendNextSession([session(100, [5, 5, 5])], { scheme: 'percentage', increment: 2 });
+  assert.strictEqual(result.load % 2, 0);
+  assert.ok(Math.abs(result.load - 93.3) <= 1);
+});
+
+test('a stall deloads below the last load and says to what', () => {
+  const history = [
+    session(100, [5, 4, 4], '2026-01-10'),
+    session(100, [5, 4, 4], '2026-01-08'),
+    session(100, [5, 4, 4], '2026-01-06'),
+    session(100, [5, 5, 5], '2026-01-04'),
+  ];
+  const result = recommendNextSession(history, { scheme: 'linear', increment: 20 });
+  assert.strictEqual(result.deload, true);
+  assert.ok(result.load < 100);
+  assert.match(result.reason, new RegExp(`to ${result.load} kg`));
+});
@@ -0,0 +1,62 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// One stored session, with just enough of findOneAndUpdate to act as a compare and swap
+let stored;
+let revocations;
+
+beforeEach(() => {
+  stored = new Session({
+    userId: new mongoose.Types.ObjectId(),
+    refreshTokenHash: hash('first'),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  revocations = [];
+
+  Session.findOneAndUpdate = async (filter, update) => {
+    if (!stored.isActive() || stored.refreshTokenHash !== filter.refreshTokenHash) return null;
+    Object.assign(stored, update.$set);
+    return stored;
+  };
+  Session.findById = async () => stored;
+  Session.updateOne = async (filter, update) => {
+    revocations.push(update.$set.revokedReason);
+    Object.assign(stored, update.$set);
+  };
+});
+
+test('a refresh token is exchanged for a new one', async () => {
+  const rotated = await Session.rotate(`${stored._id}.first`);
+  assert.ok(rotated);
+  const [, secret] = rotated.refreshToken.split('.');
+  assert.strictEqual(stored.refreshTokenHash, hash(secret));
+  assert.strictEqual(stored.previousTokenHash, hash('first'));
+});
+
+test('the losing side of two concurrent refreshes keeps the session open', async () => {
+  const token = `${stored._id}.first`;
+  const [first, second] = await Promise.all([Session.rotate(token), Session.rotate(token)]);
+  assert.ok(first);
+  assert.strictEqual(second, null);
+  assert.deepStrictEqual(revocations, []);
+  assert.ok(stored.isActive());
+});
+
+test('replaying a token after the grace window revokes the session', async () => {
+  const token = `${stored._id}.first`;
+  await Session.rotate(token);
+  stored.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  assert.strictEqual(await Session.rotate(token), null);
+  assert.deepStrictEqual(revocations, ['refresh_token_reuse']);
+});
+
+test('a token that was never issued revokes the session', async () => {
+  assert.strictEqual(await Session.rotate(`${stored._id}.forged`), null);
+  assert.deepStrictEqual(revocations, ['refresh_token_reuse']);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sessionLoad, trainingLoad } = require('../utils/trainingLoad');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const end = new Date('2026-03-28T12:00:00Z');
+
+// One session a day for `days` days up to `end`, at noon UTC
+const daily = (days, rpe = 5, duration = 60) => Array.from({ length: days }, (_, index) => ({
+  date: new Date(end.getTime() - index * DAY_MS),
+  rpe,
+  duration,
+}));
+
+test('session load is RPE times minutes', () => {
+  assert.strictEqual(sessionLoad({ rpe: 6, duration: 45 }), 270);
+  assert.strictEqual(sessionLoad({ duration: 45 }), 0);
+});
+
+test('a steady month has an acute:chronic ratio of 1', () => {
+  const result = trainingLoad(daily(28), { end, weeks: 1 });
+  assert.strictEqual(result.acute, 2100);
+  assert.strictEqual(result.chronic, 2100);
+  assert.strictEqual(result.ratio, 1);
+  assert.strictEqual(result.status, 'optimal');
+  // The same load every day has no spread, so monotony is undefined
+  assert.strictEqual(result.monotony, null);
+  assert.strictEqual(result.strain, null);
+});
+
+test('a hard week on top of a steady month is a spike', () => {
+  const hardWeek = daily(7).map(workout => ({ ...workout, date: new Date(workout.date.getTime() + 60 * 1000), rpe: 8 }));
+  const result = trainingLoad([...daily(28), ...hardWeek], { end, weeks: 1 });
+  assert.strictEqual(result.acute, 2100 + 3360);
+  assert.strictEqual(result.chronic, 2100 + 840);
+  assert.strictEqual(result.ratio, 1.86);
+  assert.strictEqual(result.status, 'spike');
+});
+
+test('monotony and strain come from the spread of daily loads', () => {
+  const everyOtherDay = daily(7).filter((_, index) => index % 2 === 0);
+  const result = trainingLoad(everyOtherDay, { end, weeks: 1 });
+  assert.strictEqual(result.load, 1200);
+  assert.strictEqual(result.monotony, 1.15);
+  assert.strictEqual(result.strain, 1386);
+});
+
+test('the ratio waits for a full chronic window of rated history', () => {
+  const result = trainingLoad(daily(14), { end, weeks: 1 });
+  assert.strictEqual(result.ratio, null);
+  assert.strictEqual(result.status, 'insufficient_data');
+
+  const withHistory = trainingLoad(daily(14), { end, weeks: 1, historyStart: new Date('2026-01-01') });
+  assert.strictEqual(withHistory.ratio, 2);
+});
+
+test('days are cut at midnight in the user\'s timezone', () => {
+  // 22:30 on the 28th in New York is already the 29th in UTC
+  const lateSession = [{ date: new Date('2026-03-29T02:30:00Z'), rpe: 5, duration: 60 }];
+
+  assert.strictEqual(trainingLoad(lateSession, { end, weeks: 1 }).load, 0);
+  const local = trainingLoad(lateSession, { end, weeks: 1, timeZone: 'America/New_York' });
+  assert.strictEqual(local.load, 300);
+  assert.strictEqual(local.weekEnd.toISOString(), '2026-03-28T04:00:00.000Z');
+  assert.strictEqual(local.weekStart.toISOString(), '2026-03-22T04:00:00.000Z');
+});
+
+test('a date entered without a time stays on its day in any timezone', () => {
+  const logged = [{ date: new Date('2026-03-28'), rpe: 5, duration: 60 }];
+  assert.strictEqual(trainingLoad(logged, { end, weeks: 1, timeZone: 'America/Los_Angeles' }).load, 300);
+  assert.strictEqual(trainingLoad(logged, { end, weeks: 1, timeZone: 'Asia/Tokyo' }).load, 300);
+});
@@ -0,0 +1,81 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const TrainingPlan = require('../models/TrainingPlan');
+const Workout = require('../models/Workout');
+const { getUpcomingSessions, resolvePlannedSession } = require('../utils/trainingPlans');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Four weeks from Monday 2 March 2026, with a Monday run and a Thursday strength session
+const plan = new TrainingPlan({
+  userId,
+  name: 'Base block',
+  startDate: new Date('2026-03-02'),
+  weeks: 4,
+  sessions: [
+    { name: 'Easy run', weekday: 1, type: 'running' },
+    { name: 'Full body', weekday: 4, type: 'strength', exercises: [{ name: 'Squat', targetSets: 3, targetReps: 5 }] },
+  ],
+});
+const [run, strength] = plan.sessions;
+
+beforeEach(() => {
+  TrainingPlan.findOne = async () => plan;
+  TrainingPlan.find = async () => [plan];
+  Workout.find = () => ({ select: async () => [] });
+});
+
+test('a session is scheduled once in each plan week', () => {
+  assert.strictEqual(plan.scheduledDate(strength._id, new Date('2026-03-09')).toISOString(), '2026-03-12T00:00:00.000Z');
+  assert.strictEqual(plan.scheduledDate(strength._id, new Date('2026-03-15')).toISOString(), '2026-03-12T00:00:00.000Z');
+  assert.strictEqual(plan.scheduledDate(strength._id, new Date('2026-03-01')), null);
+  assert.strictEqual(plan.scheduledDate(strength._id, new Date('2026-03-30')), null);
+});
+
+test('a draft started late in the evening belongs to the user\'s own day', () => {
+  // 21:00 on Sunday 8 March in Los Angeles is already Monday in UTC, a week later in the plan
+  const evening = new Date('2026-03-09T04:00:00Z');
+  assert.strictEqual(plan.toWorkoutDraft(run._id, evening).plannedSession.date.toISOString(), '2026-03-09T00:00:00.000Z');
+  assert.strictEqual(
+    plan.toWorkoutDraft(run._id, evening, 'America/Los_Angeles').plannedSession.date.toISOString(),
+    '2026-03-02T00:00:00.000Z'
+  );
+  assert.strictEqual(plan.toWorkoutDraft(run._id, new Date('2026-04-01')), null);
+});
+
+test('upcoming sessions start from today in the user\'s timezone', async () => {
+  const now = new Date('2026-03-12T02:00:00Z'); // Wednesday evening in New York
+  const utc = await getUpcomingSessions(userId, 1, 'UTC', now);
+  const local = await getUpcomingSessions(userId, 1, 'America/New_York', now);
+
+  assert.deepStrictEqual(utc.map(occurrence => [occurrence.sessionName, occurrence.status]), [['Full body', 'today']]);
+  assert.deepStrictEqual(local, []);
+});
+
+test('a linked workout is tied to its session in the same plan week', async () => {
+  const result = await resolvePlannedSession(userId, {
+    plannedSession: { plan: plan._id, session: strength._id, date: '2026-03-14' },
+    date: new Date('2026-03-14'),
+    type: 'strength',
+  });
+  assert.strictEqual(result.plannedSession.date.toISOString(), '2026-03-12T00:00:00.000Z');
+});
+
+test('a linked workout dated outside the plan is rejected', async () => {
+  const result = await resolvePlannedSession(userId, {
+    plannedSession: { plan: plan._id, session: strength._id, date: '2026-05-14' },
+    date: new Date('2026-05-14'),
+    type: 'strength',
+  });
+  assert.match(result.error, /not scheduled/);
+});
+
+test('an unlinked workout matches the session scheduled on its local day', async () => {
+  // 20:30 on Thursday 12 March in New York
+  const date = new Date('2026-03-13T00:30:00Z');
+  assert.deepStrictEqual(await resolvePlannedSession(userId, { date, type: 'strength' }), {});
+
+  const result = await resolvePlannedSession(userId, { date, type: 'strength', timeZone: 'America/New_York' });
+  assert.strictEqual(String(result.plannedSession.session), String(strength._id));
+});
@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Workout = require('../models/Workout');
+
+const userId = '507f1f77bcf86cd799439011';
+
+test('history filters are built from plain query strings', () => {
+  const { filter } = Workout.buildHistoryFilter(userId, { type: 'running', q: 'hill', minDuration: '30' });
+  assert.strictEqual(filter.type, 'running');
+  assert.ok(filter.notes.test('Hill repeats'));
+  assert.deepStrictEqual(filter.duration, { $gte: 30 });
+});
+
+test('query operators and arrays are rejected, not passed to MongoDB', () => {
+  for (const query of [{ type: { $ne: 'x' } }, { q: ['x'] }, { tag: ['a'] }, { from: ['2026-01-01'] }, { minCalories: { $gt: '' } }]) {
+    const result = Workout.buildHistoryFilter(userId, query);
+    assert.match(result.error, /must be a single value/);
+  }
+});
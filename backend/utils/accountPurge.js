@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Workout = require('../models/Workout');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const TrainingPlan = require('../models/TrainingPlan');
+const LiveWorkout = require('../models/LiveWorkout');
+const PersonalRecord = require('../models/PersonalRecord');
+const Exercise = require('../models/Exercise');
+const Nutrition = require('../models/Nutrition');
+const Progress = require('../models/Progress');
+const ApiToken = require('../models/ApiToken');
+const AccountTombstone = require('../models/AccountTombstone');
+
+// Every model holding user-owned documents (keyed by userId). New collections must be added here.
+const OWNED_MODELS = [Workout, LiveWorkout, WorkoutTemplate, TrainingPlan, PersonalRecord, Exercise, Nutrition, Progress, Session, ApiToken];
+
+const getGraceDays = () => {
+  const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  return Number.isNaN(graceDays) ? 14 : graceDays;
+};
+
+// Delete everything a user owns, then the user, leaving only a tombstone
+const purgeUser = async (user) => {
+  const purgedCounts = {};
+
+  for (const Model of OWNED_MODELS) {
+    const result = await Model.deleteMany({ userId: user._id });
+    purgedCounts[Model.collection.collectionName] = result.deletedCount;
+  }
+
+  const tombstone = await AccountTombstone.create({
+    userId: user._id,
+    emailHash: crypto.createHash('sha256').update(user.email.toLowerCase()).digest('hex'),
+    requestedAt: user.deletionRequestedAt || new Date(),
+    purgedCounts,
+  });
+
+  await User.deleteOne({ _id: user._id });
+
+  return tombstone;
+};
+
+// Purge every account whose grace period has run out
+const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+  for (const user of dueUsers) {
+    try {
+      await purgeUser(user);
+      console.log(`Purged account ${user._id}`);
+    } catch (error) {
+      console.error(`Failed to purge account ${user._id}:`, error);
+    }
+  }
+
+  return dueUsers.length;
+};
+
+// Run purgeDueAccounts periodically; the timer doesn't keep the process alive
+const startPurgeScheduler = () => {
+  const intervalMinutes = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60;
+  const run = () => purgeDueAccounts().catch(error => console.error('Account purge error:', error));
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  OWNED_MODELS,
+  getGraceDays,
+  purgeUser,
+  purgeDueAccounts,
+  startPurgeScheduler,
+};
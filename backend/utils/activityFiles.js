@@ -0,0 +1,470 @@
+const { XMLParser } = require('fast-xml-parser');
+const { decodeFit, isFitFile } = require('./fitDecoder');
+
+// Reading and summarising activity files (GPX, TCX and FIT). Everything here works on
+// the file contents alone, so parsers can be exercised with fixture files offline.
+//
+// A parsed activity looks like:
+//   { format, sport, name, startTime, device, laps, totals,
+//     points: [{ lat, lon, ele, time, hr, cadence, power, distance }] }
+// where `distance` is the device's own cumulative distance in metres, when it records one,
+// `laps` are [{ startTime, elapsedTime, movingTime, distance, avgHeartRate, maxHeartRate,
+// avgCadence, avgPower, maxPower, elevationGain, calories }] (seconds and metres), and
+// `totals` holds whatever summary figures the device wrote for the whole activity.
+
+const EARTH_RADIUS_M = 6371000;
+
+// Segments slower than this (m/s) count as stopped when working out moving time
+const MOVING_SPEED_THRESHOLD = 0.5;
+
+// Elevation changes smaller than this (m) are treated as GPS/barometer noise
+const ELEVATION_NOISE_M = 3;
+
+// Stored tracks are thinned to points that move the line by more than this (m) ...
+const SIMPLIFY_TOLERANCE_M = 5;
+// ... and never more than this many points
+const MAX_TRACK_POINTS = 500;
+
+// Heart rate, cadence and power samples are kept at most this often (s) ...
+const SAMPLE_INTERVAL_S = 5;
+// ... and never more than this many
+const MAX_SAMPLES = 720;
+
+// Errors about the uploaded file itself, reported to the client as a 400
+const fileError = (message) => {
+  const error = new Error(message);
+  error.name = 'ActivityFileError';
+  return error;
+};
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: true,
+  isArray: (name) => ['trk', 'trkseg', 'trkpt', 'Activity', 'Lap', 'Track', 'Trackpoint'].includes(name),
+});
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : undefined;
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+// Heart rate sits in vendor extensions (e.g. gpxtpx:TrackPointExtension/gpxtpx:hr)
+const findHeartRate = (extensions) => {
+  if (!extensions || typeof extensions !== 'object') return undefined;
+  for (const [key, value] of Object.entries(extensions)) {
+    if (key.toLowerCase() === 'hr' || key.toLowerCase() === 'heartrate') return toNumber(value);
+    const nested = findHeartRate(value);
+    if (nested !== undefined) return nested;
+  }
+  return undefined;
+};
+
+// GPX and TCX sport names -> workout types used by the exercise library
+const SPORT_TYPES = {
+  running: 'running',
+  run: 'running',
+  trail_running: 'running',
+  biking: 'cycling',
+  cycling: 'cycling',
+  ride: 'cycling',
+  walking: 'walking',
+  walk: 'walking',
+  hiking: 'hiking',
+  hike: 'hiking',
+  swimming: 'swimming',
+};
+
+// FIT sport enum values
+const FIT_SPORTS = {
+  1: 'running',
+  2: 'cycling',
+  5: 'swimming',
+  11: 'walking',
+  17: 'hiking',
+};
+
+// FIT manufacturer ids for common devices; others are kept as the raw number
+const FIT_MANUFACTURERS = {
+  1: 'garmin',
+  23: 'suunto',
+  32: 'wahoo',
+  69: 'stryd',
+  89: 'tacx',
+  123: 'polar',
+  260: 'zwift',
+  265: 'strava',
+  267: 'bryton',
+  294: 'coros',
+};
+
+const normalizeSport = (sport) => {
+  if (!sport) return undefined;
+  const key = String(sport).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return SPORT_TYPES[key];
+};
+
+const parseGpx = (xml) => {
+  const doc = xmlParser.parse(xml);
+  if (!doc.gpx) throw fileError('Not a GPX file');
+
+  const tracks = asArray(doc.gpx.trk);
+  const points = [];
+  for (const track of tracks) {
+    for (const segment of asArray(track.trkseg)) {
+      for (const point of asArray(segment.trkpt)) {
+        const lat = toNumber(point.lat);
+        const lon = toNumber(point.lon);
+        if (lat === undefined || lon === undefined) continue;
+        points.push({
+          lat,
+          lon,
+          ele: toNumber(point.ele),
+          time: toDate(point.time),
+          hr: findHeartRate(point.extensions),
+        });
+      }
+    }
+  }
+
+  const track = tracks[0] || {};
+  return {
+    format: 'gpx',
+    sport: normalizeSport(track.type),
+    name: track.name ? String(track.name) : undefined,
+    startTime: (points.find(point => point.time) || {}).time
+      || toDate(doc.gpx.metadata && doc.gpx.metadata.time),
+    points,
+  };
+};
+
+const parseTcx = (xml) => {
+  const doc = xmlParser.parse(xml);
+  const database = doc.TrainingCenterDatabase;
+  if (!database) throw fileError('Not a TCX file');
+
+  const activity = asArray(database.Activities && database.Activities.Activity)[0];
+  if (!activity) throw fileError('The TCX file contains no activity');
+
+  const laps = asArray(activity.Lap);
+  const points = [];
+  for (const lap of laps) {
+    for (const track of asArray(lap.Track)) {
+      for (const point of asArray(track.Trackpoint)) {
+        const position = point.Position || {};
+        points.push({
+          lat: toNumber(position.LatitudeDegrees),
+          lon: toNumber(position.LongitudeDegrees),
+          ele: toNumber(point.AltitudeMeters),
+          time: toDate(point.Time),
+          hr: toNumber(point.HeartRateBpm && point.HeartRateBpm.Value),
+          distance: toNumber(point.DistanceMeters),
+        });
+      }
+    }
+  }
+
+  const parsedLaps = laps.map(lap => ({
+    startTime: toDate(lap.StartTime),
+    movingTime: toNumber(lap.TotalTimeSeconds),
+    distance: toNumber(lap.DistanceMeters),
+    avgHeartRate: toNumber(lap.AverageHeartRateBpm && lap.AverageHeartRateBpm.Value),
+    maxHeartRate: toNumber(lap.MaximumHeartRateBpm && lap.MaximumHeartRateBpm.Value),
+    avgCadence: toNumber(lap.Cadence),
+    calories: toNumber(lap.Calories),
+  }));
+
+  return {
+    format: 'tcx',
+    sport: normalizeSport(activity.Sport),
+    name: activity.Notes ? String(activity.Notes) : undefined,
+    startTime: toDate(activity.Id) || toDate(laps[0] && laps[0].StartTime),
+    laps: parsedLaps,
+    // Indoor sessions have laps but no positions; their totals are still usable
+    totals: {
+      distance: parsedLaps.reduce((sum, lap) => sum + (lap.distance || 0), 0),
+      movingTime: parsedLaps.reduce((sum, lap) => sum + (lap.movingTime || 0), 0),
+    },
+    points,
+  };
+};
+
+const parseFit = (buffer) => {
+  const fit = decodeFit(buffer);
+  const session = fit.sessions[0] || {};
+  const fileId = fit.fileId || {};
+
+  const points = fit.records.map(record => ({
+    lat: record.lat,
+    lon: record.lon,
+    ele: record.enhancedAltitude !== undefined ? record.enhancedAltitude : record.altitude,
+    time: record.timestamp,
+    hr: record.heartRate,
+    cadence: record.cadence,
+    power: record.power,
+    distance: record.distance,
+  }));
+
+  const laps = fit.laps.map(lap => ({
+    startTime: lap.startTime,
+    elapsedTime: lap.totalElapsedTime,
+    movingTime: lap.totalTimerTime,
+    distance: lap.totalDistance,
+    avgHeartRate: lap.avgHeartRate,
+    maxHeartRate: lap.maxHeartRate,
+    avgCadence: lap.avgCadence,
+    avgPower: lap.avgPower,
+    maxPower: lap.maxPower,
+    elevationGain: lap.totalAscent,
+    calories: lap.totalCalories,
+  }));
+
+  return {
+    format: 'fit',
+    sport: FIT_SPORTS[session.sport],
+    startTime: session.startTime
+      || (points.find(point => point.time) || {}).time
+      || fileId.timeCreated,
+    device: {
+      manufacturer: fileId.manufacturer !== undefined
+        ? FIT_MANUFACTURERS[fileId.manufacturer] || String(fileId.manufacturer)
+        : undefined,
+      product: fileId.product !== undefined ? String(fileId.product) : undefined,
+      serialNumber: fileId.serialNumber !== undefined ? String(fileId.serialNumber) : undefined,
+    },
+    laps,
+    totals: {
+      distance: session.totalDistance,
+      elapsedTime: session.totalElapsedTime,
+      movingTime: session.totalTimerTime,
+      elevationGain: session.totalAscent,
+      heartRate: session.avgHeartRate ? { avg: session.avgHeartRate, max: session.maxHeartRate } : undefined,
+      cadence: session.avgCadence ? { avg: session.avgCadence, max: session.maxCadence } : undefined,
+      power: session.avgPower ? { avg: session.avgPower, max: session.maxPower } : undefined,
+    },
+    points,
+  };
+};
+
+// Pick a parser from the file name, falling back to sniffing the contents
+const parseActivityFile = (buffer, fileName = '') => {
+  const extension = fileName.toLowerCase().split('.').pop();
+
+  let activity;
+  try {
+    if (extension === 'fit' || isFitFile(buffer)) {
+      activity = parseFit(buffer);
+    } else {
+      const xml = Buffer.isBuffer(buffer) ? buffer.toString('utf8') : String(buffer);
+      if (extension === 'gpx' || (extension !== 'tcx' && /<gpx[\s>]/.test(xml))) {
+        activity = parseGpx(xml);
+      } else if (extension === 'tcx' || /<TrainingCenterDatabase[\s>]/.test(xml)) {
+        activity = parseTcx(xml);
+      } else {
+        throw fileError('Unsupported file type. Please upload a GPX, TCX or FIT file');
+      }
+    }
+  } catch (error) {
+    if (error.name === 'ActivityFileError') throw error;
+    throw fileError(`Could not read the activity file: ${error.message}`);
+  }
+
+  const totals = activity.totals || {};
+  if (activity.points.length === 0 && !totals.elapsedTime && !totals.movingTime) {
+    throw fileError('The activity file contains no track points');
+  }
+
+  return activity;
+};
+
+// Great-circle distance between two points in metres
+const haversine = (a, b) => {
+  const toRad = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+};
+
+const hasPosition = (point) => point.lat !== undefined && point.lon !== undefined;
+
+// Total climb, ignoring wobbles smaller than ELEVATION_NOISE_M
+const elevationGain = (points) => {
+  let gain = 0;
+  let anchor;
+  for (const { ele } of points) {
+    if (ele === undefined) continue;
+    if (anchor === undefined || ele < anchor - ELEVATION_NOISE_M) {
+      anchor = ele;
+    } else if (ele - anchor >= ELEVATION_NOISE_M) {
+      gain += ele - anchor;
+      anchor = ele;
+    }
+  }
+  return gain;
+};
+
+// Average and maximum of a per-point reading, or undefined when the file has none
+const averageAndMax = (values) => {
+  const present = values.filter(value => value > 0);
+  if (present.length === 0) return undefined;
+  return {
+    avg: Math.round(present.reduce((sum, value) => sum + value, 0) / present.length),
+    max: Math.max(...present),
+  };
+};
+
+// Distance and time totals for an activity. Device-reported distance and climb win over
+// what the points add up to; times fall back to the device's when points have none.
+// Returns { distance (m), elapsedTime (s), movingTime (s), elevationGain (m),
+//           heartRate, cadence, power }
+const summarizeActivity = (activity) => {
+  const { points } = activity;
+  const deviceDistance = points.some(point => point.distance !== undefined);
+
+  let distance = 0;
+  let movingTime = 0;
+  let previous = null;
+  let lastDeviceDistance = 0;
+
+  for (const point of points) {
+    if (previous) {
+      let step = 0;
+      if (deviceDistance && point.distance !== undefined) {
+        step = Math.max(0, point.distance - lastDeviceDistance);
+      } else if (!deviceDistance && hasPosition(point) && hasPosition(previous)) {
+        step = haversine(previous, point);
+      }
+      distance += step;
+
+      const seconds = point.time && previous.time ? (point.time - previous.time) / 1000 : 0;
+      if (seconds > 0 && step / seconds >= MOVING_SPEED_THRESHOLD) {
+        movingTime += seconds;
+      }
+    }
+    if (point.distance !== undefined) lastDeviceDistance = point.distance;
+    previous = point;
+  }
+
+  const timed = points.filter(point => point.time);
+  let elapsedTime = timed.length > 1 ? (timed[timed.length - 1].time - timed[0].time) / 1000 : 0;
+
+  const totals = activity.totals || {};
+  if (totals.distance > 0) distance = totals.distance;
+  if (!elapsedTime) elapsedTime = totals.elapsedTime || totals.movingTime || 0;
+  if (!movingTime) movingTime = totals.movingTime || elapsedTime;
+
+  return {
+    distance,
+    elapsedTime,
+    movingTime,
+    elevationGain: totals.elevationGain > 0 ? totals.elevationGain : elevationGain(points),
+    heartRate: totals.heartRate || averageAndMax(points.map(point => point.hr)),
+    cadence: totals.cadence || averageAndMax(points.map(point => point.cadence)),
+    power: totals.power || averageAndMax(points.map(point => point.power)),
+  };
+};
+
+// Heart rate, cadence and power over time, thinned for storage.
+// Each sample is { offset (s from start), hr, cadence, power }.
+const buildSamples = (activity) => {
+  const timed = activity.points.filter(point => point.time
+    && (point.hr !== undefined || point.cadence !== undefined || point.power !== undefined));
+  if (timed.length === 0) return [];
+
+  const start = (activity.startTime || timed[0].time).getTime();
+  const duration = (timed[timed.length - 1].time.getTime() - start) / 1000;
+  const interval = Math.max(SAMPLE_INTERVAL_S, Math.ceil(duration / MAX_SAMPLES));
+
+  const samples = [];
+  let nextOffset = 0;
+  for (const point of timed) {
+    const offset = Math.round((point.time.getTime() - start) / 1000);
+    if (offset < nextOffset) continue;
+    samples.push({ offset, hr: point.hr, cadence: point.cadence, power: point.power });
+    nextOffset = offset + interval;
+  }
+  return samples;
+};
+
+// Perpendicular distance (m) from a point to the line through two others,
+// on a local flat projection; fine at the scale of a single activity
+const offsetFromLine = (point, start, end) => {
+  const metresPerDegLat = 111320;
+  const metresPerDegLon = metresPerDegLat * Math.cos((start.lat * Math.PI) / 180);
+  const project = (p) => ({ x: (p.lon - start.lon) * metresPerDegLon, y: (p.lat - start.lat) * metresPerDegLat });
+
+  const p = project(point);
+  const e = project(end);
+  const length = Math.hypot(e.x, e.y);
+  if (length === 0) return Math.hypot(p.x, p.y);
+  return Math.abs(e.x * p.y - e.y * p.x) / length;
+};
+
+// Douglas-Peucker line simplification over the points' positions
+const douglasPeucker = (points, tolerance) => {
+  if (points.length < 3) return points;
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let furthest = -1;
+    let maxOffset = 0;
+    for (let i = first + 1; i < last; i++) {
+      const offset = offsetFromLine(points[i], points[first], points[last]);
+      if (offset > maxOffset) {
+        maxOffset = offset;
+        furthest = i;
+      }
+    }
+    if (furthest !== -1 && maxOffset > tolerance) {
+      keep[furthest] = true;
+      stack.push([first, furthest], [furthest, last]);
+    }
+  }
+
+  return points.filter((_, index) => keep[index]);
+};
+
+// Thin a track for storage, loosening the tolerance until it fits MAX_TRACK_POINTS
+const simplifyTrack = (points) => {
+  const positioned = points.filter(hasPosition);
+  let tolerance = SIMPLIFY_TOLERANCE_M;
+  let simplified = douglasPeucker(positioned, tolerance);
+  while (simplified.length > MAX_TRACK_POINTS) {
+    tolerance *= 2;
+    simplified = douglasPeucker(positioned, tolerance);
+  }
+
+  return simplified.map(point => ({
+    lat: Math.round(point.lat * 1e6) / 1e6,
+    lon: Math.round(point.lon * 1e6) / 1e6,
+    ele: point.ele !== undefined ? Math.round(point.ele * 10) / 10 : undefined,
+    time: point.time,
+    hr: point.hr,
+  }));
+};
+
+module.exports = {
+  parseGpx,
+  parseTcx,
+  parseFit,
+  parseActivityFile,
+  summarizeActivity,
+  buildSamples,
+  simplifyTrack,
+  haversine,
+};
@@ -0,0 +1,66 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Generate a short-lived access JWT bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m',
+  });
+};
+
+// Open a session and issue its access and refresh tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, {
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+  };
+};
+
+// Body returned by every successful sign-in (register, login, second factor)
+const buildAuthResponse = async (user, req) => ({
+  _id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.isEmailVerified,
+  units: user.units,
+  deletionScheduledFor: user.deletionScheduledFor,
+  ...(await issueTokens(user, req)),
+});
+
+// Short-lived access token for an admin acting as another user. It has no
+// session, so it can't be refreshed and simply expires.
+const generateImpersonationToken = (targetUserId, adminId) => {
+  return jwt.sign({ id: targetUserId, impersonatedBy: adminId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.IMPERSONATION_TOKEN_TTL || '15m',
+  });
+};
+
+// Single-purpose token (e.g. the second login step). protect refuses these.
+const generatePurposeToken = (id, purpose, expiresIn) => {
+  return jwt.sign({ id, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Returns the user id from a purpose token, or null if it is invalid, expired or for another purpose
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateToken,
+  issueTokens,
+  buildAuthResponse,
+  generateImpersonationToken,
+  generatePurposeToken,
+  verifyPurposeToken,
+};
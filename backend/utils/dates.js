@@ -0,0 +1,55 @@
+// Calendar days in a user's timezone. Daily and weekly totals are cut at the user's own
+// midnight, not the server's, so a late-evening session counts towards the day it was done.
+// Days are numbered from 1970-01-01 so that they can be compared and subtracted.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall-clock time of `date` in `timeZone`, as if that clock read UTC (ms)
+const wallClock = (date, timeZone) => {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+// Calendar day `date` falls on in `timeZone`. Dates entered without a time (a date
+// picker's "2026-03-01") are stored at UTC midnight and already name their day.
+const dayNumber = (date, timeZone = 'UTC') => {
+  const time = new Date(date).getTime();
+  if (time % DAY_MS === 0) return time / DAY_MS;
+  return Math.floor(wallClock(new Date(time), timeZone) / DAY_MS);
+};
+
+// The moment `day` begins in `timeZone`. The offset is checked again at that moment
+// in case midnight is on the other side of a daylight-saving change.
+const dayStart = (day, timeZone = 'UTC') => {
+  const midnight = day * DAY_MS;
+  let start = midnight - (wallClock(new Date(midnight), timeZone) - midnight);
+  start = midnight - (wallClock(new Date(start), timeZone) - start);
+  return new Date(start);
+};
+
+const startOfDay = (date, timeZone = 'UTC') => dayStart(dayNumber(date, timeZone), timeZone);
+
+module.exports = {
+  DAY_MS,
+  dayNumber,
+  dayStart,
+  startOfDay,
+};
@@ -0,0 +1,17 @@
+const Exercise = require('../models/Exercise');
+const LIBRARY = require('../data/exercises.json');
+
+// Upsert the bundled exercise dataset. Library entries are matched by slug,
+// so edits to data/exercises.json are picked up on the next start.
+const seedExerciseLibrary = async () => {
+  try {
+    const changed = await Exercise.seedLibrary(LIBRARY);
+    if (changed > 0) {
+      console.log(`Exercise library: ${changed} entries added or updated`);
+    }
+  } catch (error) {
+    console.error('Exercise library seed error:', error);
+  }
+};
+
+module.exports = { seedExerciseLibrary };
@@ -0,0 +1,258 @@
+// Minimal decoder for Garmin FIT activity files. It reads definition and data messages
+// and returns the ones an activity import needs (file_id, session, lap and record),
+// with values already scaled to SI units. Unknown messages and developer fields are
+// skipped. See the FIT SDK "Flexible and Interoperable Data Transfer" protocol docs.
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH_MS = Date.UTC(1989, 11, 31, 0, 0, 0);
+
+// Base types by number (low 5 bits): byte size, reader and the "no value" marker
+const BASE_TYPES = {
+  0x00: { size: 1, read: 'UInt8', invalid: 0xFF },                // enum
+  0x01: { size: 1, read: 'Int8', invalid: 0x7F },
+  0x02: { size: 1, read: 'UInt8', invalid: 0xFF },
+  0x03: { size: 2, read: 'Int16', invalid: 0x7FFF },
+  0x04: { size: 2, read: 'UInt16', invalid: 0xFFFF },
+  0x05: { size: 4, read: 'Int32', invalid: 0x7FFFFFFF },
+  0x06: { size: 4, read: 'UInt32', invalid: 0xFFFFFFFF },
+  0x07: { size: 1, read: 'string' },
+  0x08: { size: 4, read: 'Float', invalid: 0xFFFFFFFF },
+  0x09: { size: 8, read: 'Double' },
+  0x0A: { size: 1, read: 'UInt8', invalid: 0x00 },                // uint8z
+  0x0B: { size: 2, read: 'UInt16', invalid: 0x0000 },             // uint16z
+  0x0C: { size: 4, read: 'UInt32', invalid: 0x00000000 },         // uint32z
+  0x0D: { size: 1, read: 'UInt8', invalid: 0xFF },                // byte
+  0x0E: { size: 8, read: 'BigInt64' },
+  0x0F: { size: 8, read: 'BigUInt64' },
+  0x10: { size: 8, read: 'BigUInt64' },
+};
+
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+const timestamp = (value) => new Date(FIT_EPOCH_MS + value * 1000);
+const scaled = (scale, offset = 0) => (value) => value / scale - offset;
+const degrees = (value) => value * SEMICIRCLES_TO_DEGREES;
+
+// Global message number -> { name, fields: { number: [name, convert] } }
+const MESSAGES = {
+  0: {
+    name: 'fileId',
+    fields: {
+      0: ['type'],
+      1: ['manufacturer'],
+      2: ['product'],
+      3: ['serialNumber'],
+      4: ['timeCreated', timestamp],
+    },
+  },
+  18: {
+    name: 'session',
+    fields: {
+      253: ['timestamp', timestamp],
+      2: ['startTime', timestamp],
+      5: ['sport'],
+      6: ['subSport'],
+      7: ['totalElapsedTime', scaled(1000)],
+      8: ['totalTimerTime', scaled(1000)],
+      9: ['totalDistance', scaled(100)],
+      11: ['totalCalories'],
+      14: ['avgSpeed', scaled(1000)],
+      15: ['maxSpeed', scaled(1000)],
+      16: ['avgHeartRate'],
+      17: ['maxHeartRate'],
+      18: ['avgCadence'],
+      19: ['maxCadence'],
+      20: ['avgPower'],
+      21: ['maxPower'],
+      22: ['totalAscent'],
+      124: ['enhancedAvgSpeed', scaled(1000)],
+    },
+  },
+  19: {
+    name: 'lap',
+    fields: {
+      253: ['timestamp', timestamp],
+      2: ['startTime', timestamp],
+      7: ['totalElapsedTime', scaled(1000)],
+      8: ['totalTimerTime', scaled(1000)],
+      9: ['totalDistance', scaled(100)],
+      11: ['totalCalories'],
+      13: ['avgSpeed', scaled(1000)],
+      14: ['maxSpeed', scaled(1000)],
+      15: ['avgHeartRate'],
+      16: ['maxHeartRate'],
+      17: ['avgCadence'],
+      18: ['maxCadence'],
+      19: ['avgPower'],
+      20: ['maxPower'],
+      21: ['totalAscent'],
+      110: ['enhancedAvgSpeed', scaled(1000)],
+    },
+  },
+  20: {
+    name: 'record',
+    fields: {
+      253: ['timestamp', timestamp],
+      0: ['lat', degrees],
+      1: ['lon', degrees],
+      2: ['altitude', scaled(5, 500)],
+      3: ['heartRate'],
+      4: ['cadence'],
+      5: ['distance', scaled(100)],
+      6: ['speed', scaled(1000)],
+      7: ['power'],
+      73: ['enhancedSpeed', scaled(1000)],
+      78: ['enhancedAltitude', scaled(5, 500)],
+    },
+  },
+};
+
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400,
+];
+
+// FIT's CRC-16 over a byte range
+const crc16 = (buffer, start, end) => {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    const byte = buffer[i];
+    let tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+    tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+  }
+  return crc;
+};
+
+const decodeError = (message) => {
+  const error = new Error(message);
+  error.name = 'ActivityFileError';
+  return error;
+};
+
+const isFitFile = (buffer) => Buffer.isBuffer(buffer)
+  && buffer.length >= 12
+  && buffer.toString('ascii', 8, 12) === '.FIT';
+
+// Read one field value (or array of values) from a data message
+const readField = (buffer, offset, size, baseType, littleEndian) => {
+  const type = BASE_TYPES[baseType & 0x1F];
+  if (!type) return undefined;
+
+  if (type.read === 'string') {
+    const end = buffer.indexOf(0, offset);
+    return buffer.toString('utf8', offset, end === -1 || end > offset + size ? offset + size : end);
+  }
+
+  const suffix = type.size === 1 ? '' : (littleEndian ? 'LE' : 'BE');
+  const values = [];
+  for (let position = offset; position + type.size <= offset + size; position += type.size) {
+    const value = buffer[`read${type.read}${suffix}`](position);
+    values.push(type.invalid !== undefined && value === type.invalid ? undefined : value);
+  }
+  if (values.length === 1) return values[0];
+  return values.every(value => value === undefined) ? undefined : values;
+};
+
+// Decode a FIT file into { fileId, sessions, laps, records }
+const decodeFit = (buffer) => {
+  if (!isFitFile(buffer)) throw decodeError('Not a FIT file');
+
+  const headerSize = buffer[0];
+  const dataSize = buffer.readUInt32LE(4);
+  const dataEnd = headerSize + dataSize;
+  if (dataEnd + 2 > buffer.length) throw decodeError('The FIT file is truncated');
+
+  // A stored CRC of 0 means the writer didn't compute one
+  const storedCrc = buffer.readUInt16LE(dataEnd);
+  if (storedCrc !== 0 && storedCrc !== crc16(buffer, 0, dataEnd)) {
+    throw decodeError('The FIT file is corrupted (checksum mismatch)');
+  }
+
+  const definitions = {};
+  const result = { fileId: null, sessions: [], laps: [], records: [] };
+  let lastTimestamp = 0;
+  let offset = headerSize;
+
+  while (offset < dataEnd) {
+    const header = buffer[offset++];
+    let localType;
+    let compressedOffset = null;
+
+    if (header & 0x80) {
+      // Compressed timestamp header: local type in bits 5-6, time offset in bits 0-4
+      localType = (header >> 5) & 0x03;
+      compressedOffset = header & 0x1F;
+    } else {
+      localType = header & 0x0F;
+
+      if (header & 0x40) {
+        const littleEndian = buffer[offset + 1] === 0;
+        const globalNumber = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+        const fieldCount = buffer[offset + 4];
+        offset += 5;
+
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++) {
+          fields.push({ number: buffer[offset], size: buffer[offset + 1], baseType: buffer[offset + 2] });
+          offset += 3;
+        }
+
+        let developerBytes = 0;
+        if (header & 0x20) {
+          const developerCount = buffer[offset++];
+          for (let i = 0; i < developerCount; i++) {
+            developerBytes += buffer[offset + 1];
+            offset += 3;
+          }
+        }
+
+        definitions[localType] = { littleEndian, globalNumber, fields, developerBytes };
+        continue;
+      }
+    }
+
+    const definition = definitions[localType];
+    if (!definition) throw decodeError('The FIT file is malformed (data before its definition)');
+
+    const message = MESSAGES[definition.globalNumber];
+    const values = {};
+    for (const field of definition.fields) {
+      if (message && message.fields[field.number]) {
+        const [name, convert] = message.fields[field.number];
+        const raw = readField(buffer, offset, field.size, field.baseType, definition.littleEndian);
+        if (field.number === 253 && typeof raw === 'number') lastTimestamp = raw;
+        if (raw !== undefined) {
+          values[name] = convert && typeof raw === 'number' ? convert(raw) : raw;
+        }
+      }
+      offset += field.size;
+    }
+    offset += definition.developerBytes;
+
+    if (compressedOffset !== null) {
+      let time = (lastTimestamp & ~0x1F) + compressedOffset;
+      if (compressedOffset < (lastTimestamp & 0x1F)) time += 0x20;
+      lastTimestamp = time;
+      values.timestamp = timestamp(time);
+    }
+
+    if (!message) continue;
+    if (message.name === 'fileId') result.fileId = result.fileId || values;
+    if (message.name === 'session') result.sessions.push(values);
+    if (message.name === 'lap') result.laps.push(values);
+    if (message.name === 'record') result.records.push(values);
+  }
+
+  return result;
+};
+
+module.exports = {
+  decodeFit,
+  isFitFile,
+  crc16,
+  FIT_EPOCH_MS,
+};
@@ -0,0 +1,64 @@
+// Heart-rate based energy estimates and time spent in training zones
+
+// Keytel et al. (2005) is only validated for exercising heart rates; below this the
+// equation under- or over-shoots badly, so callers fall back to MET estimates
+const MIN_KEYTEL_HEART_RATE = 90;
+
+// Gaps between samples longer than this (s) are pauses, not time in a zone.
+// Stored samples are at most a minute apart for activities up to 12 hours.
+const MAX_SAMPLE_GAP_S = 120;
+
+// kJ/min coefficients: [constant, heart rate, weight (kg), age (years)]
+const KEYTEL_COEFFICIENTS = {
+  male: [-55.0969, 0.6309, 0.1988, 0.2017],
+  female: [-20.4022, 0.4472, -0.1263, 0.074],
+};
+
+const keytelKcalPerMinute = (sex, heartRate, weight, age) => {
+  const [constant, hr, kg, years] = KEYTEL_COEFFICIENTS[sex];
+  return (constant + hr * heartRate + kg * weight + years * age) / 4.184;
+};
+
+// Calories from average heart rate (Keytel et al. 2005, without VO2max).
+// 'other' uses the mean of the male and female equations. Returns null when the
+// inputs are missing or outside the range the equation holds for.
+const keytelCalories = ({ avgHeartRate, minutes, weight, age, sex }) => {
+  if (!avgHeartRate || !minutes || !weight || age === null || age === undefined || !sex) return null;
+  if (avgHeartRate < MIN_KEYTEL_HEART_RATE) return null;
+
+  const perMinute = sex === 'other'
+    ? (keytelKcalPerMinute('male', avgHeartRate, weight, age) + keytelKcalPerMinute('female', avgHeartRate, weight, age)) / 2
+    : keytelKcalPerMinute(sex, avgHeartRate, weight, age);
+
+  return perMinute > 0 ? Math.round(perMinute * minutes) : null;
+};
+
+// Seconds spent in each zone, from samples of { offset, hr }.
+// Each sample counts until the next one; readings under zone 1 go to belowZones
+// and readings over the top zone count towards it.
+const timeInZones = (samples = [], zones = []) => {
+  const result = zones.map(zone => ({ ...zone, seconds: 0 }));
+  let belowZones = 0;
+
+  const withHr = samples.filter(sample => sample.hr > 0);
+  for (let i = 0; i < withHr.length - 1; i++) {
+    const seconds = withHr[i + 1].offset - withHr[i].offset;
+    if (seconds <= 0 || seconds > MAX_SAMPLE_GAP_S) continue;
+
+    const { hr } = withHr[i];
+    const index = result.findIndex((zone, zoneIndex) => hr >= zone.min
+      && (hr < zone.max || zoneIndex === result.length - 1));
+    if (index === -1) {
+      belowZones += seconds;
+    } else {
+      result[index].seconds += seconds;
+    }
+  }
+
+  return { zones: result, belowZones };
+};
+
+module.exports = {
+  keytelCalories,
+  timeInZones,
+};
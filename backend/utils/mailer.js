@@ -0,0 +1,64 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Transports receive a normalized message and deliver it somewhere.
+// Register a custom one (SMTP, an API provider, a test spy) with registerTransport.
+const transports = {
+  // Print the message to the server log
+  console: async (message) => {
+    console.log(
+      `\n--- Email to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n--- End email ---\n`
+    );
+  },
+
+  // Write each message as a JSON file into a local outbox directory
+  outbox: async (message) => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const fileName = `${message.date.toISOString().replace(/[:.]/g, '-')}-${safeRecipient}.json`;
+    await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+  },
+};
+
+const registerTransport = (name, send) => {
+  if (typeof send !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${transportName}"`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'FitBodyTrack <no-reply@fitbodytrack.local>',
+    to,
+    subject,
+    text,
+    html,
+    date: new Date(),
+  };
+
+  await transport(message);
+  return message;
+};
+
+// Build a link into the frontend, e.g. clientUrl('/reset-password', { token })
+const clientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  clientUrl,
+};
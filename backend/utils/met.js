@@ -0,0 +1,108 @@
+// MET values from the Compendium of Physical Activities (data/compendium.json).
+// Each activity lists coded entries that apply at a minimum speed (km/h), uphill grade (%),
+// average power (W) or rated effort, plus a default code. The most specific measure the
+// workout has wins: speed (or an uphill entry, when that is the higher MET), then power,
+// then effort. Library METs remain the fallback for activities the table doesn't cover.
+
+const COMPENDIUM = require('../data/compendium.json');
+
+// Session RPE (CR-10) bands for the Compendium's light / moderate / vigorous effort levels
+const EFFORT_LEVELS = [
+  [1, 'light'],
+  [5, 'moderate'],
+  [7, 'vigorous'],
+];
+
+// Workout type -> activity key, including each activity's aliases. Both tables are
+// looked up with user input, so they have no prototype ("constructor" is no activity).
+const ACTIVITY_KEYS = Object.create(null);
+// Library category -> activity key, for exercises without their own entry
+const CATEGORY_KEYS = Object.create(null);
+for (const [key, activity] of Object.entries(COMPENDIUM.activities)) {
+  ACTIVITY_KEYS[key] = key;
+  activity.aliases.forEach(alias => { ACTIVITY_KEYS[alias] = key; });
+  if (activity.category) CATEGORY_KEYS[activity.category] = key;
+}
+
+const effortFor = (rpe) => {
+  if (!(rpe >= 1)) return null;
+  let effort = null;
+  for (const [minRpe, level] of EFFORT_LEVELS) {
+    if (rpe >= minRpe) effort = level;
+  }
+  return effort;
+};
+
+// Entry with the highest threshold `field` that `value` reaches, or null
+const highestBand = (entries, field, value) => {
+  if (!(value > 0)) return null;
+  return entries
+    .filter(entry => entry[field] !== undefined && value >= entry[field])
+    .reduce((best, entry) => (!best || entry[field] > best[field] ? entry : best), null);
+};
+
+const result = (entry, basis) => ({
+  met: entry.met,
+  code: entry.code,
+  description: entry.description,
+  basis,
+});
+
+// Pick a Compendium MET for a workout type from what is known about the session:
+// { speed (km/h), grade (%), power (W), rpe (1-10), category }. Returns
+// { met, code, description, basis } or null when the table has nothing for the type.
+// Exercises only covered through their library category (e.g. a bench press is
+// "resistance training") need a rated effort; otherwise the library MET is the better guess.
+const metFor = (type, { speed, grade, power, rpe, category } = {}) => {
+  let key = ACTIVITY_KEYS[type];
+  const byCategory = !key && Boolean(CATEGORY_KEYS[category]);
+  if (byCategory) key = CATEGORY_KEYS[category];
+  if (!key) return null;
+
+  const { entries, default: defaultCode } = COMPENDIUM.activities[key];
+
+  if (!byCategory) {
+    // Uphill entries assume an easy pace, so a brisk walk can be worth more than a climb
+    const bySpeed = highestBand(entries, 'minSpeed', speed);
+    const uphill = highestBand(entries, 'minGrade', grade);
+    if (uphill && (!bySpeed || uphill.met > bySpeed.met)) return result(uphill, 'grade');
+    if (bySpeed) return result(bySpeed, 'speed');
+
+    const byPower = highestBand(entries, 'minPower', power);
+    if (byPower) return result(byPower, 'power');
+  }
+
+  const effort = effortFor(rpe);
+  const byEffort = effort && entries.find(entry => entry.effort === effort);
+  if (byEffort) return result(byEffort, 'effort');
+  if (byCategory) return null;
+
+  return result(entries.find(entry => entry.code === defaultCode), 'default');
+};
+
+// Average uphill grade (%) from the net climb of a recorded track (finish elevation minus
+// start, in m) over the distance (km). Total ascent would make every hilly loop look like
+// a climb; a route that ends no higher than it started has no grade. Null when unknown.
+const gradeFor = (track, distanceKm) => {
+  const points = (track || []).filter(point => typeof point.ele === 'number');
+  if (points.length < 2 || !(distanceKm > 0)) return null;
+
+  const netClimb = points[points.length - 1].ele - points[0].ele;
+  return netClimb > 0 ? (netClimb / (distanceKm * 1000)) * 100 : null;
+};
+
+// Adjust a MET value to the user's own resting metabolic rate (corrected METs).
+// Standard METs assume 3.5 ml O2/kg/min at rest; a BMR in kcal/day gives the real figure.
+const correctedMet = (met, bmr, weight) => {
+  if (!met || !bmr || !weight) return met;
+
+  // kcal/day -> litres O2/min (about 5 kcal per litre) -> ml/kg/min
+  const restingVo2 = ((bmr / 1440) / 5) * 1000 / weight;
+  return met * (3.5 / restingVo2);
+};
+
+module.exports = {
+  correctedMet,
+  gradeFor,
+  metFor,
+};
@@ -0,0 +1,176 @@
+// Weekly training volume per muscle group: hard sets and tonnage from logged sets.
+// A hard set is any working or drop set with reps; warm-ups don't count. Sets count in
+// full towards an exercise's primary muscles and at SECONDARY_FACTOR towards its
+// secondary muscles, which is how set-volume targets are usually tallied. Weeks end on
+// the user's calendar day in their profile timezone.
+
+const LIBRARY = require('../data/exercises.json');
+const Exercise = require('../models/Exercise');
+const { dayNumber, dayStart } = require('./dates');
+const { round } = require('./trainingLoad');
+
+const WEEK_DAYS = 7;
+const SECONDARY_FACTOR = 0.5;
+
+// Hard sets per muscle per week. Broadly the range between the least volume that
+// still makes progress and the most that most lifters recover from; smaller muscles
+// that get plenty of indirect work from compound lifts need fewer direct sets.
+const DEFAULT_TARGETS = {
+  chest: { min: 10, max: 20 },
+  back: { min: 10, max: 20 },
+  shoulders: { min: 8, max: 20 },
+  biceps: { min: 8, max: 16 },
+  triceps: { min: 6, max: 14 },
+  forearms: { min: 4, max: 12 },
+  core: { min: 6, max: 16 },
+  glutes: { min: 6, max: 16 },
+  quadriceps: { min: 8, max: 18 },
+  hamstrings: { min: 6, max: 14 },
+  calves: { min: 8, max: 16 },
+};
+
+// Common names for library exercises that don't slugify to the library slug
+const ALIASES = {
+  squat: 'back-squat',
+  squats: 'back-squat',
+  bench: 'bench-press',
+  'barbell-bench-press': 'bench-press',
+  'push-up': 'pushups',
+  'push-ups': 'pushups',
+  pushup: 'pushups',
+  'pull-ups': 'pull-up',
+  pullup: 'pull-up',
+  'chin-up': 'pull-up',
+  'chin-ups': 'pull-up',
+  dips: 'dip',
+  lunges: 'lunge',
+  rdl: 'romanian-deadlift',
+  ohp: 'overhead-press',
+  'military-press': 'overhead-press',
+  'shoulder-press': 'overhead-press',
+  'bent-over-row': 'barbell-row',
+  'cable-row': 'seated-cable-row',
+  'biceps-curl': 'bicep-curl',
+  'triceps-pushdown': 'tricep-pushdown',
+  'calf-raises': 'calf-raise',
+  crunches: 'crunch',
+  burpees: 'burpee',
+};
+
+const BUNDLED = new Map(LIBRARY.map(entry => [entry.slug, entry]));
+
+// Look up an exercise in the bundled mapping by name, allowing for common aliases
+const bundledMuscles = (name) => {
+  const slug = Exercise.slugify(name || '');
+  const entry = BUNDLED.get(slug) || BUNDLED.get(ALIASES[slug]);
+  return entry ? { primary: entry.primaryMuscles, secondary: entry.secondaryMuscles } : null;
+};
+
+// Default targets overridden by any the user has set ({ muscle: { min, max } })
+const resolveTargets = (overrides = {}) => {
+  const targets = {};
+  for (const [muscle, target] of Object.entries(DEFAULT_TARGETS)) {
+    const override = overrides[muscle] || {};
+    targets[muscle] = {
+      min: typeof override.min === 'number' ? override.min : target.min,
+      max: typeof override.max === 'number' ? override.max : target.max,
+    };
+  }
+  return targets;
+};
+
+const targetStatus = (sets, target) => {
+  if (sets < target.min) return 'below';
+  if (sets > target.max) return 'above';
+  return 'within';
+};
+
+// Hard sets and tonnage per muscle for the `weeks` rolling weeks ending on `end`.
+// `musclesFor(exercise)` returns { primary, secondary } for a logged exercise, or
+// null when it can't be mapped; unmapped exercise names are listed in the result.
+const muscleVolume = (workouts, {
+  musclesFor = exercise => bundledMuscles(exercise.name),
+  end = new Date(),
+  weeks = 4,
+  targets = DEFAULT_TARGETS,
+  timeZone = 'UTC',
+} = {}) => {
+  const muscles = Object.keys(targets);
+  const empty = () => Object.fromEntries(muscles.map(muscle => [muscle, { sets: 0, tonnage: 0 }]));
+
+  const lastDay = dayNumber(end, timeZone);
+  const series = [];
+  for (let week = 0; week < weeks; week++) {
+    const weekEnd = lastDay - (weeks - 1 - week) * WEEK_DAYS;
+    series.push({
+      weekStart: dayStart(weekEnd - (WEEK_DAYS - 1), timeZone),
+      weekEnd: dayStart(weekEnd, timeZone),
+      muscles: empty(),
+    });
+  }
+
+  const unmapped = new Set();
+  for (const workout of workouts) {
+    const daysAgo = lastDay - dayNumber(workout.date, timeZone);
+    const index = weeks - 1 - Math.floor(daysAgo / WEEK_DAYS);
+    if (daysAgo < 0 || index < 0) continue;
+    const totals = series[index].muscles;
+
+    for (const exercise of workout.exercises || []) {
+      const sets = (exercise.sets || []).filter(set => set.setType !== 'warmup' && set.reps > 0);
+      if (sets.length === 0) continue;
+
+      const mapping = musclesFor(exercise);
+      if (!mapping || (!mapping.primary.length && !mapping.secondary.length)) {
+        unmapped.add(exercise.name);
+        continue;
+      }
+
+      const tonnage = sets.reduce((sum, set) => sum + set.reps * (set.load || 0), 0);
+      const credit = (muscle, factor) => {
+        if (!totals[muscle]) return;
+        totals[muscle].sets += sets.length * factor;
+        totals[muscle].tonnage += tonnage * factor;
+      };
+      mapping.primary.forEach(muscle => credit(muscle, 1));
+      mapping.secondary
+        .filter(muscle => !mapping.primary.includes(muscle))
+        .forEach(muscle => credit(muscle, SECONDARY_FACTOR));
+    }
+  }
+
+  for (const week of series) {
+    for (const totals of Object.values(week.muscles)) {
+      totals.sets = round(totals.sets, 1);
+      totals.tonnage = Math.round(totals.tonnage);
+    }
+  }
+
+  // The latest week is compared against the target; the average smooths out a deload
+  const current = series[series.length - 1].muscles;
+  const summary = muscles.map(muscle => {
+    const average = series.reduce((sum, week) => sum + week.muscles[muscle].sets, 0) / weeks;
+    return {
+      muscle,
+      sets: current[muscle].sets,
+      tonnage: current[muscle].tonnage,
+      averageSets: round(average, 1),
+      target: targets[muscle],
+      status: targetStatus(current[muscle].sets, targets[muscle]),
+    };
+  });
+
+  return {
+    muscles: summary,
+    weeks: series,
+    secondaryFactor: SECONDARY_FACTOR,
+    unmapped: [...unmapped].sort(),
+  };
+};
+
+module.exports = {
+  DEFAULT_TARGETS,
+  bundledMuscles,
+  muscleVolume,
+  resolveTargets,
+};
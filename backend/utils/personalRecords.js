@@ -0,0 +1,143 @@
+const PersonalRecord = require('../models/PersonalRecord');
+const Exercise = require('../models/Exercise');
+
+// Rep-max estimates get unreliable past this many reps, so higher-rep sets don't feed the 1RM
+const MAX_REPS_FOR_1RM = 12;
+
+// Average-speed records only count for efforts of at least this many km
+const MIN_DISTANCE_FOR_SPEED = 1;
+
+// Epley: w * (1 + r / 30)
+const epley = (load, reps) => (reps === 1 ? load : load * (1 + reps / 30));
+
+// Brzycki: w * 36 / (37 - r)
+const brzycki = (load, reps) => (reps === 1 ? load : load * (36 / (37 - reps)));
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Estimated one-rep max for a set; the primary figure is Epley, with Brzycki alongside
+const estimateOneRepMax = (load, reps) => {
+  if (!load || !reps || reps > MAX_REPS_FOR_1RM) return null;
+  return {
+    value: round(epley(load, reps)),
+    epley: round(epley(load, reps)),
+    brzycki: round(brzycki(load, reps)),
+  };
+};
+
+// Best candidate of each record type for every exercise in a workout
+const collectCandidates = (workout) => {
+  const candidates = [];
+
+  for (const exercise of workout.exercises || []) {
+    const sets = (exercise.sets || []).filter(set => set.setType !== 'warmup' && set.reps > 0);
+    if (sets.length === 0) continue;
+
+    const base = { exerciseKey: Exercise.slugify(exercise.name), exerciseName: exercise.name };
+
+    const heaviest = sets.reduce((best, set) => ((set.load || 0) > (best.load || 0) ? set : best), sets[0]);
+    if (heaviest.load > 0) {
+      candidates.push({
+        ...base,
+        recordType: 'heaviest_weight',
+        value: heaviest.load,
+        details: { reps: heaviest.reps, load: heaviest.load },
+      });
+    }
+
+    let bestEstimate = null;
+    for (const set of sets) {
+      const estimate = estimateOneRepMax(set.load, set.reps);
+      if (estimate && (!bestEstimate || estimate.value > bestEstimate.value)) {
+        bestEstimate = { ...estimate, reps: set.reps, load: set.load };
+      }
+    }
+    if (bestEstimate) {
+      const { value, ...details } = bestEstimate;
+      candidates.push({ ...base, recordType: 'estimated_1rm', value, details });
+    }
+
+    // Most reps at each load used (bodyweight sets count at load 0)
+    const repsByLoad = new Map();
+    for (const set of sets) {
+      const load = set.load || 0;
+      repsByLoad.set(load, Math.max(repsByLoad.get(load) || 0, set.reps));
+    }
+    for (const [load, reps] of repsByLoad) {
+      candidates.push({ ...base, recordType: 'most_reps', value: reps, load, details: { reps, load } });
+    }
+
+    const volume = sets.reduce((sum, set) => sum + set.reps * (set.load || 0), 0);
+    if (volume > 0) {
+      candidates.push({ ...base, recordType: 'best_volume', value: volume, details: { sets: sets.length } });
+    }
+  }
+
+  // Sessions without logged sets are cardio-style efforts, compared per workout type
+  if (!workout.exercises || workout.exercises.length === 0) {
+    const base = { exerciseKey: Exercise.slugify(workout.type), exerciseName: workout.type };
+    candidates.push({ ...base, recordType: 'longest_duration', value: workout.duration });
+
+    if (workout.distance > 0) {
+      candidates.push({ ...base, recordType: 'longest_distance', value: workout.distance });
+    }
+    // Short efforts would make for flattering but meaningless speed records
+    if (workout.avgSpeed > 0 && workout.distance >= MIN_DISTANCE_FOR_SPEED) {
+      candidates.push({
+        ...base,
+        recordType: 'fastest_speed',
+        value: workout.avgSpeed,
+        details: { distance: workout.distance, movingTime: workout.movingTime },
+      });
+    }
+  }
+
+  return candidates;
+};
+
+// Compare a saved workout against the user's records and store any new bests.
+// Returns the records set by this workout. The first effort of a kind is stored as a
+// baseline (previousValue null) so later workouts have something to beat.
+const detectPersonalRecords = async (workout) => {
+  const created = [];
+
+  for (const candidate of collectCandidates(workout)) {
+    const filter = {
+      userId: workout.userId,
+      exerciseKey: candidate.exerciseKey,
+      recordType: candidate.recordType,
+      workout: { $ne: workout._id },
+    };
+    if (candidate.recordType === 'most_reps') filter.load = candidate.load;
+
+    const best = await PersonalRecord.findOne(filter).sort({ value: -1 });
+    if (best && candidate.value <= best.value) continue;
+
+    created.push(await PersonalRecord.create({
+      ...candidate,
+      userId: workout.userId,
+      workout: workout._id,
+      unit: PersonalRecord.RECORD_TYPES[candidate.recordType],
+      previousValue: best ? best.value : null,
+      date: workout.date,
+    }));
+  }
+
+  return created;
+};
+
+// Re-run detection after a workout changed: drop what it set before, then check again
+const refreshPersonalRecords = async (workout) => {
+  await PersonalRecord.deleteMany({ workout: workout._id });
+  return detectPersonalRecords(workout);
+};
+
+// Only records that beat an earlier best are worth announcing
+const announceable = (records) => records.filter(record => record.previousValue !== null);
+
+module.exports = {
+  estimateOneRepMax,
+  detectPersonalRecords,
+  refreshPersonalRecords,
+  announceable,
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Check and normalize submitted planned exercises.
+// Returns { exercises } in order, or { error } with a message for the client.
+const normalizePlannedExercises = (exercises) => {
+  if (!Array.isArray(exercises)) {
+    return { error: 'Exercises must be a list' };
+  }
+
+  const normalized = [];
+  for (const [index, exercise] of exercises.entries()) {
+    const label = `Exercise ${index + 1}`;
+
+    if (!exercise || typeof exercise.name !== 'string' || !exercise.name.trim()) {
+      return { error: `${label}: please add a name` };
+    }
+
+    const targetSets = Number(exercise.targetSets);
+    const targetReps = Number(exercise.targetReps);
+    const hasLoad = exercise.targetLoad !== undefined && exercise.targetLoad !== null && exercise.targetLoad !== '';
+    const targetLoad = hasLoad ? Number(exercise.targetLoad) : undefined;
+
+    if (!Number.isInteger(targetSets) || targetSets < 1) {
+      return { error: `${label}: target sets must be a whole number of at least 1` };
+    }
+    if (!Number.isInteger(targetReps) || targetReps < 1) {
+      return { error: `${label}: target reps must be a whole number of at least 1` };
+    }
+    if (hasLoad && (!Number.isFinite(targetLoad) || targetLoad < 0)) {
+      return { error: `${label}: target load must be zero or more` };
+    }
+
+    normalized.push({
+      name: exercise.name.trim(),
+      exercise: mongoose.Types.ObjectId.isValid(exercise.exercise) ? exercise.exercise : undefined,
+      order: Number.isInteger(exercise.order) ? exercise.order : index,
+      targetSets,
+      targetReps,
+      targetLoad,
+    });
+  }
+
+  normalized
+    .sort((a, b) => a.order - b.order)
+    .forEach((exercise, index) => { exercise.order = index; });
+
+  return { exercises: normalized };
+};
+
+module.exports = { normalizePlannedExercises };
@@ -0,0 +1,144 @@
+const { estimateOneRepMax } = require('./personalRecords');
+
+// Settings used when the user hasn't chosen their own. Loads in kg.
+const DEFAULT_SETTINGS = {
+  scheme: 'double',
+  // Load added after a successful session
+  increment: 2.5,
+  // Linear and percentage schemes: reps per working set
+  targetReps: 5,
+  // Double progression: add reps up to the top of the range, then add load
+  repRangeMin: 8,
+  repRangeMax: 12,
+  // Percentage scheme: working load as a share of estimated 1RM
+  percentage: 80,
+  // Sessions in a row without beating the earlier best before a deload is suggested
+  stallSessions: 3,
+  // Deloads drop the working load by this share
+  deloadPercent: 10,
+};
+
+// Drop floating-point noise from sums like 60 + 2.5 + 2.5
+const cleanLoad = (load) => Math.round(load * 100) / 100;
+
+// Loads worked out from a percentage land on a multiple of the user's own increment
+const roundLoad = (load, increment, round = Math.round) => cleanLoad(round(load / increment) * increment);
+
+// Working sets of one session, reduced to what progression needs: the top load,
+// the sets done at it, and a performance figure (best e1RM, or most reps for bodyweight)
+const summarizeSession = ({ date, sets }) => {
+  const working = sets.filter(set => set.setType !== 'warmup' && set.reps > 0);
+  if (working.length === 0) return null;
+
+  const topLoad = Math.max(...working.map(set => set.load || 0));
+  const topSets = working.filter(set => (set.load || 0) === topLoad);
+  const bestEstimate = working.reduce((best, set) => {
+    const estimate = estimateOneRepMax(set.load, set.reps);
+    return estimate && estimate.value > best ? estimate.value : best;
+  }, 0);
+
+  return {
+    date,
+    load: topLoad,
+    sets: topSets.length,
+    reps: topSets.map(set => set.reps),
+    estimatedOneRepMax: bestEstimate || null,
+    performance: bestEstimate || Math.max(...working.map(set => set.reps)),
+  };
+};
+
+const SCHEMES = {
+  // Same reps every session; add load once every set hits the target
+  linear: (last, settings) => {
+    const hit = last.reps.every(reps => reps >= settings.targetReps);
+    return hit
+      ? { load: cleanLoad(last.load + settings.increment), reps: settings.targetReps, sets: last.sets, reason: `All sets reached ${settings.targetReps} reps, so add ${settings.increment} kg.` }
+      : { load: last.load, reps: settings.targetReps, sets: last.sets, reason: `Not every set reached ${settings.targetReps} reps; repeat the load.` };
+  },
+
+  // Build reps within the range at one load; at the top of the range add load and drop back
+  double: (last, settings) => {
+    const lowest = Math.min(...last.reps);
+    if (lowest >= settings.repRangeMax) {
+      return {
+        load: cleanLoad(last.load + settings.increment),
+        reps: settings.repRangeMin,
+        sets: last.sets,
+        reason: `All sets reached ${settings.repRangeMax} reps, so add ${settings.increment} kg and start again at ${settings.repRangeMin}.`,
+      };
+    }
+    return {
+      load: last.load,
+      reps: Math.min(settings.repRangeMax, Math.max(settings.repRangeMin, lowest + 1)),
+      sets: last.sets,
+      reason: `Add a rep per set at the same load until every set reaches ${settings.repRangeMax}.`,
+    };
+  },
+
+  // Work at a fixed share of the recent best estimated 1RM
+  percentage: (last, settings, sessions) => {
+    const recentBest = Math.max(0, ...sessions.slice(0, 3).map(session => session.estimatedOneRepMax || 0));
+    if (!recentBest) {
+      return { ...SCHEMES.double(last, settings), reason: 'No 1RM estimate yet (log sets of 12 reps or fewer with a load); using double progression.' };
+    }
+    return {
+      load: roundLoad(recentBest * settings.percentage / 100, settings.increment),
+      reps: settings.targetReps,
+      sets: last.sets,
+      reason: `${settings.percentage}% of your recent estimated 1RM of ${recentBest} kg.`,
+    };
+  },
+};
+
+// A stall: the last `stallSessions` sessions all fell short of the best before them
+const detectStall = (sessions, stallSessions) => {
+  if (sessions.length <= stallSessions) return false;
+  const recentBest = Math.max(...sessions.slice(0, stallSessions).map(session => session.performance));
+  const earlierBest = Math.max(...sessions.slice(stallSessions).map(session => session.performance));
+  return recentBest <= earlierBest;
+};
+
+// Next-session suggestion for one exercise from its logged sessions (newest first,
+// each { date, sets }). Returns null when there is nothing to go on.
+const recommendNextSession = (history, settings = {}) => {
+  const options = { ...DEFAULT_SETTINGS, ...settings };
+  const sessions = history.map(summarizeSession).filter(Boolean);
+  if (sessions.length === 0) return null;
+
+  const last = sessions[0];
+  const scheme = SCHEMES[options.scheme] ? options.scheme : DEFAULT_SETTINGS.scheme;
+  // Bodyweight work progresses by reps whatever the scheme
+  const suggestion = last.load > 0
+    ? SCHEMES[scheme](last, options, sessions)
+    : { load: 0, reps: Math.min(...last.reps) + 1, sets: last.sets, reason: 'Bodyweight: add a rep per set, or add load once the sets feel easy.' };
+  const stalled = detectStall(sessions, options.stallSessions);
+
+  const result = {
+    scheme,
+    lastSession: { date: last.date, load: last.load, sets: last.sets, reps: last.reps },
+    estimatedOneRepMax: last.estimatedOneRepMax,
+    stalled,
+    deload: false,
+    ...suggestion,
+  };
+
+  // Bodyweight work has no load to drop, so a stall is only flagged. The deload is
+  // rounded down to the increment so it always comes out lighter than the last session.
+  if (stalled && last.load > 0) {
+    const load = roundLoad(last.load * (1 - options.deloadPercent / 100), options.increment, Math.floor);
+    return {
+      ...result,
+      deload: true,
+      load,
+      reason: `No improvement in ${options.stallSessions} sessions. Deload by about ${options.deloadPercent}% to ${load} kg and build back up.`,
+    };
+  }
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  SCHEMES: Object.keys(SCHEMES),
+  recommendNextSession,
+};
@@ -0,0 +1,108 @@
+// Session-RPE training load (Foster et al. 2001) and the acute:chronic workload ratio.
+// Session load is RPE x duration in minutes, in arbitrary units (AU). Days are the
+// user's calendar days in their profile timezone.
+
+const { dayNumber, dayStart } = require('./dates');
+
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+
+// Acute:chronic ratios inside this band are associated with the lowest injury risk;
+// above SPIKE_RATIO load is rising much faster than the athlete is used to
+const SAFE_RATIO = { min: 0.8, max: 1.3 };
+const SPIKE_RATIO = 1.5;
+
+const sessionLoad = (workout) => (workout.rpe && workout.duration ? workout.rpe * workout.duration : 0);
+
+// Daily load totals for `days` days ending on day number `lastDay` (oldest first)
+const dailyLoads = (workouts, lastDay, days, timeZone) => {
+  const loads = new Array(days).fill(0);
+  for (const workout of workouts) {
+    const index = days - 1 - (lastDay - dayNumber(workout.date, timeZone));
+    if (index >= 0 && index < days) loads[index] += sessionLoad(workout);
+  }
+  return loads;
+};
+
+const round = (value, places = 2) => (
+  value === null ? null : Math.round(value * 10 ** places) / 10 ** places
+);
+
+// Monotony is the mean daily load over its standard deviation (rest days count as 0);
+// strain is the week's load times its monotony
+const weekMetrics = (loads) => {
+  const load = loads.reduce((sum, value) => sum + value, 0);
+  const mean = load / loads.length;
+  const variance = loads.reduce((sum, value) => sum + (value - mean) ** 2, 0) / loads.length;
+  const sd = Math.sqrt(variance);
+  const monotony = load > 0 && sd > 0 ? mean / sd : null;
+
+  return {
+    load: Math.round(load),
+    monotony: round(monotony),
+    strain: monotony === null ? null : Math.round(load * monotony),
+  };
+};
+
+const ratioStatus = (ratio) => {
+  if (ratio === null) return 'insufficient_data';
+  if (ratio > SPIKE_RATIO) return 'spike';
+  if (ratio > SAFE_RATIO.max) return 'high';
+  if (ratio < SAFE_RATIO.min) return 'low';
+  return 'optimal';
+};
+
+// Load metrics for the `weeks` rolling weeks ending on `end`. `workouts` must cover
+// CHRONIC_DAYS before the first of those weeks for the early ratios to be complete.
+// Ratios are left out until the rated history (from `historyStart`, else the earliest
+// workout given) spans a full chronic window.
+const trainingLoad = (workouts, {
+  end = new Date(), weeks = 8, historyStart: firstDate, timeZone = 'UTC',
+} = {}) => {
+  const rated = workouts.filter(workout => sessionLoad(workout) > 0);
+  const totalDays = weeks * ACUTE_DAYS + CHRONIC_DAYS - ACUTE_DAYS;
+  const lastDay = dayNumber(end, timeZone);
+  const loads = dailyLoads(rated, lastDay, totalDays, timeZone);
+
+  const firstRated = firstDate || rated.reduce((first, workout) => (
+    !first || workout.date < first ? workout.date : first
+  ), null);
+  const historyStart = firstRated ? dayNumber(firstRated, timeZone) : null;
+
+  const series = [];
+  for (let week = 0; week < weeks; week++) {
+    const endIndex = totalDays - (weeks - 1 - week) * ACUTE_DAYS;
+    const acuteLoads = loads.slice(endIndex - ACUTE_DAYS, endIndex);
+    const chronicLoads = loads.slice(Math.max(0, endIndex - CHRONIC_DAYS), endIndex);
+
+    const weekEnd = lastDay - (weeks - 1 - week) * ACUTE_DAYS;
+    const windowStart = weekEnd - (CHRONIC_DAYS - 1);
+    const acute = acuteLoads.reduce((sum, value) => sum + value, 0);
+    const chronic = chronicLoads.reduce((sum, value) => sum + value, 0) / (CHRONIC_DAYS / ACUTE_DAYS);
+    const enoughHistory = historyStart !== null && historyStart <= windowStart;
+
+    series.push({
+      weekStart: dayStart(weekEnd - (ACUTE_DAYS - 1), timeZone),
+      weekEnd: dayStart(weekEnd, timeZone),
+      ...weekMetrics(acuteLoads),
+      acute: Math.round(acute),
+      chronic: Math.round(chronic),
+      ratio: enoughHistory && chronic > 0 ? round(acute / chronic) : null,
+    });
+  }
+
+  const current = series[series.length - 1];
+  return {
+    ...current,
+    status: ratioStatus(current.ratio),
+    safeRange: SAFE_RATIO,
+    weeks: series,
+  };
+};
+
+module.exports = {
+  CHRONIC_DAYS,
+  round,
+  sessionLoad,
+  trainingLoad,
+};
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const TrainingPlan = require('../models/TrainingPlan');
+const Workout = require('../models/Workout');
+
+const { DAY_MS } = require('./dates');
+
+const { planDay } = TrainingPlan;
+
+const occurrenceKey = (planId, sessionId, date) => `${planId}:${sessionId}:${planDay(date).toISOString()}`;
+
+// Map of occurrence key -> workout for every workout linked to the given plans
+const loadCompletions = async (planIds) => {
+  const workouts = await Workout.find({ 'plannedSession.plan': { $in: planIds } })
+    .select('plannedSession date type duration calories');
+
+  return new Map(workouts.map(workout => [
+    occurrenceKey(workout.plannedSession.plan, workout.plannedSession.session, workout.plannedSession.date),
+    workout
+  ]));
+};
+
+// Tag each occurrence as completed, missed, today or upcoming, with today in `timeZone`
+const withStatus = (occurrences, completions, now, timeZone) => {
+  const today = planDay(now, timeZone).getTime();
+
+  return occurrences.map(occurrence => {
+    const workout = completions.get(occurrenceKey(occurrence.plan, occurrence.session, occurrence.date));
+    let status = 'upcoming';
+    if (workout) status = 'completed';
+    else if (occurrence.date.getTime() < today) status = 'missed';
+    else if (occurrence.date.getTime() === today) status = 'today';
+
+    return { ...occurrence, status, workout: workout ? workout._id : undefined };
+  });
+};
+
+// Adherence for a whole plan: completed sessions out of those already due.
+// Today's sessions only count once they're done, so the figure doesn't dip every morning.
+const getPlanStatus = async (plan, timeZone = 'UTC', now = new Date()) => {
+  const completions = await loadCompletions([plan._id]);
+  const schedule = withStatus(plan.listOccurrences(), completions, now, timeZone);
+
+  const completed = schedule.filter(occurrence => occurrence.status === 'completed');
+  const missed = schedule.filter(occurrence => occurrence.status === 'missed');
+  const due = completed.length + missed.length;
+
+  return {
+    scheduled: schedule.length,
+    completed: completed.length,
+    missed: missed.length,
+    adherence: due > 0 ? Math.round((completed.length / due) * 100) : null,
+    missedSessions: missed,
+    upcoming: schedule.filter(occurrence => ['today', 'upcoming'].includes(occurrence.status)).slice(0, 7),
+  };
+};
+
+// Sessions scheduled in the user's active plans from today (in `timeZone`) for the next `days` days
+const getUpcomingSessions = async (userId, days = 7, timeZone = 'UTC', now = new Date()) => {
+  const plans = await TrainingPlan.find({ userId, active: true });
+  if (plans.length === 0) return [];
+
+  const from = planDay(now, timeZone);
+  const to = new Date(from.getTime() + days * DAY_MS);
+  const occurrences = plans
+    .flatMap(plan => plan.listOccurrences(from, to))
+    .sort((a, b) => a.date - b.date);
+
+  const completions = await loadCompletions(plans.map(plan => plan._id));
+  return withStatus(occurrences, completions, now, timeZone);
+};
+
+// Work out which planned session a new workout completes, with days in `timeZone`.
+// An explicit { plan, session, date } is checked against the user's plans and must fall in
+// a week the session is scheduled; it links to that week's session. Otherwise the first
+// open session of the same workout type scheduled on the workout's day is used.
+// Returns { plannedSession } (undefined when there's no match) or { error } for the client.
+const resolvePlannedSession = async (userId, { plannedSession, date, type, timeZone = 'UTC' }) => {
+  const day = planDay(date || Date.now(), timeZone);
+
+  if (plannedSession && plannedSession.plan) {
+    if (!mongoose.Types.ObjectId.isValid(plannedSession.plan)) return {};
+
+    const plan = await TrainingPlan.findOne({ _id: plannedSession.plan, userId });
+    if (!plan || !plan.sessions.id(plannedSession.session)) return {};
+
+    const sessionDay = plannedSession.date ? new Date(plannedSession.date) : day;
+    const scheduled = !Number.isNaN(sessionDay.getTime())
+      && plan.scheduledDate(plannedSession.session, planDay(sessionDay, timeZone));
+    if (!scheduled) {
+      return { error: 'The planned session is not scheduled in the week of that date' };
+    }
+
+    return { plannedSession: { plan: plan._id, session: plannedSession.session, date: scheduled } };
+  }
+
+  const plans = await TrainingPlan.find({ userId, active: true });
+  const candidates = plans.flatMap(plan => plan.listOccurrences(day, new Date(day.getTime() + DAY_MS)));
+  if (candidates.length === 0) return {};
+
+  const completions = await loadCompletions(plans.map(plan => plan._id));
+  const open = candidates.filter(occurrence => !completions.has(occurrenceKey(occurrence.plan, occurrence.session, occurrence.date)));
+  const match = open.find(occurrence => occurrence.type === type);
+
+  return match ? { plannedSession: { plan: match.plan, session: match.session, date: match.date } } : {};
+};
+
+module.exports = {
+  getPlanStatus,
+  getUpcomingSessions,
+  resolvePlannedSession,
+};
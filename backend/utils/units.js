@@ -0,0 +1,35 @@
+// Distances are stored in kilometres; clients may send them in any of these units
+const KM_PER_UNIT = {
+  km: 1,
+  mi: 1.609344,
+  m: 0.001,
+};
+
+const DISTANCE_UNITS = Object.keys(KM_PER_UNIT);
+
+// Convert a distance to km. Returns { distance } (undefined when empty) or { error }.
+const normalizeDistance = (value, unit = 'km') => {
+  if (value === undefined || value === null || value === '') return { distance: undefined };
+
+  if (!KM_PER_UNIT[unit]) {
+    return { error: `Distance unit must be one of: ${DISTANCE_UNITS.join(', ')}` };
+  }
+
+  const distance = Number(value);
+  if (!Number.isFinite(distance) || distance < 0) {
+    return { error: 'Distance must be zero or more' };
+  }
+
+  return { distance: Math.round(distance * KM_PER_UNIT[unit] * 1000) / 1000 };
+};
+
+// Average speed in km/h, or undefined without both distance and time
+const speedFor = (distanceKm, minutes) => (
+  distanceKm > 0 && minutes > 0 ? Math.round((distanceKm / (minutes / 60)) * 100) / 100 : undefined
+);
+
+module.exports = {
+  DISTANCE_UNITS,
+  normalizeDistance,
+  speedFor,
+};
@@ -0,0 +1,10 @@
+// Join mongoose validation messages into one string for the client
+const validationMessage = (error) => (
+  error.errors
+    ? Object.values(error.errors).map((err) => err.message).join(', ')
+    : error.message
+);
+
+module.exports = {
+  validationMessage,
+};
@@ -1,19 +1,31 @@
 
 import React, { useState, useEffect } from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, Link } from 'react-router-dom';
+import { authAPI, clearSession } from './services/api';
 
 // Auth screens
 import Login from './components/Login';
 import Signup from './components/Signup';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
 
 // App sections
 import Dashboard from './components/Dashboard';
 import Workouts from './components/Workouts';
 import Nutrition from './components/Nutrition';
 import Progress from './components/Progress';
+import Profile from './components/Profile';
+import Security from './components/Security';
+import Exercises from './components/Exercises';
+import Templates from './components/Templates';
+import TrainingPlans from './components/TrainingPlans';
+import PersonalRecords from './components/PersonalRecords';
+import LiveWorkout from './components/LiveWorkout';
 
 // Shared UI
 import Navigation from './components/Navigation';
+import VerificationBanner from './components/VerificationBanner';
 
 function App() {
   const [user, setUser] = useState(null);
@@ -33,9 +45,14 @@ function App() {
     setLoading(false);
   }, []);
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const logout = async ({ allDevices = false } = {}) => {
+    try {
+      // Revoke the session server-side so the refresh token can't be reused
+      await (allDevices ? authAPI.logoutAll() : authAPI.logout());
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+    clearSession();
     setUser(null);
   };
 
@@ -52,6 +69,16 @@ function App() {
     <Router>
       <div className="min-h-screen bg-gray-50">
         {user && <Navigation user={user} logout={logout} />}
+        {user && user.emailVerified === false && <VerificationBanner />}
+        {user?.deletionScheduledFor && (
+          <div className="bg-red-50 border-b border-red-300 text-red-800">
+            <div className="container mx-auto px-4 py-2 text-sm">
+              Your account is scheduled for deletion on{' '}
+              {new Date(user.deletionScheduledFor).toLocaleDateString()}.{' '}
+              <Link to="/profile" className="font-medium underline">Cancel deletion</Link>
+            </div>
+          </div>
+        )}
 
         <Routes>
           {/* Auth routes */}
@@ -67,6 +94,17 @@ function App() {
               user ? <Navigate to="/dashboard" replace /> : <Signup setUser={setUser} />
             }
           />
+          <Route
+            path="/forgot-password"
+            element={
+              user ? <Navigate to="/dashboard" replace /> : <ForgotPassword />
+            }
+          />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route
+            path="/verify-email"
+            element={<VerifyEmail user={user} setUser={setUser} />}
+          />
 
           {/* Protected app routes */}
           <Route
@@ -78,7 +116,37 @@ function App() {
           <Route
             path="/workouts"
             element={
-              user ? <Workouts /> : <Navigate to="/login" replace />
+              user ? <Workouts user={user} /> : <Navigate to="/login" replace />
+            }
+          />
+          <Route
+            path="/live"
+            element={
+              user ? <LiveWorkout /> : <Navigate to="/login" replace />
+            }
+          />
+          <Route
+            path="/templates"
+            element={
+              user ? <Templates /> : <Navigate to="/login" replace />
+            }
+          />
+          <Route
+            path="/plans"
+            element={
+              user ? <TrainingPlans /> : <Navigate to="/login" replace />
+            }
+          />
+          <Route
+            path="/records"
+            element={
+              user ? <PersonalRecords /> : <Navigate to="/login" replace />
+            }
+          />
+          <Route
+            path="/exercises"
+            element={
+              user ? <Exercises /> : <Navigate to="/login" replace />
             }
           />
           <Route
@@ -93,6 +161,18 @@ function App() {
               user ? <Progress /> : <Navigate to="/login" replace />
             }
           />
+          <Route
+            path="/profile"
+            element={
+              user ? <Profile user={user} setUser={setUser} logout={logout} /> : <Navigate to="/login" replace />
+            }
+          />
+          <Route
+            path="/security"
+            element={
+              user ? <Security user={user} /> : <Navigate to="/login" replace />
+            }
+          />
 
           {/* Root and catch-all */}
           <Route
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { workoutsAPI } from '../services/api';
+
+const TYPE_OPTIONS = [
+  { value: '', label: 'Detect from file' },
+  { value: 'running', label: 'Running' },
+  { value: 'cycling', label: 'Cycling' },
+  { value: 'walking', label: 'Walking' },
+  { value: 'hiking', label: 'Hiking' },
+  { value: 'swimming', label: 'Swimming' }
+];
+
+const formatDuration = (seconds) => {
+  if (!seconds) return '-';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.round(seconds % 60);
+  const mmss = `${String(minutes).padStart(hours ? 2 : 1, '0')}:${String(secs).padStart(2, '0')}`;
+  return hours ? `${hours}:${mmss}` : mmss;
+};
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const Stat = ({ label, value }) => (
+  <div>
+    <dt className="text-xs text-gray-500">{label}</dt>
+    <dd className="text-sm font-medium text-gray-900">{value}</dd>
+  </div>
+);
+
+// Upload a GPX, TCX or FIT file recorded by a GPS watch or bike computer.
+// The file is read and previewed first; nothing is saved until the user confirms.
+const ActivityImport = ({ onImported, onCancel }) => {
+  const [file, setFile] = useState(null);
+  const [type, setType] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [duplicate, setDuplicate] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setError('Please choose a GPX, TCX or FIT file');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await workoutsAPI.previewActivity(file, { type });
+      setPreview(response.data.preview);
+      setDuplicate(response.data.duplicate);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to read activity file');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    setWorking(true);
+    try {
+      const response = await workoutsAPI.importActivity(file, {
+        type: preview.type,
+        allowDuplicate: duplicate ? 'true' : undefined
+      });
+      setError('');
+      onImported(response.data);
+    } catch (error) {
+      if (error.response?.data?.type === 'DUPLICATE_ACTIVITY') {
+        setDuplicate(error.response.data.duplicate);
+      }
+      setError(error.response?.data?.message || 'Failed to import activity');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (preview) {
+    return (
+      <div className="space-y-4">
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {duplicate && (
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded text-sm">
+            This looks like a workout you already have: <span className="capitalize">{duplicate.type.replace(/-/g, ' ')}</span> on {formatDateTime(duplicate.date)}
+            {duplicate.distance ? ` (${duplicate.distance.toFixed(2)} km)` : ''}. Import it again only if it's a different session.
+          </div>
+        )}
+
+        <div>
+          <p className="text-lg font-medium text-gray-900 capitalize">{preview.type.replace(/-/g, ' ')}</p>
+          <p className="text-sm text-gray-500">
+            {formatDateTime(preview.date)} · {preview.source.fileName}
+            {preview.device?.manufacturer && ` · ${preview.device.manufacturer} device`}
+          </p>
+        </div>
+
+        <dl className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+          <Stat label="Distance" value={preview.distance ? `${preview.distance.toFixed(2)} km` : '-'} />
+          <Stat label="Elapsed time" value={formatDuration(preview.duration * 60)} />
+          <Stat label="Moving time" value={formatDuration(preview.movingTime)} />
+          <Stat label="Avg speed" value={preview.avgSpeed ? `${preview.avgSpeed.toFixed(1)} km/h` : '-'} />
+          <Stat label="Elevation gain" value={preview.elevationGain ? `${preview.elevationGain} m` : '-'} />
+          <Stat label="Heart rate" value={preview.heartRate ? `${preview.heartRate.avg} avg / ${preview.heartRate.max} max` : '-'} />
+          <Stat label="Cadence" value={preview.cadence ? `${preview.cadence.avg} avg` : '-'} />
+          <Stat label="Power" value={preview.power ? `${preview.power.avg} W avg / ${preview.power.max} W max` : '-'} />
+        </dl>
+
+        {preview.laps?.length > 1 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-4 font-medium">Lap</th>
+                  <th className="py-1 pr-4 font-medium">Distance</th>
+                  <th className="py-1 pr-4 font-medium">Time</th>
+                  <th className="py-1 pr-4 font-medium">Avg speed</th>
+                  <th className="py-1 pr-4 font-medium">Avg HR</th>
+                  <th className="py-1 font-medium">Avg power</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {preview.laps.map((lap, index) => (
+                  <tr key={index}>
+                    <td className="py-1 pr-4">{index + 1}</td>
+                    <td className="py-1 pr-4">{lap.distance ? `${lap.distance.toFixed(2)} km` : '-'}</td>
+                    <td className="py-1 pr-4">{formatDuration(lap.movingTime || lap.elapsedTime)}</td>
+                    <td className="py-1 pr-4">{lap.avgSpeed ? `${lap.avgSpeed.toFixed(1)} km/h` : '-'}</td>
+                    <td className="py-1 pr-4">{lap.avgHeartRate || '-'}</td>
+                    <td className="py-1">{lap.avgPower ? `${lap.avgPower} W` : '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex space-x-3">
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={working}
+            className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-medium py-2 px-4 rounded-md transition-colors"
+          >
+            {working ? 'Importing...' : (duplicate ? 'Import Anyway' : 'Confirm Import')}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setPreview(null);
+              setDuplicate(null);
+              setError('');
+            }}
+            className="flex-1 bg-gray-300 hover:bg-gray-400 text-gray-700 font-medium py-2 px-4 rounded-md transition-colors"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handlePreview} className="space-y-4">
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div>
+          <label htmlFor="activityFile" className="block text-sm font-medium text-gray-700">
+            Activity file (.gpx, .tcx or .fit)
+          </label>
+          <input
+            id="activityFile"
+            type="file"
+            accept=".gpx,.tcx,.fit"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="mt-1 block w-full text-sm text-gray-700"
+          />
+        </div>
+        <div>
+          <label htmlFor="activityType" className="block text-sm font-medium text-gray-700">
+            Workout type
+          </label>
+          <select
+            id="activityType"
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+          >
+            {TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500">
+        Distance, moving time, laps, elevation gain, heart rate, cadence and power are read from the file.
+        Calories are estimated from your actual speed. You'll see a preview before anything is saved.
+      </p>
+
+      <div className="flex space-x-3">
+        <button
+          type="submit"
+          disabled={working}
+          className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-medium py-2 px-4 rounded-md transition-colors"
+        >
+          {working ? 'Reading file...' : 'Preview'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 bg-gray-300 hover:bg-gray-400 text-gray-700 font-medium py-2 px-4 rounded-md transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ActivityImport;
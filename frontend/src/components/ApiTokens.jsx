@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { tokensAPI } from '../services/api';
+
+const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Never');
+
+const ApiTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState('90');
+  const [newToken, setNewToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchTokens = async () => {
+    try {
+      const response = await tokensAPI.getTokens();
+      setTokens(response.data.tokens);
+      setAvailableScopes(response.data.availableScopes);
+    } catch (error) {
+      setError('Failed to load API tokens');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const toggleScope = (scope) => {
+    setScopes(current =>
+      current.includes(scope) ? current.filter(s => s !== scope) : [...current, scope]
+    );
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    setError('');
+    try {
+      const response = await tokensAPI.createToken({
+        name,
+        scopes,
+        expiresInDays: expiresInDays || null,
+      });
+      setNewToken(response.data.token);
+      setName('');
+      setScopes([]);
+      await fetchTokens();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create token');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm('Revoke this token? Scripts using it will stop working.')) return;
+    setError('');
+    try {
+      await tokensAPI.revokeToken(id);
+      await fetchTokens();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to revoke token');
+    }
+  };
+
+  if (loading) {
+    return <div className="bg-white shadow rounded-lg p-6">Loading API tokens...</div>;
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-1">Personal API tokens</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Tokens let scripts use the API on your behalf. Send one as <span className="font-mono">Authorization: Bearer &lt;token&gt;</span>.
+      </p>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {newToken && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-300 rounded p-4">
+          <p className="text-sm text-yellow-800 mb-2">
+            Copy your new token now. You won't be able to see it again.
+          </p>
+          <p className="font-mono text-sm break-all">{newToken}</p>
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <ul className="divide-y divide-gray-200 mb-6">
+          {tokens.map(token => (
+            <li key={token._id} className="py-3 flex justify-between items-start">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {token.name} <span className="font-mono text-gray-500">{token.displayPrefix}…</span>
+                </p>
+                <p className="text-xs text-gray-500">{token.scopes.join(', ')}</p>
+                <p className="text-xs text-gray-500">
+                  Last used: {formatDate(token.lastUsedAt)} · Expires: {token.expiresAt ? formatDate(token.expiresAt) : 'Never'}
+                </p>
+              </div>
+              {token.revokedAt ? (
+                <span className="text-xs text-gray-500">Revoked</span>
+              ) : (
+                <button
+                  onClick={() => handleRevoke(token._id)}
+                  className="text-red-600 hover:text-red-900 text-sm"
+                >
+                  Revoke
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Token name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            required
+            className={inputClass}
+            placeholder="e.g. Nightly import script"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Scopes</label>
+          <div className="grid grid-cols-2 gap-2">
+            {availableScopes.map(scope => (
+              <label key={scope} className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                <span className="font-mono">{scope}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Expires after</label>
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(e.target.value)}
+            className={inputClass}
+          >
+            <option value="30">30 days</option>
+            <option value="90">90 days</option>
+            <option value="365">1 year</option>
+            <option value="">Never</option>
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={working || scopes.length === 0}
+          className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition-colors"
+        >
+          Create token
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ApiTokens;
@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { analyticsAPI } from '../services/api';
+
+const WEEKS = 4;
+
+const STATUS_COLORS = {
+  none: '#e5e7eb',
+  below: '#fcd34d',
+  within: '#22c55e',
+  above: '#ef4444'
+};
+
+const STATUS_LABELS = {
+  none: 'Not trained',
+  below: 'Below target',
+  within: 'In target range',
+  above: 'Above target'
+};
+
+// Muscle regions on a 120 x 240 figure; paired muscles are drawn on both sides
+const ellipsePair = (muscle, cx, cy, rx, ry) => [
+  { muscle, shape: 'ellipse', props: { cx: 60 - cx, cy, rx, ry } },
+  { muscle, shape: 'ellipse', props: { cx: 60 + cx, cy, rx, ry } }
+];
+
+const FRONT = [
+  ...ellipsePair('shoulders', 22, 50, 9, 7),
+  { muscle: 'chest', shape: 'rect', props: { x: 39, y: 50, width: 42, height: 20, rx: 7 } },
+  ...ellipsePair('biceps', 30, 73, 5, 11),
+  ...ellipsePair('forearms', 35, 100, 4.5, 12),
+  { muscle: 'core', shape: 'rect', props: { x: 46, y: 73, width: 28, height: 38, rx: 6 } },
+  ...ellipsePair('quadriceps', 10, 140, 8, 23),
+  ...ellipsePair('calves', 11, 192, 6, 17)
+];
+
+const BACK = [
+  ...ellipsePair('shoulders', 22, 50, 9, 7),
+  { muscle: 'back', shape: 'rect', props: { x: 39, y: 50, width: 42, height: 50, rx: 8 } },
+  ...ellipsePair('triceps', 30, 73, 5, 11),
+  ...ellipsePair('forearms', 35, 100, 4.5, 12),
+  ...ellipsePair('glutes', 9, 116, 9, 9),
+  ...ellipsePair('hamstrings', 10, 146, 8, 18),
+  ...ellipsePair('calves', 11, 190, 7, 17)
+];
+
+const formatMuscle = (muscle) => muscle.charAt(0).toUpperCase() + muscle.slice(1);
+
+const statusFor = (sets, target) => {
+  if (!sets) return 'none';
+  if (sets < target.min) return 'below';
+  if (sets > target.max) return 'above';
+  return 'within';
+};
+
+const Figure = ({ label, regions, byMuscle, view }) => (
+  <figure className="text-center">
+    <svg viewBox="0 0 120 220" className="w-32 sm:w-40 h-auto mx-auto" role="img" aria-label={`${label} muscle volume`}>
+      <circle cx="60" cy="20" r="12" fill="#f3f4f6" stroke="#d1d5db" />
+      {regions.map((region, index) => {
+        const entry = byMuscle[region.muscle];
+        const sets = view === 'average' ? entry.averageSets : entry.sets;
+        const status = statusFor(sets, entry.target);
+        const Shape = region.shape;
+        return (
+          <Shape key={index} {...region.props} fill={STATUS_COLORS[status]} stroke="#ffffff" strokeWidth="1">
+            <title>
+              {`${formatMuscle(region.muscle)}: ${sets} sets (target ${entry.target.min}–${entry.target.max})`}
+            </title>
+          </Shape>
+        );
+      })}
+    </svg>
+    <figcaption className="text-xs text-gray-500">{label}</figcaption>
+  </figure>
+);
+
+// Weekly hard sets per muscle group against the user's targets, as a front and back body map
+const BodyHeatmap = () => {
+  const [data, setData] = useState(null);
+  const [view, setView] = useState('current');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchVolume = async () => {
+      try {
+        const response = await analyticsAPI.getMuscleVolume(WEEKS);
+        setData(response.data);
+      } catch (error) {
+        setError('Failed to load muscle volume');
+      }
+    };
+
+    fetchVolume();
+  }, []);
+
+  if (error) {
+    return <p className="text-sm text-red-600 mb-8">{error}</p>;
+  }
+
+  // Nothing to show until some sets have been logged
+  if (!data || !data.muscles.some(entry => entry.averageSets > 0)) return null;
+
+  const byMuscle = Object.fromEntries(data.muscles.map(entry => [entry.muscle, entry]));
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Muscle Volume</h3>
+        <select
+          value={view}
+          onChange={(e) => setView(e.target.value)}
+          className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="current">Last 7 days</option>
+          <option value="average">{WEEKS}-week average</option>
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <div className="flex justify-center space-x-4">
+            <Figure label="Front" regions={FRONT} byMuscle={byMuscle} view={view} />
+            <Figure label="Back" regions={BACK} byMuscle={byMuscle} view={view} />
+          </div>
+          <div className="flex flex-wrap justify-center gap-3 mt-3">
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <span key={status} className="flex items-center text-xs text-gray-600">
+                <span className="inline-block w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: STATUS_COLORS[status] }} />
+                {label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-4 font-medium">Muscle</th>
+              <th className="py-1 pr-4 font-medium">Hard sets</th>
+              <th className="py-1 pr-4 font-medium">Target</th>
+              <th className="py-1 font-medium">Tonnage</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {data.muscles.map(entry => {
+              const sets = view === 'average' ? entry.averageSets : entry.sets;
+              const tonnage = view === 'average'
+                ? Math.round(data.weeks.reduce((sum, week) => sum + week.muscles[entry.muscle].tonnage, 0) / data.weeks.length)
+                : entry.tonnage;
+              return (
+                <tr key={entry.muscle}>
+                  <td className="py-1 pr-4">
+                    <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: STATUS_COLORS[statusFor(sets, entry.target)] }} />
+                    {formatMuscle(entry.muscle)}
+                  </td>
+                  <td className="py-1 pr-4">{sets}</td>
+                  <td className="py-1 pr-4 text-gray-500">{entry.target.min}–{entry.target.max}</td>
+                  <td className="py-1">{tonnage ? `${tonnage.toLocaleString()} kg` : '-'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="mt-3 text-xs text-gray-500">
+        Working and drop sets count fully towards an exercise's main muscles and {data.secondaryFactor * 100}% towards the muscles it works secondarily. Targets can be changed in your profile.
+        {data.unmapped.length > 0 && ` Not counted (unknown muscles): ${data.unmapped.join(', ')}.`}
+      </p>
+    </div>
+  );
+};
+
+export default BodyHeatmap;
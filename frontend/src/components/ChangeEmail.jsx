@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+
+const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const ChangeEmail = ({ user }) => {
+  const [pendingEmail, setPendingEmail] = useState(null);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const fetchPending = async () => {
+      try {
+        const response = await authAPI.getProfile();
+        setPendingEmail(response.data.pendingEmail || null);
+      } catch (error) {
+        setError('Failed to load email settings');
+      }
+    };
+
+    fetchPending();
+  }, []);
+
+  const run = async (action) => {
+    setWorking(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Something went wrong');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authAPI.changeEmail({ email, password });
+      setPendingEmail(response.data.pendingEmail);
+      setMessage(response.data.message);
+      setEmail('');
+      setPassword('');
+    });
+  };
+
+  const cancelChange = () => run(async () => {
+    await authAPI.cancelEmailChange();
+    setPendingEmail(null);
+  });
+
+  const resendLink = () => run(async () => {
+    const response = await authAPI.resendVerification();
+    setMessage(response.data.message);
+  });
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-1">Change email</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Current email: <span className="font-medium">{user?.email}</span>
+      </p>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-4 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+          {message}
+        </div>
+      )}
+
+      {pendingEmail && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-300 rounded p-4">
+          <p className="text-sm text-yellow-800 mb-2">
+            Waiting for you to confirm <span className="font-medium">{pendingEmail}</span>. Open the link we sent there to finish the change.
+          </p>
+          <div className="flex space-x-3">
+            <button
+              onClick={resendLink}
+              disabled={working}
+              className="text-blue-600 hover:text-blue-500 text-sm"
+            >
+              Resend link
+            </button>
+            <button
+              onClick={cancelChange}
+              disabled={working}
+              className="text-red-600 hover:text-red-900 text-sm"
+            >
+              Cancel change
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+          className={inputClass}
+          placeholder="New email address"
+        />
+        <input
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          className={inputClass}
+          placeholder="Current password"
+        />
+        <button
+          type="submit"
+          disabled={working}
+          className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition-colors"
+        >
+          Send confirmation link
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChangeEmail;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+
+const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const ChangePassword = () => {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await authAPI.changePassword({
+        currentPassword: formData.currentPassword,
+        newPassword: formData.newPassword,
+      });
+      // Every old session was revoked; keep this one signed in with the new tokens
+      localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      setMessage(response.data.message);
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to change password');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-1">Change password</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Changing your password signs out your other devices and revokes your API tokens.
+      </p>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-4 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+          {message}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <input
+          type="password"
+          name="currentPassword"
+          autoComplete="current-password"
+          value={formData.currentPassword}
+          onChange={handleChange}
+          required
+          className={inputClass}
+          placeholder="Current password"
+        />
+        <input
+          type="password"
+          name="newPassword"
+          autoComplete="new-password"
+          minLength={6}
+          value={formData.newPassword}
+          onChange={handleChange}
+          required
+          className={inputClass}
+          placeholder="New password"
+        />
+        <input
+          type="password"
+          name="confirmPassword"
+          autoComplete="new-password"
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          required
+          className={inputClass}
+          placeholder="Confirm new password"
+        />
+        <button
+          type="submit"
+          disabled={working}
+          className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition-colors"
+        >
+          {working ? 'Saving...' : 'Change password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { workoutsAPI, nutritionAPI, progressAPI, analyticsAPI } from '../services/api';
+import UpcomingWorkouts from './UpcomingWorkouts';
+import TrainingLoad from './TrainingLoad';
+import BodyHeatmap from './BodyHeatmap';
 
 // Chart.js imports for additional charts
 import {
@@ -29,6 +32,7 @@ ChartJS.register(
 
 const Dashboard = ({ user }) => {
   const [workouts, setWorkouts] = useState([]);
+  const [totalWorkouts, setTotalWorkouts] = useState(0);
   const [nutrition, setNutrition] = useState([]);
   const [progress, setProgress] = useState([]);
   const [analytics, setAnalytics] = useState(null);
@@ -50,13 +54,15 @@ const Dashboard = ({ user }) => {
   const fetchAllData = async () => {
     try {
       const [workoutsRes, nutritionRes, progressRes, analyticsRes] = await Promise.all([
-        workoutsAPI.getWorkouts(),
+        // Only the latest few are shown; the total comes with the page
+        workoutsAPI.getWorkouts({ limit: 3 }),
         nutritionAPI.getNutrition(),
         progressAPI.getProgress(),
         analyticsAPI.overview()
       ]);
       
-      setWorkouts(workoutsRes.data);
+      setWorkouts(workoutsRes.data.workouts);
+      setTotalWorkouts(workoutsRes.data.total);
       setNutrition(nutritionRes.data);
       setProgress(progressRes.data);
       setAnalytics(analyticsRes.data);
@@ -278,7 +284,7 @@ const Dashboard = ({ user }) => {
                 {analytics?.currentWeight || '--'} kg
               </p>
               <p className="mt-1 text-xs text-gray-500">
-                Latest entry
+                {analytics?.bmi ? `BMI ${analytics.bmi}` : 'Latest entry'}
               </p>
             </div>
           </div>
@@ -299,6 +305,11 @@ const Dashboard = ({ user }) => {
               <p className="mt-1 text-xs text-gray-500">
                 In vs Out (today)
               </p>
+              {analytics?.dailyEnergyExpenditure && (
+                <p className="mt-1 text-xs text-gray-400">
+                  Est. daily need {analytics.dailyEnergyExpenditure} kcal
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -340,6 +351,15 @@ const Dashboard = ({ user }) => {
         </div>
       </div>
 
+      {/* Training plan schedule */}
+      <UpcomingWorkouts />
+
+      {/* Session-RPE load, with a warning when the acute:chronic ratio leaves the safe band */}
+      <TrainingLoad />
+
+      {/* Hard sets per muscle group this week, on a body map */}
+      <BodyHeatmap />
+
       {/* Advanced Analytics Section */}
       <div className="mb-8">
         <h2 className="text-2xl font-bold text-gray-900 mb-6">Advanced Analytics</h2>
@@ -564,7 +584,7 @@ const Dashboard = ({ user }) => {
         <h3 className="text-lg font-medium text-gray-900 mb-4">Quick Stats</h3>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="text-center">
-            <p className="text-2xl font-bold text-blue-600">{workouts.length}</p>
+            <p className="text-2xl font-bold text-blue-600">{totalWorkouts}</p>
             <p className="text-sm text-gray-600">Total Workouts</p>
           </div>
           <div className="text-center">
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+
+const DeleteAccount = ({ user, setUser, logout }) => {
+  const [password, setPassword] = useState('');
+  const [confirming, setConfirming] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const scheduledFor = user?.deletionScheduledFor;
+
+  const updateStoredUser = (changes) => {
+    const updatedUser = { ...user, ...changes };
+    localStorage.setItem('user', JSON.stringify(updatedUser));
+    setUser(updatedUser);
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    setError('');
+
+    try {
+      const response = await authAPI.deleteAccount(password);
+      if (response.data.deleted) {
+        await logout();
+        return;
+      }
+      updateStoredUser({ deletionScheduledFor: response.data.deletionScheduledFor });
+      setConfirming(false);
+      setPassword('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to delete account');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    setWorking(true);
+    setError('');
+
+    try {
+      await authAPI.cancelDeletion();
+      updateStoredUser({ deletionScheduledFor: null });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to cancel deletion');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mt-8 border border-red-200">
+      <h3 className="text-lg font-medium text-red-700 mb-2">Delete account</h3>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {scheduledFor ? (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-700">
+            Your account and all workouts, nutrition and progress entries will be permanently
+            deleted on {new Date(scheduledFor).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}.
+          </p>
+          <button
+            onClick={handleCancel}
+            disabled={working}
+            className="bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition-colors"
+          >
+            Keep my account
+          </button>
+        </div>
+      ) : confirming ? (
+        <form onSubmit={handleDelete} className="space-y-3">
+          <p className="text-sm text-gray-700">
+            Enter your password to confirm. You can cancel during the grace period before your data is removed.
+          </p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+            placeholder="Current password"
+          />
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={working}
+              className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition-colors"
+            >
+              {working ? 'Deleting...' : 'Delete my account'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setConfirming(false)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-700 font-medium py-2 px-4 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-700">
+            Permanently remove your account and all of your health data.
+          </p>
+          <button
+            onClick={() => setConfirming(true)}
+            className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-md transition-colors"
+          >
+            Delete account
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeleteAccount;
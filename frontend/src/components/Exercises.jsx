@@ -0,0 +1,301 @@
+import React, { useState, useEffect } from 'react';
+import { exercisesAPI } from '../services/api';
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const formatLabel = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const emptyForm = {
+  name: '',
+  category: 'strength',
+  met: '',
+  primaryMuscles: [],
+  secondaryMuscles: [],
+  equipment: ''
+};
+
+const Exercises = () => {
+  const [exercises, setExercises] = useState([]);
+  const [filterOptions, setFilterOptions] = useState({ categories: [], muscleGroups: [], equipment: [] });
+  const [filters, setFilters] = useState({ q: '', category: '', muscle: '', equipment: '', custom: '' });
+  const [formData, setFormData] = useState(emptyForm);
+  const [showForm, setShowForm] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchFilters = async () => {
+      try {
+        const response = await exercisesAPI.getFilters();
+        setFilterOptions(response.data);
+      } catch (error) {
+        setError('Failed to load exercise filters');
+      }
+    };
+
+    fetchFilters();
+  }, []);
+
+  useEffect(() => {
+    // Debounce typing in the search box
+    const timer = setTimeout(async () => {
+      try {
+        const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+        const response = await exercisesAPI.getExercises({ ...params, limit: 200 });
+        setExercises(response.data);
+      } catch (error) {
+        setError(error.response?.data?.message || 'Failed to load exercises');
+      } finally {
+        setLoading(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  const onFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const onFormChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const toggleMuscle = (field, muscle) => {
+    const current = formData[field];
+    setFormData({
+      ...formData,
+      [field]: current.includes(muscle) ? current.filter(m => m !== muscle) : [...current, muscle]
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await exercisesAPI.createExercise({
+        ...formData,
+        met: parseFloat(formData.met),
+        equipment: formData.equipment
+          .split(',')
+          .map(item => item.trim())
+          .filter(Boolean)
+      });
+      setExercises([response.data, ...exercises]);
+      setFormData(emptyForm);
+      setShowForm(false);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to add exercise');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (window.confirm('Delete this custom exercise? Workouts already logged keep their data.')) {
+      try {
+        await exercisesAPI.deleteExercise(id);
+        setExercises(exercises.filter(exercise => exercise._id !== id));
+        setError('');
+      } catch (error) {
+        setError(error.response?.data?.message || 'Failed to delete exercise');
+      }
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Exercises</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Browse the exercise library or add your own exercises for workout logging
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-white shadow rounded-lg p-4 mb-6 grid grid-cols-1 md:grid-cols-5 gap-4">
+        <input
+          type="text"
+          name="q"
+          value={filters.q}
+          onChange={onFilterChange}
+          className={inputClass}
+          placeholder="Search exercises"
+        />
+        <select name="category" value={filters.category} onChange={onFilterChange} className={inputClass}>
+          <option value="">All categories</option>
+          {filterOptions.categories.map(category => (
+            <option key={category} value={category}>{formatLabel(category)}</option>
+          ))}
+        </select>
+        <select name="muscle" value={filters.muscle} onChange={onFilterChange} className={inputClass}>
+          <option value="">All muscles</option>
+          {filterOptions.muscleGroups.map(muscle => (
+            <option key={muscle} value={muscle}>{formatLabel(muscle)}</option>
+          ))}
+        </select>
+        <select name="equipment" value={filters.equipment} onChange={onFilterChange} className={inputClass}>
+          <option value="">Any equipment</option>
+          {filterOptions.equipment.map(item => (
+            <option key={item} value={item}>{formatLabel(item)}</option>
+          ))}
+        </select>
+        <select name="custom" value={filters.custom} onChange={onFilterChange} className={inputClass}>
+          <option value="">Library and custom</option>
+          <option value="false">Library only</option>
+          <option value="true">My exercises only</option>
+        </select>
+      </div>
+
+      <div className="mb-6">
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md transition-colors"
+        >
+          {showForm ? 'Cancel' : 'Add Custom Exercise'}
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-white shadow rounded-lg p-6 mb-8">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Add Custom Exercise</h3>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  type="text"
+                  name="name"
+                  value={formData.name}
+                  onChange={onFormChange}
+                  required
+                  className={inputClass}
+                  placeholder="e.g. Sled push"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Category</label>
+                <select name="category" value={formData.category} onChange={onFormChange} className={inputClass}>
+                  {filterOptions.categories.map(category => (
+                    <option key={category} value={category}>{formatLabel(category)}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">MET value</label>
+                <input
+                  type="number"
+                  name="met"
+                  value={formData.met}
+                  onChange={onFormChange}
+                  required
+                  min="1"
+                  max="25"
+                  step="0.1"
+                  className={inputClass}
+                  placeholder="e.g. 6.0"
+                />
+              </div>
+            </div>
+
+            {['primaryMuscles', 'secondaryMuscles'].map(field => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {field === 'primaryMuscles' ? 'Primary muscles' : 'Secondary muscles'}
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {filterOptions.muscleGroups.map(muscle => (
+                    <label key={muscle} className="flex items-center space-x-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formData[field].includes(muscle)}
+                        onChange={() => toggleMuscle(field, muscle)}
+                      />
+                      <span>{formatLabel(muscle)}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Equipment</label>
+              <input
+                type="text"
+                name="equipment"
+                value={formData.equipment}
+                onChange={onFormChange}
+                className={inputClass}
+                placeholder="Comma separated, e.g. sled, none"
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition-colors"
+            >
+              Add Exercise
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        <div className="px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900">Exercise Library</h3>
+          <p className="mt-1 max-w-2xl text-sm text-gray-500">
+            {exercises.length} exercise{exercises.length !== 1 ? 's' : ''} found
+          </p>
+        </div>
+
+        {loading ? (
+          <div className="px-4 py-12 text-center text-gray-500">Loading exercises...</div>
+        ) : exercises.length === 0 ? (
+          <div className="px-4 py-12 text-center">
+            <p className="text-gray-500">No exercises match these filters.</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {exercises.map(exercise => (
+              <li key={exercise._id} className="px-4 py-4 sm:px-6 flex items-center justify-between">
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <p className="text-lg font-medium text-blue-600">{exercise.name}</p>
+                    <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-700">
+                      {formatLabel(exercise.category)}
+                    </span>
+                    {exercise.isCustom && (
+                      <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-purple-100 text-purple-800">
+                        Custom
+                      </span>
+                    )}
+                  </div>
+                  <p className="mt-1 text-sm text-gray-500">
+                    MET {exercise.met}
+                    {exercise.primaryMuscles.length > 0 && ` · ${exercise.primaryMuscles.map(formatLabel).join(', ')}`}
+                    {exercise.secondaryMuscles.length > 0 && ` (also ${exercise.secondaryMuscles.join(', ')})`}
+                    {exercise.equipment.length > 0 && ` · ${exercise.equipment.join(', ')}`}
+                  </p>
+                </div>
+                {exercise.isCustom && (
+                  <button
+                    onClick={() => handleDelete(exercise._id)}
+                    className="text-red-600 hover:text-red-900 text-sm font-medium"
+                  >
+                    Delete
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Exercises;
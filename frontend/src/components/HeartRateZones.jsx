@@ -0,0 +1,58 @@
+import React from 'react';
+
+const ZONE_COLORS = ['bg-gray-400', 'bg-blue-500', 'bg-green-500', 'bg-orange-500', 'bg-red-600'];
+
+const ZONE_METHOD_LABELS = {
+  max: 'max heart rate',
+  hrr: 'heart rate reserve',
+  threshold: 'lactate threshold heart rate'
+};
+
+const formatMinutes = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.round(seconds % 60);
+  return `${minutes}:${String(secs).padStart(2, '0')}`;
+};
+
+// Time spent in each heart-rate zone, as returned with a single workout
+const HeartRateZones = ({ data }) => {
+  if (!data) {
+    return (
+      <p className="text-sm text-gray-500">
+        Add your birth date or max heart rate in your profile to see time in zones.
+      </p>
+    );
+  }
+
+  const total = data.zones.reduce((sum, zone) => sum + zone.seconds, data.belowZones || 0);
+  if (!total) {
+    return <p className="text-sm text-gray-500">No heart-rate samples in this workout.</p>;
+  }
+
+  return (
+    <div className="space-y-1">
+      {data.zones.map((zone, index) => (
+        <div key={zone.zone} className="flex items-center text-xs text-gray-600">
+          <span className="w-36 shrink-0">
+            Z{zone.zone} {zone.name} ({zone.min}-{zone.max})
+          </span>
+          <div className="flex-1 bg-gray-100 rounded h-3 mx-2">
+            <div
+              className={`${ZONE_COLORS[index]} h-3 rounded`}
+              style={{ width: `${(zone.seconds / total) * 100}%` }}
+            />
+          </div>
+          <span className="w-20 text-right">
+            {formatMinutes(zone.seconds)} ({Math.round((zone.seconds / total) * 100)}%)
+          </span>
+        </div>
+      ))}
+      <p className="text-xs text-gray-400">
+        Zones from {ZONE_METHOD_LABELS[data.method] || ZONE_METHOD_LABELS.max}
+        {data.belowZones > 0 && ` · ${formatMinutes(data.belowZones)} below zone 1`}
+      </p>
+    </div>
+  );
+};
+
+export default HeartRateZones;
@@ -0,0 +1,568 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { liveWorkoutAPI, exercisesAPI } from '../services/api';
+
+const REST_OPTIONS = [30, 60, 90, 120, 180, 300];
+
+const SET_TYPE_OPTIONS = [
+  { value: 'warmup', label: 'Warm-up' },
+  { value: 'working', label: 'Working' },
+  { value: 'dropset', label: 'Drop set' }
+];
+
+const inputClass = 'block w-full px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const formatClock = (totalSeconds) => {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const mmss = `${String(minutes).padStart(hours ? 2 : 1, '0')}:${String(secs).padStart(2, '0')}`;
+  return hours ? `${hours}:${mmss}` : mmss;
+};
+
+// Sets are sent back with the time each was ticked off
+const toPayload = (exercises) => exercises.map(exercise => ({
+  name: exercise.name,
+  exercise: exercise.exercise,
+  sets: exercise.sets.map(set => ({
+    reps: set.reps === '' ? null : set.reps,
+    load: set.load === '' ? null : set.load,
+    setType: set.setType,
+    completedAt: set.completedAt || null
+  }))
+}));
+
+// A workout in progress: tick off sets, rest between them and finish to save the workout.
+// The session lives on the server, so it carries on after a reload or on another device.
+const LiveWorkout = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  // Draft passed in on arrival (template or plan); it is cleared from history straight away
+  const draftRef = useRef(location.state?.draft);
+  const [session, setSession] = useState(null);
+  // Local time the session was received, to run the clocks between server updates
+  const [receivedAt, setReceivedAt] = useState(Date.now());
+  const [clockOffset, setClockOffset] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [library, setLibrary] = useState([]);
+  const [startType, setStartType] = useState('');
+  const [newExercise, setNewExercise] = useState('');
+  const [finishing, setFinishing] = useState(false);
+  const [finishData, setFinishData] = useState({ calories: '', rpe: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const applySession = useCallback((data) => {
+    setSession(data);
+    setReceivedAt(Date.now());
+    setClockOffset(new Date(data.serverTime).getTime() - Date.now());
+  }, []);
+
+  const fetchSession = useCallback(async () => {
+    try {
+      const response = await liveWorkoutAPI.getLiveWorkout();
+      applySession(response.data);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setSession(null);
+        return null;
+      }
+      setError('Failed to load your workout');
+      return undefined;
+    }
+  }, [applySession]);
+
+  // Load the session in progress, or start one from a draft passed in (template or plan)
+  useEffect(() => {
+    const draft = draftRef.current;
+
+    const load = async () => {
+      const existing = await fetchSession();
+      if (draft) {
+        // Clear the draft from history so a refresh doesn't start it again
+        navigate(location.pathname, { replace: true, state: null });
+        if (existing) {
+          setNotice('You already have a workout in progress. Finish or discard it before starting another.');
+        } else if (existing === null) {
+          try {
+            const response = await liveWorkoutAPI.startLiveWorkout(draft);
+            applySession(response.data);
+          } catch (error) {
+            setError(error.response?.data?.message || 'Failed to start workout');
+          }
+        }
+      }
+      setLoading(false);
+    };
+
+    load();
+  }, [fetchSession, applySession, navigate, location.pathname]);
+
+  useEffect(() => {
+    const fetchLibrary = async () => {
+      try {
+        const response = await exercisesAPI.getExercises({ limit: 200 });
+        setLibrary(response.data);
+      } catch (error) {
+        console.error('Failed to fetch exercise library:', error);
+      }
+    };
+
+    fetchLibrary();
+  }, []);
+
+  // Pick up changes made on another device when coming back to this tab
+  useEffect(() => {
+    const onVisible = () => {
+      if (document.visibilityState === 'visible') fetchSession();
+    };
+    document.addEventListener('visibilitychange', onVisible);
+    return () => document.removeEventListener('visibilitychange', onVisible);
+  }, [fetchSession]);
+
+  // Tick the clocks once a second while a session is open
+  useEffect(() => {
+    if (!session) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [session]);
+
+  const update = async (changes) => {
+    setSaving(true);
+    try {
+      const response = await liveWorkoutAPI.updateLiveWorkout(changes);
+      applySession(response.data);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save your workout');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    if (!startType) {
+      setError('Please choose a workout type');
+      return;
+    }
+
+    try {
+      const response = await liveWorkoutAPI.startLiveWorkout({ type: startType });
+      applySession(response.data);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to start workout');
+    }
+  };
+
+  // Edits to reps and load stay local until the field loses focus
+  const editSet = (exerciseIndex, setIndex, changes) => {
+    const exercises = session.exercises.map((exercise, i) => (i !== exerciseIndex ? exercise : {
+      ...exercise,
+      sets: exercise.sets.map((set, j) => (j === setIndex ? { ...set, ...changes } : set))
+    }));
+    setSession({ ...session, exercises });
+    return exercises;
+  };
+
+  const saveExercises = (exercises, extra = {}) => update({ exercises: toPayload(exercises), ...extra });
+
+  const toggleSet = (exerciseIndex, setIndex) => {
+    const set = session.exercises[exerciseIndex].sets[setIndex];
+    const completing = !set.completedAt;
+    const exercises = editSet(exerciseIndex, setIndex, { completedAt: completing ? new Date().toISOString() : undefined });
+    // Finishing a set starts the rest timer
+    saveExercises(exercises, completing ? { rest: {} } : {});
+  };
+
+  const addSet = (exerciseIndex) => {
+    const sets = session.exercises[exerciseIndex].sets;
+    const previous = sets[sets.length - 1];
+    const exercises = session.exercises.map((exercise, i) => (i !== exerciseIndex ? exercise : {
+      ...exercise,
+      sets: [...sets, { reps: previous?.reps ?? '', load: previous?.load ?? '', setType: 'working' }]
+    }));
+    saveExercises(exercises);
+  };
+
+  const removeSet = (exerciseIndex, setIndex) => {
+    const exercises = session.exercises.map((exercise, i) => (i !== exerciseIndex ? exercise : {
+      ...exercise,
+      sets: exercise.sets.filter((_, j) => j !== setIndex)
+    }));
+    saveExercises(exercises);
+  };
+
+  const addExercise = (e) => {
+    e.preventDefault();
+    const name = newExercise.trim();
+    if (!name) return;
+
+    const match = library.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+    const exercises = [...session.exercises, {
+      name,
+      exercise: match?._id,
+      sets: [{ reps: '', load: '', setType: 'working' }]
+    }];
+    setNewExercise('');
+    saveExercises(exercises);
+  };
+
+  const removeExercise = (exerciseIndex) => {
+    saveExercises(session.exercises.filter((_, i) => i !== exerciseIndex));
+  };
+
+  const handleFinish = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await liveWorkoutAPI.finishLiveWorkout({
+        calories: finishData.calories ? parseInt(finishData.calories) : undefined,
+        rpe: finishData.rpe ? parseInt(finishData.rpe) : undefined
+      });
+      navigate('/workouts');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save workout');
+      setSaving(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!window.confirm('Discard this workout? Nothing will be saved.')) return;
+
+    try {
+      await liveWorkoutAPI.discardLiveWorkout();
+      setSession(null);
+      setFinishing(false);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to discard workout');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-3xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        <div className="text-center">Loading workout...</div>
+      </div>
+    );
+  }
+
+  const elapsed = session
+    ? session.elapsedSeconds + (session.pausedAt ? 0 : (now - receivedAt) / 1000)
+    : 0;
+  const restLeft = session?.rest?.endsAt
+    ? (new Date(session.rest.endsAt).getTime() - (now + clockOffset)) / 1000
+    : null;
+  const completedSets = session
+    ? session.exercises.reduce((total, exercise) => total + exercise.sets.filter(set => set.completedAt).length, 0)
+    : 0;
+
+  return (
+    <div className="max-w-3xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">Live Workout</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Tick off sets as you go. Your session is saved as you train, so you can pick it up on any device.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {notice && (
+        <div className="mb-4 bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded">
+          {notice}
+        </div>
+      )}
+
+      {!session ? (
+        <form onSubmit={handleStart} className="bg-white shadow rounded-lg p-6 space-y-4">
+          <div>
+            <label htmlFor="liveType" className="block text-sm font-medium text-gray-700">Workout type</label>
+            <select
+              id="liveType"
+              value={startType}
+              onChange={(e) => setStartType(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            >
+              <option value="">Select workout type</option>
+              {library.map(exercise => (
+                <option key={exercise._id} value={exercise.slug}>{exercise.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-medium py-2 px-4 rounded-md transition-colors"
+            >
+              Start Workout
+            </button>
+            <Link
+              to="/templates"
+              className="flex-1 text-center bg-gray-300 hover:bg-gray-400 text-gray-700 font-medium py-2 px-4 rounded-md transition-colors"
+            >
+              Start from Template
+            </Link>
+          </div>
+        </form>
+      ) : (
+        <>
+          {/* Clocks */}
+          <div className="bg-white shadow rounded-lg p-6 mb-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-lg font-medium text-blue-600 capitalize">{session.type.replace(/-/g, ' ')}</p>
+                <p className="text-4xl font-bold text-gray-900 tabular-nums">{formatClock(elapsed)}</p>
+                <p className="text-sm text-gray-500">
+                  {session.pausedAt ? 'Paused' : 'Elapsed'} · {completedSets} set{completedSets !== 1 ? 's' : ''} done
+                  {saving && ' · Saving...'}
+                </p>
+              </div>
+              <button
+                onClick={() => update({ paused: !session.pausedAt })}
+                className="bg-gray-600 hover:bg-gray-700 text-white font-medium py-2 px-4 rounded-md transition-colors"
+              >
+                {session.pausedAt ? 'Resume' : 'Pause'}
+              </button>
+            </div>
+
+            <div className="mt-4 border-t pt-4 flex flex-wrap items-center justify-between gap-2">
+              {restLeft !== null ? (
+                <p className={`text-2xl font-semibold tabular-nums ${restLeft > 0 ? 'text-orange-600' : 'text-green-600'}`}>
+                  {restLeft > 0 ? `Rest ${formatClock(restLeft)}` : 'Rest over — next set!'}
+                </p>
+              ) : (
+                <p className="text-sm text-gray-500">Rest timer starts when you tick off a set.</p>
+              )}
+              <div className="flex items-center space-x-2">
+                {restLeft !== null && restLeft > 0 && (
+                  <button
+                    onClick={() => update({ rest: { seconds: Math.ceil(restLeft) + 30 } })}
+                    className="text-blue-600 hover:text-blue-900 text-sm font-medium"
+                  >
+                    +30s
+                  </button>
+                )}
+                {restLeft !== null && (
+                  <button
+                    onClick={() => update({ rest: null })}
+                    className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+                  >
+                    {restLeft > 0 ? 'Skip' : 'Dismiss'}
+                  </button>
+                )}
+                <select
+                  value={session.restSeconds}
+                  onChange={(e) => update({ restSeconds: Number(e.target.value) })}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                  aria-label="Rest between sets"
+                >
+                  {[...new Set([...REST_OPTIONS, session.restSeconds])].sort((a, b) => a - b).map(seconds => (
+                    <option key={seconds} value={seconds}>Rest {formatClock(seconds)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {/* Exercises and sets */}
+          <div className="space-y-4 mb-6">
+            {session.exercises.map((exercise, exerciseIndex) => (
+              <div key={exerciseIndex} className="bg-white shadow rounded-lg p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-lg font-medium text-gray-900">{exercise.name}</h3>
+                  <button
+                    onClick={() => removeExercise(exerciseIndex)}
+                    className="text-red-600 hover:text-red-900 text-sm font-medium"
+                  >
+                    Remove
+                  </button>
+                </div>
+
+                <div className="space-y-2">
+                  {exercise.sets.map((set, setIndex) => (
+                    <div
+                      key={setIndex}
+                      className={`flex items-center space-x-2 rounded-md px-2 py-1 ${set.completedAt ? 'bg-green-50' : ''}`}
+                    >
+                      <span className="w-6 text-sm text-gray-500">{setIndex + 1}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={set.reps ?? ''}
+                        onChange={(e) => editSet(exerciseIndex, setIndex, { reps: e.target.value })}
+                        onBlur={() => saveExercises(session.exercises)}
+                        className={inputClass}
+                        placeholder="Reps"
+                        aria-label="Reps"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={set.load ?? ''}
+                        onChange={(e) => editSet(exerciseIndex, setIndex, { load: e.target.value })}
+                        onBlur={() => saveExercises(session.exercises)}
+                        className={inputClass}
+                        placeholder="kg"
+                        aria-label="Load (kg)"
+                      />
+                      <select
+                        value={set.setType}
+                        onChange={(e) => saveExercises(editSet(exerciseIndex, setIndex, { setType: e.target.value }))}
+                        className={inputClass}
+                        aria-label="Set type"
+                      >
+                        {SET_TYPE_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => toggleSet(exerciseIndex, setIndex)}
+                        className={`shrink-0 px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                          set.completedAt
+                            ? 'bg-green-600 hover:bg-green-700 text-white'
+                            : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                        }`}
+                      >
+                        {set.completedAt ? 'Done' : 'Tick'}
+                      </button>
+                      <button
+                        onClick={() => removeSet(exerciseIndex, setIndex)}
+                        className="text-red-600 hover:text-red-900 text-sm"
+                        aria-label="Remove set"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                </div>
+
+                <button
+                  onClick={() => addSet(exerciseIndex)}
+                  className="mt-2 text-blue-600 hover:text-blue-900 text-sm font-medium"
+                >
+                  + Add set
+                </button>
+              </div>
+            ))}
+
+            <form onSubmit={addExercise} className="flex space-x-2">
+              <input
+                type="text"
+                list="live-exercise-library"
+                value={newExercise}
+                onChange={(e) => setNewExercise(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                placeholder="Add an exercise, e.g. Bench Press"
+              />
+              <datalist id="live-exercise-library">
+                {library.map(entry => (
+                  <option key={entry._id} value={entry.name} />
+                ))}
+              </datalist>
+              <button
+                type="submit"
+                className="shrink-0 bg-gray-600 hover:bg-gray-700 text-white text-sm font-medium py-2 px-3 rounded-md transition-colors"
+              >
+                + Add exercise
+              </button>
+            </form>
+          </div>
+
+          <div className="bg-white shadow rounded-lg p-6 mb-6">
+            <label htmlFor="liveNotes" className="block text-sm font-medium text-gray-700">Notes</label>
+            <textarea
+              id="liveNotes"
+              rows="2"
+              maxLength="1000"
+              value={session.notes || ''}
+              onChange={(e) => setSession({ ...session, notes: e.target.value })}
+              onBlur={() => update({ notes: session.notes || '' })}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            />
+          </div>
+
+          {finishing ? (
+            <form onSubmit={handleFinish} className="bg-white shadow rounded-lg p-6 space-y-4">
+              <h3 className="text-lg font-medium text-gray-900">Finish Workout</h3>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="liveCalories" className="block text-sm font-medium text-gray-700">Calories</label>
+                  <input
+                    id="liveCalories"
+                    type="number"
+                    min="1"
+                    value={finishData.calories}
+                    onChange={(e) => setFinishData({ ...finishData, calories: e.target.value })}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    placeholder="Auto-calculate"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="liveRpe" className="block text-sm font-medium text-gray-700">Effort (RPE 1-10)</label>
+                  <input
+                    id="liveRpe"
+                    type="number"
+                    min="1"
+                    max="10"
+                    value={finishData.rpe}
+                    onChange={(e) => setFinishData({ ...finishData, rpe: e.target.value })}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    placeholder="Optional"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                Only ticked sets are saved. Duration is {Math.max(1, Math.round(elapsed / 60))} minutes from the clock.
+              </p>
+              <div className="flex space-x-3">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-medium py-2 px-4 rounded-md transition-colors"
+                >
+                  {saving ? 'Saving...' : 'Save Workout'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setFinishing(false)}
+                  className="flex-1 bg-gray-300 hover:bg-gray-400 text-gray-700 font-medium py-2 px-4 rounded-md transition-colors"
+                >
+                  Keep Training
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex space-x-3">
+              <button
+                onClick={() => setFinishing(true)}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition-colors"
+              >
+                Finish Workout
+              </button>
+              <button
+                onClick={handleDiscard}
+                className="flex-1 bg-gray-300 hover:bg-gray-400 text-gray-700 font-medium py-2 px-4 rounded-md transition-colors"
+              >
+                Discard
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LiveWorkout;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useLocation } from 'react-router-dom';
 import { authAPI } from '../services/api';
 
 const Login = ({ setUser }) => {
@@ -7,8 +7,13 @@ const Login = ({ setUser }) => {
     email: '',
     password: '',
   });
+  const location = useLocation();
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Second step state, set when the account has two-factor authentication
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const { email, password } = formData;
 
@@ -16,6 +21,15 @@ const Login = ({ setUser }) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const completeLogin = (data) => {
+    const { token, refreshToken, recoveryCodesRemaining, ...userData } = data;
+
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(userData));
+    setUser(userData);
+  };
+
   const onSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -23,11 +37,13 @@ const Login = ({ setUser }) => {
 
     try {
       const response = await authAPI.login({ email, password });
-      const { token, ...userData } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(userData));
-      setUser(userData);
+
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
+
+      completeLogin(response.data);
     } catch (error) {
       setError(error.response?.data?.message || 'Login failed');
     } finally {
@@ -35,6 +51,95 @@ const Login = ({ setUser }) => {
     }
   };
 
+  const onSubmitCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authAPI.verifyTwoFactor({
+        challengeToken,
+        ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+      });
+      completeLogin(response.data);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        // Challenge expired: start over from the password step
+        setChallengeToken('');
+        setCode('');
+      }
+      setError(error.response?.data?.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={onSubmitCode}>
+            {error && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+                {error}
+              </div>
+            )}
+
+            <input
+              id="code"
+              name="code"
+              type="text"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              required
+              autoFocus
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm tracking-widest text-center"
+              placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            />
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <div className="flex justify-between text-sm">
+              <button
+                type="button"
+                onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+                className="text-blue-600 hover:text-blue-500"
+              >
+                {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                onClick={() => { setChallengeToken(''); setCode(''); setError(''); }}
+                className="text-gray-600 hover:text-gray-500"
+              >
+                Back
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -45,6 +150,12 @@ const Login = ({ setUser }) => {
         </div>
         
         <form className="mt-8 space-y-6" onSubmit={onSubmit}>
+          {location.state?.message && !error && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+              {location.state.message}
+            </div>
+          )}
+
           {error && (
             <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
               {error}
@@ -88,7 +199,10 @@ const Login = ({ setUser }) => {
             </button>
           </div>
 
-          <div className="text-center">
+          <div className="flex justify-between text-sm">
+            <Link to="/forgot-password" className="text-blue-600 hover:text-blue-500">
+              Forgot your password?
+            </Link>
             <Link to="/signup" className="text-blue-600 hover:text-blue-500">
               Don't have an account? Sign up
             </Link>
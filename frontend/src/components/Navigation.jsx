@@ -5,8 +5,13 @@ const Navigation = ({ user, logout }) => {
   const navItems = [
     { path: '/dashboard', label: 'Dashboard' },
     { path: '/workouts', label: 'Workouts' },
+    { path: '/plans', label: 'Plans' },
+    { path: '/records', label: 'Records' },
+    { path: '/exercises', label: 'Exercises' },
     { path: '/nutrition', label: 'Nutrition' },
     { path: '/progress', label: 'Progress' },
+    { path: '/profile', label: 'Profile' },
+    { path: '/security', label: 'Security' },
   ];
 
   return (
@@ -29,11 +34,18 @@ const Navigation = ({ user, logout }) => {
     <div className="flex items-center space-x-4">
       <span className="text-gray-600">Welcome, {user?.name}</span>
       <button
-        onClick={logout}
+        onClick={() => logout()}
         className="px-3 py-1 rounded-lg bg-red-500 text-white hover:bg-red-600 transition"
       >
         Logout
       </button>
+      <button
+        onClick={() => logout({ allDevices: true })}
+        className="text-sm text-gray-500 hover:text-red-600"
+        title="Sign out of every device"
+      >
+        All devices
+      </button>
     </div>
   </div>
 </nav>
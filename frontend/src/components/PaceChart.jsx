@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { analyticsAPI } from '../services/api';
+import { distanceUnitFor, formatDistance, formatPace, formatPaceValue, formatSpeed, paceSeconds } from '../utils/units';
+
+const RANGE_OPTIONS = [
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 365, label: 'Last year' }
+];
+
+// Pace over time for one workout type with a distance (runs, rides, walks...).
+// `refreshKey` changes whenever the workout list does, so the chart stays current.
+const PaceChart = ({ units = 'metric', refreshKey }) => {
+  const [type, setType] = useState('');
+  const [days, setDays] = useState(90);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchPace = async () => {
+      try {
+        const response = await analyticsAPI.getPace({ type: type || undefined, days });
+        setData(response.data);
+        setError('');
+      } catch (error) {
+        setError('Failed to load pace data');
+      }
+    };
+
+    fetchPace();
+  }, [type, days, refreshKey]);
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  // Nothing to chart until a workout has a distance
+  if (!data || !data.types.length) return null;
+
+  const unit = distanceUnitFor(units);
+  const points = data.points.map(point => ({
+    day: new Date(point.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+    pace: Math.round(paceSeconds(point.pace, units))
+  }));
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Pace Trend</h3>
+        <div className="flex space-x-2">
+          <select
+            value={data.type}
+            onChange={(e) => setType(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm capitalize"
+          >
+            {data.types.map(option => (
+              <option key={option} value={option}>{option.replace(/-/g, ' ')}</option>
+            ))}
+          </select>
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+          >
+            {RANGE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {data.summary && (
+        <dl className="grid grid-cols-2 gap-4 sm:grid-cols-4 mb-4">
+          <div>
+            <dt className="text-xs text-gray-500">Distance</dt>
+            <dd className="text-sm font-medium text-gray-900">{formatDistance(data.summary.distance, units)}</dd>
+          </div>
+          <div>
+            <dt className="text-xs text-gray-500">Average pace</dt>
+            <dd className="text-sm font-medium text-gray-900">{formatPace(data.summary.avgPace, units)}</dd>
+          </div>
+          <div>
+            <dt className="text-xs text-gray-500">Best pace</dt>
+            <dd className="text-sm font-medium text-gray-900">{formatPace(data.summary.bestPace, units)}</dd>
+          </div>
+          <div>
+            <dt className="text-xs text-gray-500">Average speed</dt>
+            <dd className="text-sm font-medium text-gray-900">{formatSpeed(data.summary.avgSpeed, units)}</dd>
+          </div>
+        </dl>
+      )}
+
+      {points.length > 1 ? (
+        <ResponsiveContainer width="100%" height={250}>
+          <LineChart data={points}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="day" />
+            {/* Faster is better, so lower paces sit higher on the chart */}
+            <YAxis reversed domain={['auto', 'auto']} tickFormatter={formatPaceValue} />
+            <Tooltip formatter={(value) => [`${formatPaceValue(value)} /${unit}`, 'Pace']} />
+            <Line type="monotone" dataKey="pace" stroke="#2563eb" strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+      ) : (
+        <p className="text-sm text-gray-500">
+          {points.length ? 'Only one workout in this range — log more to see a trend.' : 'No workouts with a distance in this range.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PaceChart;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { recordsAPI } from '../services/api';
+
+const RECORD_LABELS = {
+  heaviest_weight: 'Heaviest weight',
+  estimated_1rm: 'Estimated 1RM',
+  most_reps: 'Most reps',
+  best_volume: 'Best volume',
+  longest_duration: 'Longest session',
+  longest_distance: 'Longest distance',
+  fastest_speed: 'Fastest average speed',
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const recordLabel = (record) => {
+  const label = RECORD_LABELS[record.recordType] || record.recordType;
+  return record.load ? `${label} at ${record.load} kg` : label;
+};
+
+const PersonalRecords = () => {
+  const [exercises, setExercises] = useState([]);
+  const [search, setSearch] = useState('');
+  // The record whose history is charted: { exerciseName, exerciseKey, recordType, load }
+  const [selected, setSelected] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchRecords = async () => {
+      try {
+        const response = await recordsAPI.getRecords();
+        setExercises(response.data);
+      } catch (error) {
+        setError('Failed to fetch personal records');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRecords();
+  }, []);
+
+  const showHistory = async (record) => {
+    setSelected(record);
+    try {
+      const params = { type: record.recordType };
+      if (record.load !== undefined && record.load !== null) params.load = record.load;
+      const response = await recordsAPI.getHistory(record.exerciseKey, params);
+      setHistory(response.data.map(entry => ({ ...entry, day: formatDate(entry.date) })));
+      setError('');
+    } catch (error) {
+      setError('Failed to fetch record history');
+    }
+  };
+
+  const filtered = exercises.filter(exercise =>
+    exercise.exerciseName.toLowerCase().includes(search.trim().toLowerCase())
+  );
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        <div className="text-center">Loading personal records...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Personal Records</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Your best lifts and efforts, detected automatically from logged workouts.
+          Estimated 1RM uses the Epley formula on sets of 12 reps or fewer.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {selected && (
+        <div className="bg-white shadow rounded-lg p-6 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-medium text-gray-900">
+              {selected.exerciseName} — {recordLabel(selected)}
+            </h2>
+            <button
+              onClick={() => { setSelected(null); setHistory([]); }}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              Close
+            </button>
+          </div>
+          {history.length > 1 ? (
+            <ResponsiveContainer width="100%" height={250}>
+              <LineChart data={history}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="day" />
+                <YAxis domain={['auto', 'auto']} />
+                <Tooltip formatter={(value) => `${value} ${selected.unit}`} />
+                <Line type="monotone" dataKey="value" stroke="#2563eb" strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          ) : (
+            <p className="text-sm text-gray-500">Only one record so far — keep training to see a trend.</p>
+          )}
+        </div>
+      )}
+
+      <div className="mb-4">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search exercises..."
+          className="block w-full sm:w-80 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+        />
+      </div>
+
+      {filtered.length === 0 ? (
+        <div className="bg-white shadow rounded-lg p-6 text-center text-gray-500">
+          {exercises.length === 0
+            ? 'No records yet. Log a workout to start tracking your bests.'
+            : 'No exercises match your search.'}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+          {filtered.map(exercise => (
+            <div key={exercise.exerciseKey} className="bg-white shadow rounded-lg p-6">
+              <div className="flex justify-between items-baseline mb-3">
+                <h2 className="text-lg font-medium text-gray-900 capitalize">{exercise.exerciseName}</h2>
+                <span className="text-xs text-gray-500">Last PR {formatDate(exercise.lastRecordAt)}</span>
+              </div>
+              <ul className="divide-y divide-gray-100">
+                {exercise.records.map(record => (
+                  <li key={record._id} className="py-2 flex justify-between items-center text-sm">
+                    <span className="text-gray-700">{recordLabel(record)}</span>
+                    <span className="flex items-center space-x-3">
+                      <span className="font-semibold text-gray-900">{record.value} {record.unit}</span>
+                      <span className="text-xs text-gray-500">{formatDate(record.date)}</span>
+                      <button
+                        onClick={() => showHistory(record)}
+                        className="text-xs text-blue-600 hover:text-blue-800"
+                      >
+                        History
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PersonalRecords;
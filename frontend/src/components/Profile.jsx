@@ -0,0 +1,439 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+import DeleteAccount from './DeleteAccount';
+
+const ACTIVITY_OPTIONS = [
+  { value: '', label: 'Select activity level' },
+  { value: 'sedentary', label: 'Sedentary (little or no exercise)' },
+  { value: 'light', label: 'Light (1-3 days/week)' },
+  { value: 'moderate', label: 'Moderate (3-5 days/week)' },
+  { value: 'active', label: 'Active (6-7 days/week)' },
+  { value: 'very_active', label: 'Very active (physical job or twice daily)' }
+];
+
+const SEX_OPTIONS = [
+  { value: '', label: 'Prefer not to say' },
+  { value: 'male', label: 'Male' },
+  { value: 'female', label: 'Female' },
+  { value: 'other', label: 'Other' }
+];
+
+const CM_PER_INCH = 2.54;
+
+// Fall back to a short list on browsers without Intl.supportedValuesOf
+const getTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return ['UTC', 'Europe/London', 'Europe/Berlin', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'Asia/Kolkata', 'Asia/Tokyo', 'Australia/Sydney'];
+};
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+// Matches the server defaults for next-session recommendations
+const DEFAULT_PROGRESSION = {
+  scheme: 'double',
+  increment: 2.5,
+  targetReps: 5,
+  repRangeMin: 8,
+  repRangeMax: 12,
+  percentage: 80,
+  stallSessions: 3
+};
+
+// Matches the server's default weekly hard-set targets; blank fields use these
+const DEFAULT_VOLUME_TARGETS = {
+  chest: { min: 10, max: 20 },
+  back: { min: 10, max: 20 },
+  shoulders: { min: 8, max: 20 },
+  biceps: { min: 8, max: 16 },
+  triceps: { min: 6, max: 14 },
+  forearms: { min: 4, max: 12 },
+  core: { min: 6, max: 16 },
+  glutes: { min: 6, max: 16 },
+  quadriceps: { min: 8, max: 18 },
+  hamstrings: { min: 6, max: 14 },
+  calves: { min: 8, max: 16 }
+};
+
+const EMPTY_VOLUME_TARGETS = Object.fromEntries(
+  Object.keys(DEFAULT_VOLUME_TARGETS).map(muscle => [muscle, { min: '', max: '' }])
+);
+
+const Profile = ({ user, setUser, logout }) => {
+  const [formData, setFormData] = useState({
+    name: '',
+    heightCm: '',
+    heightFeet: '',
+    heightInches: '',
+    birthDate: '',
+    sex: '',
+    activityLevel: '',
+    correctedMet: false,
+    units: 'metric',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    maxHeartRate: '',
+    restingHeartRate: '',
+    thresholdHeartRate: '',
+    hrZoneMethod: 'max',
+    progression: DEFAULT_PROGRESSION,
+    volumeTargets: EMPTY_VOLUME_TARGETS
+  });
+  const [heartRateZones, setHeartRateZones] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await authAPI.getProfile();
+        const profile = response.data;
+        const totalInches = profile.height ? profile.height / CM_PER_INCH : null;
+
+        setFormData(current => ({
+          ...current,
+          name: profile.name || '',
+          heightCm: profile.height || '',
+          heightFeet: totalInches ? Math.floor(totalInches / 12) : '',
+          heightInches: totalInches ? Math.round(totalInches % 12) : '',
+          birthDate: profile.birthDate ? profile.birthDate.split('T')[0] : '',
+          sex: profile.sex || '',
+          activityLevel: profile.activityLevel || '',
+          correctedMet: profile.correctedMet === true,
+          units: profile.units || 'metric',
+          timezone: profile.timezone || current.timezone,
+          maxHeartRate: profile.maxHeartRate || '',
+          restingHeartRate: profile.restingHeartRate || '',
+          thresholdHeartRate: profile.thresholdHeartRate || '',
+          hrZoneMethod: profile.hrZoneMethod || 'max',
+          progression: { ...DEFAULT_PROGRESSION, ...profile.progression },
+          volumeTargets: Object.fromEntries(Object.keys(DEFAULT_VOLUME_TARGETS).map(muscle => {
+            const target = profile.volumeTargets?.[muscle] || {};
+            return [muscle, { min: target.min ?? '', max: target.max ?? '' }];
+          }))
+        }));
+        setHeartRateZones(profile.heartRateZones);
+      } catch (error) {
+        setError('Failed to load profile');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, []);
+
+  const onChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const onProgressionChange = (e) => {
+    setFormData({ ...formData, progression: { ...formData.progression, [e.target.name]: e.target.value } });
+  };
+
+  const onVolumeTargetChange = (muscle, bound, value) => {
+    setFormData({
+      ...formData,
+      volumeTargets: {
+        ...formData.volumeTargets,
+        [muscle]: { ...formData.volumeTargets[muscle], [bound]: value }
+      }
+    });
+  };
+
+  const getHeightInCm = () => {
+    if (formData.units === 'imperial') {
+      const inches = (parseFloat(formData.heightFeet) || 0) * 12 + (parseFloat(formData.heightInches) || 0);
+      return inches ? Math.round(inches * CM_PER_INCH) : null;
+    }
+    return formData.heightCm ? parseFloat(formData.heightCm) : null;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await authAPI.updateProfile({
+        name: formData.name,
+        height: getHeightInCm(),
+        birthDate: formData.birthDate || null,
+        sex: formData.sex || null,
+        activityLevel: formData.activityLevel || null,
+        correctedMet: formData.correctedMet,
+        units: formData.units,
+        timezone: formData.timezone,
+        maxHeartRate: formData.maxHeartRate || null,
+        restingHeartRate: formData.restingHeartRate || null,
+        thresholdHeartRate: formData.thresholdHeartRate || null,
+        hrZoneMethod: formData.hrZoneMethod,
+        progression: {
+          scheme: formData.progression.scheme,
+          increment: parseFloat(formData.progression.increment),
+          targetReps: parseInt(formData.progression.targetReps),
+          repRangeMin: parseInt(formData.progression.repRangeMin),
+          repRangeMax: parseInt(formData.progression.repRangeMax),
+          percentage: parseInt(formData.progression.percentage),
+          stallSessions: parseInt(formData.progression.stallSessions)
+        },
+        volumeTargets: Object.fromEntries(Object.entries(formData.volumeTargets).map(([muscle, target]) => [muscle, {
+          min: target.min === '' ? null : parseInt(target.min),
+          max: target.max === '' ? null : parseInt(target.max)
+        }]))
+      });
+      setHeartRateZones(response.data.heartRateZones);
+
+      const updatedUser = { ...user, name: response.data.name, units: response.data.units };
+      localStorage.setItem('user', JSON.stringify(updatedUser));
+      setUser(updatedUser);
+      setMessage('Profile saved');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        <div className="text-center">Loading profile...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Profile</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Your details are used for BMI, daily energy needs and more accurate calorie estimates
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-4 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+          {message}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-6 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Name</label>
+          <input type="text" name="name" value={formData.name} onChange={onChange} required className={inputClass} />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Units</label>
+          <select name="units" value={formData.units} onChange={onChange} className={inputClass}>
+            <option value="metric">Metric (kg, cm, km)</option>
+            <option value="imperial">Imperial (lb, ft/in, mi)</option>
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Height</label>
+          {formData.units === 'imperial' ? (
+            <div className="grid grid-cols-2 gap-4">
+              <input type="number" name="heightFeet" value={formData.heightFeet} onChange={onChange} min="1" max="8" className={inputClass} placeholder="ft" />
+              <input type="number" name="heightInches" value={formData.heightInches} onChange={onChange} min="0" max="11" className={inputClass} placeholder="in" />
+            </div>
+          ) : (
+            <input type="number" name="heightCm" value={formData.heightCm} onChange={onChange} min="50" max="272" className={inputClass} placeholder="cm" />
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Birth date</label>
+            <input type="date" name="birthDate" value={formData.birthDate} onChange={onChange} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Sex</label>
+            <select name="sex" value={formData.sex} onChange={onChange} className={inputClass}>
+              {SEX_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Activity level</label>
+          <select name="activityLevel" value={formData.activityLevel} onChange={onChange} className={inputClass}>
+            {ACTIVITY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <label className="flex items-start space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={formData.correctedMet}
+            onChange={(e) => setFormData({ ...formData, correctedMet: e.target.checked })}
+            className="mt-1"
+          />
+          <span>
+            Adjust MET calorie estimates to my resting metabolic rate (corrected METs). Uses your height, birth date and sex;
+            standard METs assume an average resting rate.
+          </span>
+        </label>
+
+        <div className="border-t border-gray-200 pt-4">
+          <h2 className="text-lg font-medium text-gray-900">Heart rate</h2>
+          <p className="text-sm text-gray-500">
+            Used for training zones and heart-rate based calorie estimates. Without a max heart rate, it's estimated from your age.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Max HR (bpm)</label>
+              <input type="number" name="maxHeartRate" value={formData.maxHeartRate} onChange={onChange} min="100" max="230" className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Resting HR (bpm)</label>
+              <input type="number" name="restingHeartRate" value={formData.restingHeartRate} onChange={onChange} min="25" max="120" className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Lactate threshold HR (bpm)</label>
+              <input type="number" name="thresholdHeartRate" value={formData.thresholdHeartRate} onChange={onChange} min="80" max="220" className={inputClass} />
+            </div>
+          </div>
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-gray-700">Zones based on</label>
+            <select name="hrZoneMethod" value={formData.hrZoneMethod} onChange={onChange} className={inputClass}>
+              <option value="max">Max heart rate</option>
+              <option value="hrr">Heart rate reserve (max and resting)</option>
+              <option value="threshold">Lactate threshold heart rate</option>
+            </select>
+          </div>
+          {heartRateZones && (
+            <div className="mt-4">
+              <p className="text-sm font-medium text-gray-700">
+                Your zones{heartRateZones.estimated ? ' (max HR estimated from age)' : ''}
+              </p>
+              <ul className="mt-1 text-sm text-gray-600 space-y-1">
+                {heartRateZones.zones.map(zone => (
+                  <li key={zone.zone}>
+                    Zone {zone.zone} · {zone.name}: {zone.min}-{zone.max} bpm
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="border-t border-gray-200 pt-4">
+          <h2 className="text-lg font-medium text-gray-900">Progression</h2>
+          <p className="text-sm text-gray-500">
+            How next-session loads and reps are suggested when you add an exercise to a workout.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Scheme</label>
+              <select name="scheme" value={formData.progression.scheme} onChange={onProgressionChange} className={inputClass}>
+                <option value="linear">Linear: same reps, add load when all sets succeed</option>
+                <option value="double">Double progression: add reps, then load</option>
+                <option value="percentage">Percentage of estimated 1RM</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Load increment (kg)</label>
+              <input type="number" name="increment" value={formData.progression.increment} onChange={onProgressionChange} min="0.5" max="20" step="0.5" className={inputClass} />
+            </div>
+            {formData.progression.scheme === 'double' ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Rep range</label>
+                <div className="flex space-x-2">
+                  <input type="number" name="repRangeMin" value={formData.progression.repRangeMin} onChange={onProgressionChange} min="1" max="50" className={inputClass} />
+                  <input type="number" name="repRangeMax" value={formData.progression.repRangeMax} onChange={onProgressionChange} min="1" max="50" className={inputClass} />
+                </div>
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Reps per set</label>
+                <input type="number" name="targetReps" value={formData.progression.targetReps} onChange={onProgressionChange} min="1" max="30" className={inputClass} />
+              </div>
+            )}
+            {formData.progression.scheme === 'percentage' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Working load (% of 1RM)</label>
+                <input type="number" name="percentage" value={formData.progression.percentage} onChange={onProgressionChange} min="40" max="100" className={inputClass} />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Suggest a deload after (sessions without progress)</label>
+              <input type="number" name="stallSessions" value={formData.progression.stallSessions} onChange={onProgressionChange} min="2" max="10" className={inputClass} />
+            </div>
+          </div>
+        </div>
+
+        <div className="border-t border-gray-200 pt-4">
+          <h2 className="text-lg font-medium text-gray-900">Weekly set targets</h2>
+          <p className="text-sm text-gray-500">
+            Hard sets per muscle group each week, shown on the Dashboard body map. Leave a field blank to use the default.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 mt-2">
+            {Object.entries(DEFAULT_VOLUME_TARGETS).map(([muscle, defaults]) => (
+              <div key={muscle} className="flex items-center space-x-2">
+                <span className="w-24 text-sm text-gray-700 capitalize">{muscle}</span>
+                <input
+                  type="number"
+                  value={formData.volumeTargets[muscle].min}
+                  onChange={(e) => onVolumeTargetChange(muscle, 'min', e.target.value)}
+                  placeholder={String(defaults.min)}
+                  min="0"
+                  max="50"
+                  aria-label={`${muscle} minimum sets`}
+                  className={inputClass}
+                />
+                <span className="text-gray-500">–</span>
+                <input
+                  type="number"
+                  value={formData.volumeTargets[muscle].max}
+                  onChange={(e) => onVolumeTargetChange(muscle, 'max', e.target.value)}
+                  placeholder={String(defaults.max)}
+                  min="1"
+                  max="50"
+                  aria-label={`${muscle} maximum sets`}
+                  className={inputClass}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Timezone</label>
+          <select name="timezone" value={formData.timezone} onChange={onChange} className={inputClass}>
+            {getTimeZones().map(zone => (
+              <option key={zone} value={zone}>{zone}</option>
+            ))}
+          </select>
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-medium py-2 px-4 rounded-md transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save profile'}
+        </button>
+      </form>
+
+      <DeleteAccount user={user} setUser={setUser} logout={logout} />
+    </div>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,27 @@
+import React from 'react';
+import ChangePassword from './ChangePassword';
+import ChangeEmail from './ChangeEmail';
+import TwoFactorSettings from './TwoFactorSettings';
+import ApiTokens from './ApiTokens';
+
+const Security = ({ user }) => {
+  return (
+    <div className="max-w-3xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Security</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Manage how you sign in to FitBodyTrack
+        </p>
+      </div>
+
+      <div className="space-y-8">
+        <ChangePassword />
+        <ChangeEmail user={user} />
+        <TwoFactorSettings />
+        <ApiTokens />
+      </div>
+    </div>
+  );
+};
+
+export default Security;
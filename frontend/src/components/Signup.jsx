@@ -24,9 +24,10 @@ const Signup = ({ setUser }) => {
 
     try {
       const response = await authAPI.register({ name, email, password });
-      const { token, ...userData } = response.data;
+      const { token, refreshToken, ...userData } = response.data;
       
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(userData));
       setUser(userData);
     } catch (error) {
@@ -0,0 +1,357 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { templatesAPI } from '../services/api';
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const emptyExercise = () => ({ name: '', targetSets: 3, targetReps: 10, targetLoad: '' });
+
+const emptyForm = () => ({
+  name: '',
+  description: '',
+  type: 'strength',
+  duration: '',
+  exercises: [emptyExercise()]
+});
+
+const Templates = () => {
+  const navigate = useNavigate();
+  const [templates, setTemplates] = useState([]);
+  const [formData, setFormData] = useState(emptyForm());
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await templatesAPI.getTemplates();
+        setTemplates(response.data);
+      } catch (error) {
+        setError('Failed to fetch templates');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTemplates();
+  }, []);
+
+  const onChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const updateExercise = (index, changes) => {
+    setFormData({
+      ...formData,
+      exercises: formData.exercises.map((exercise, i) => (i === index ? { ...exercise, ...changes } : exercise))
+    });
+  };
+
+  const addExercise = () => {
+    setFormData({ ...formData, exercises: [...formData.exercises, emptyExercise()] });
+  };
+
+  const removeExercise = (index) => {
+    setFormData({ ...formData, exercises: formData.exercises.filter((_, i) => i !== index) });
+  };
+
+  const openEditor = (template = null) => {
+    setEditingId(template ? template._id : null);
+    setFormData(template
+      ? {
+          name: template.name,
+          description: template.description || '',
+          type: template.type,
+          duration: template.duration || '',
+          exercises: template.exercises.map(exercise => ({
+            ...exercise,
+            targetLoad: exercise.targetLoad ?? ''
+          }))
+        }
+      : emptyForm());
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const templateData = {
+      ...formData,
+      duration: formData.duration ? parseInt(formData.duration) : undefined,
+      exercises: formData.exercises
+        .filter(exercise => exercise.name.trim())
+        .map((exercise, order) => ({
+          name: exercise.name.trim(),
+          exercise: exercise.exercise,
+          order,
+          targetSets: parseInt(exercise.targetSets),
+          targetReps: parseInt(exercise.targetReps),
+          targetLoad: exercise.targetLoad === '' ? undefined : parseFloat(exercise.targetLoad)
+        }))
+    };
+
+    try {
+      if (editingId) {
+        const response = await templatesAPI.updateTemplate(editingId, templateData);
+        setTemplates(templates.map(t => (t._id === editingId ? response.data : t)));
+      } else {
+        const response = await templatesAPI.createTemplate(templateData);
+        setTemplates([...templates, response.data]);
+      }
+      setShowForm(false);
+      setEditingId(null);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save template');
+    }
+  };
+
+  // `live` runs the session with timers instead of logging it afterwards
+  const handleStart = async (id, live = false) => {
+    try {
+      const response = await templatesAPI.startTemplate(id);
+      navigate(live ? '/live' : '/workouts', { state: { draft: response.data } });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to start workout');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (window.confirm('Are you sure you want to delete this template?')) {
+      try {
+        await templatesAPI.deleteTemplate(id);
+        setTemplates(templates.filter(t => t._id !== id));
+        setError('');
+      } catch (error) {
+        setError('Failed to delete template');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        <div className="text-center">Loading templates...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Workout Templates</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Save your regular routines and start a pre-filled workout in one click
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="mb-6">
+        <button
+          onClick={() => (showForm ? setShowForm(false) : openEditor())}
+          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md transition-colors"
+        >
+          {showForm ? 'Cancel' : 'New Template'}
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-white shadow rounded-lg p-6 mb-8">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">
+            {editingId ? 'Edit Template' : 'New Template'}
+          </h3>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  type="text"
+                  name="name"
+                  value={formData.name}
+                  onChange={onChange}
+                  required
+                  className={inputClass}
+                  placeholder="e.g. Push day"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Workout type</label>
+                <input
+                  type="text"
+                  name="type"
+                  value={formData.type}
+                  onChange={onChange}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Target duration (minutes)</label>
+                <input
+                  type="number"
+                  name="duration"
+                  value={formData.duration}
+                  onChange={onChange}
+                  min="1"
+                  className={inputClass}
+                  placeholder="60"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Description</label>
+              <input
+                type="text"
+                name="description"
+                value={formData.description}
+                onChange={onChange}
+                className={inputClass}
+                placeholder="Optional notes"
+              />
+            </div>
+
+            <div className="border border-gray-200 rounded-md p-4 space-y-3">
+              <h4 className="text-sm font-medium text-gray-700">Planned exercises</h4>
+              {formData.exercises.map((exercise, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                  <input
+                    type="text"
+                    value={exercise.name}
+                    onChange={(e) => updateExercise(index, { name: e.target.value, exercise: undefined })}
+                    required
+                    className="col-span-5 px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+                    placeholder="Exercise"
+                  />
+                  <input
+                    type="number"
+                    value={exercise.targetSets}
+                    onChange={(e) => updateExercise(index, { targetSets: e.target.value })}
+                    required
+                    min="1"
+                    className="col-span-2 px-2 py-2 border border-gray-300 rounded-md sm:text-sm"
+                    placeholder="Sets"
+                    title="Target sets"
+                  />
+                  <input
+                    type="number"
+                    value={exercise.targetReps}
+                    onChange={(e) => updateExercise(index, { targetReps: e.target.value })}
+                    required
+                    min="1"
+                    className="col-span-2 px-2 py-2 border border-gray-300 rounded-md sm:text-sm"
+                    placeholder="Reps"
+                    title="Target reps"
+                  />
+                  <input
+                    type="number"
+                    value={exercise.targetLoad}
+                    onChange={(e) => updateExercise(index, { targetLoad: e.target.value })}
+                    min="0"
+                    step="0.5"
+                    className="col-span-2 px-2 py-2 border border-gray-300 rounded-md sm:text-sm"
+                    placeholder="kg"
+                    title="Target load (kg)"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeExercise(index)}
+                    className="col-span-1 text-red-600 hover:text-red-900 text-sm"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={addExercise}
+                className="text-blue-600 hover:text-blue-900 text-sm font-medium"
+              >
+                + Add exercise
+              </button>
+            </div>
+
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition-colors"
+            >
+              {editingId ? 'Update Template' : 'Save Template'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        {templates.length === 0 ? (
+          <div className="px-4 py-12 text-center">
+            <p className="text-gray-500">
+              No templates yet. Create one here, or use "Save as Template" on a logged workout.
+            </p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {templates.map(template => (
+              <li key={template._id} className="px-4 py-4 sm:px-6">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-lg font-medium text-blue-600">{template.name}</p>
+                    {template.description && (
+                      <p className="text-sm text-gray-500">{template.description}</p>
+                    )}
+                    <ul className="mt-2 text-sm text-gray-600 space-y-1">
+                      {template.exercises.map((exercise, index) => (
+                        <li key={index}>
+                          {exercise.name}: {exercise.targetSets} × {exercise.targetReps}
+                          {exercise.targetLoad ? ` @ ${exercise.targetLoad} kg` : ''}
+                        </li>
+                      ))}
+                    </ul>
+                    <p className="mt-2 text-xs text-gray-400">
+                      {template.duration ? `${template.duration} min · ` : ''}
+                      Used {template.timesUsed} time{template.timesUsed !== 1 ? 's' : ''}
+                    </p>
+                  </div>
+                  <div className="ml-4 flex-shrink-0 flex space-x-2">
+                    <button
+                      onClick={() => handleStart(template._id)}
+                      className="bg-green-600 hover:bg-green-700 text-white text-sm font-medium py-1 px-3 rounded-md transition-colors"
+                    >
+                      Start
+                    </button>
+                    <button
+                      onClick={() => handleStart(template._id, true)}
+                      className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-1 px-3 rounded-md transition-colors"
+                    >
+                      Start Live
+                    </button>
+                    <button
+                      onClick={() => openEditor(template)}
+                      className="text-blue-600 hover:text-blue-900 text-sm font-medium"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(template._id)}
+                      className="text-red-600 hover:text-red-900 text-sm font-medium"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Templates;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { analyticsAPI } from '../services/api';
+
+// Warnings for an acute:chronic ratio outside the safe band
+const STATUS_WARNINGS = {
+  spike: {
+    className: 'bg-red-100 border border-red-400 text-red-700',
+    text: 'Your load this week is far above what you are used to. A spike like this raises injury risk — consider an easier few days.'
+  },
+  high: {
+    className: 'bg-orange-100 border border-orange-400 text-orange-700',
+    text: 'Your load this week is climbing faster than your recent training. Build up gradually to stay in the safe range.'
+  },
+  low: {
+    className: 'bg-yellow-100 border border-yellow-400 text-yellow-800',
+    text: 'Your load this week is well below your recent training. Fine for a recovery week; otherwise fitness may start to slip.'
+  }
+};
+
+const formatWeek = (dateString) => new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Session-RPE training load: this week's load, monotony, strain and acute:chronic ratio
+const TrainingLoad = () => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchLoad = async () => {
+      try {
+        const response = await analyticsAPI.getTrainingLoad(8);
+        setData(response.data);
+      } catch (error) {
+        setError('Failed to load training load');
+      }
+    };
+
+    fetchLoad();
+  }, []);
+
+  if (error) {
+    return <p className="text-sm text-red-600 mb-8">{error}</p>;
+  }
+
+  // Nothing to show until a workout has been rated
+  if (!data || !data.weeks.some(week => week.load > 0)) return null;
+
+  const warning = STATUS_WARNINGS[data.status];
+  const chartData = data.weeks.map(week => ({ week: formatWeek(week.weekStart), load: week.load }));
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Training Load</h3>
+
+      {warning && (
+        <div className={`${warning.className} px-4 py-3 rounded mb-4 text-sm`}>
+          <span className="font-semibold">Acute:chronic ratio {data.ratio}</span> (safe range {data.safeRange.min}–{data.safeRange.max}). {warning.text}
+        </div>
+      )}
+
+      <dl className="grid grid-cols-2 gap-4 sm:grid-cols-4 mb-4">
+        <div>
+          <dt className="text-xs text-gray-500">Load (last 7 days)</dt>
+          <dd className="text-lg font-semibold text-gray-900">{data.load} AU</dd>
+        </div>
+        <div>
+          <dt className="text-xs text-gray-500">Acute:chronic ratio</dt>
+          <dd className="text-lg font-semibold text-gray-900">
+            {data.ratio ?? '-'}
+          </dd>
+        </div>
+        <div>
+          <dt className="text-xs text-gray-500">Monotony</dt>
+          <dd className="text-lg font-semibold text-gray-900">{data.monotony ?? '-'}</dd>
+        </div>
+        <div>
+          <dt className="text-xs text-gray-500">Strain</dt>
+          <dd className="text-lg font-semibold text-gray-900">{data.strain ?? '-'}</dd>
+        </div>
+      </dl>
+
+      <ResponsiveContainer width="100%" height={200}>
+        <BarChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="week" />
+          <YAxis />
+          <Tooltip formatter={(value) => [`${value} AU`, 'Weekly load']} />
+          <Bar dataKey="load" fill="#2563eb" />
+        </BarChart>
+      </ResponsiveContainer>
+
+      <p className="mt-2 text-xs text-gray-500">
+        Load is RPE × minutes for each rated session.
+        {data.status === 'insufficient_data' && ' The acute:chronic ratio needs four weeks of rated workouts.'}
+        {data.unratedThisWeek > 0 && ` ${data.unratedThisWeek} workout${data.unratedThisWeek !== 1 ? 's' : ''} in the last 7 days had no RPE and aren't counted.`}
+      </p>
+    </div>
+  );
+};
+
+export default TrainingLoad;
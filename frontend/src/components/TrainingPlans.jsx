@@ -0,0 +1,419 @@
+import React, { useState, useEffect } from 'react';
+import { plansAPI, templatesAPI } from '../services/api';
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const emptySession = () => ({ name: '', weekday: 1, type: 'strength', template: '', duration: '' });
+
+const emptyForm = () => ({
+  name: '',
+  description: '',
+  startDate: new Date().toISOString().split('T')[0],
+  weeks: 8,
+  deloadEvery: 4,
+  volumeFactor: 0.6,
+  loadFactor: 0.9,
+  sessions: [emptySession()]
+});
+
+// Plan dates are whole UTC days
+const formatDay = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const TrainingPlans = () => {
+  const [plans, setPlans] = useState([]);
+  const [statuses, setStatuses] = useState({});
+  const [templates, setTemplates] = useState([]);
+  const [formData, setFormData] = useState(emptyForm());
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchStatuses = async (planList) => {
+    const results = await Promise.all(planList.map(plan => plansAPI.getAdherence(plan._id)));
+    setStatuses(Object.fromEntries(planList.map((plan, index) => [plan._id, results[index].data])));
+  };
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [plansRes, templatesRes] = await Promise.all([
+          plansAPI.getPlans(),
+          templatesAPI.getTemplates()
+        ]);
+        setPlans(plansRes.data);
+        setTemplates(templatesRes.data);
+        await fetchStatuses(plansRes.data);
+      } catch (error) {
+        setError('Failed to fetch training plans');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const onChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const updateSession = (index, changes) => {
+    setFormData({
+      ...formData,
+      sessions: formData.sessions.map((session, i) => (i === index ? { ...session, ...changes } : session))
+    });
+  };
+
+  const chooseTemplate = (index, templateId) => {
+    const template = templates.find(t => t._id === templateId);
+    updateSession(index, {
+      template: templateId,
+      ...(template && { type: template.type, name: formData.sessions[index].name || template.name })
+    });
+  };
+
+  const openEditor = (plan = null) => {
+    setEditingId(plan ? plan._id : null);
+    setFormData(plan
+      ? {
+          name: plan.name,
+          description: plan.description || '',
+          startDate: plan.startDate.split('T')[0],
+          weeks: plan.weeks,
+          deloadEvery: plan.deload?.everyNWeeks || '',
+          volumeFactor: plan.deload?.volumeFactor ?? 0.6,
+          loadFactor: plan.deload?.loadFactor ?? 0.9,
+          sessions: plan.sessions.map(session => ({
+            ...session,
+            template: session.template || '',
+            duration: session.duration || ''
+          }))
+        }
+      : emptyForm());
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const planData = {
+      name: formData.name,
+      description: formData.description,
+      startDate: formData.startDate,
+      weeks: parseInt(formData.weeks),
+      deload: {
+        everyNWeeks: formData.deloadEvery ? parseInt(formData.deloadEvery) : null,
+        volumeFactor: parseFloat(formData.volumeFactor),
+        loadFactor: parseFloat(formData.loadFactor)
+      },
+      sessions: formData.sessions.map(session => ({
+        _id: session._id,
+        name: session.name,
+        weekday: parseInt(session.weekday),
+        type: session.type,
+        template: session.template || undefined,
+        duration: session.duration ? parseInt(session.duration) : undefined,
+        // Changing the template re-copies its exercises
+        exercises: session.template && session.template !== editingTemplateOf(session) ? [] : session.exercises
+      }))
+    };
+
+    try {
+      let saved;
+      if (editingId) {
+        saved = (await plansAPI.updatePlan(editingId, planData)).data;
+        setPlans(plans.map(p => (p._id === editingId ? saved : p)));
+      } else {
+        saved = (await plansAPI.createPlan(planData)).data;
+        setPlans([saved, ...plans]);
+      }
+      const status = await plansAPI.getAdherence(saved._id);
+      setStatuses({ ...statuses, [saved._id]: status.data });
+      setShowForm(false);
+      setEditingId(null);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save plan');
+    }
+  };
+
+  // Template a session had before editing, so a new choice can be detected
+  const editingTemplateOf = (session) => {
+    const plan = plans.find(p => p._id === editingId);
+    const original = plan?.sessions.find(s => s._id === session._id);
+    return original?.template || '';
+  };
+
+  const toggleActive = async (plan) => {
+    try {
+      const response = await plansAPI.updatePlan(plan._id, { active: !plan.active });
+      setPlans(plans.map(p => (p._id === plan._id ? response.data : p)));
+    } catch (error) {
+      setError('Failed to update plan');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (window.confirm('Delete this plan? Logged workouts are kept.')) {
+      try {
+        await plansAPI.deletePlan(id);
+        setPlans(plans.filter(p => p._id !== id));
+        setError('');
+      } catch (error) {
+        setError('Failed to delete plan');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        <div className="text-center">Loading training plans...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Training Plans</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Schedule multi-week programs and track how closely you follow them
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="mb-6">
+        <button
+          onClick={() => (showForm ? setShowForm(false) : openEditor())}
+          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md transition-colors"
+        >
+          {showForm ? 'Cancel' : 'New Plan'}
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-white shadow rounded-lg p-6 mb-8">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">{editingId ? 'Edit Plan' : 'New Plan'}</h3>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Name</label>
+                <input type="text" name="name" value={formData.name} onChange={onChange} required className={inputClass} placeholder="e.g. 8-week strength block" />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Start date</label>
+                <input type="date" name="startDate" value={formData.startDate} onChange={onChange} required className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Weeks</label>
+                <input type="number" name="weeks" value={formData.weeks} onChange={onChange} required min="1" max="52" className={inputClass} />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Description</label>
+              <input type="text" name="description" value={formData.description} onChange={onChange} className={inputClass} placeholder="Optional notes" />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Deload every N weeks</label>
+                <input type="number" name="deloadEvery" value={formData.deloadEvery} onChange={onChange} min="2" className={inputClass} placeholder="No deloads" />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Deload volume (sets ×)</label>
+                <input type="number" name="volumeFactor" value={formData.volumeFactor} onChange={onChange} min="0.1" max="1" step="0.05" className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Deload load (kg ×)</label>
+                <input type="number" name="loadFactor" value={formData.loadFactor} onChange={onChange} min="0.1" max="1" step="0.05" className={inputClass} />
+              </div>
+            </div>
+
+            <div className="border border-gray-200 rounded-md p-4 space-y-3">
+              <h4 className="text-sm font-medium text-gray-700">Weekly sessions</h4>
+              {formData.sessions.map((session, index) => (
+                <div key={session._id || index} className="grid grid-cols-12 gap-2 items-center">
+                  <input
+                    type="text"
+                    value={session.name}
+                    onChange={(e) => updateSession(index, { name: e.target.value })}
+                    required
+                    className="col-span-3 px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+                    placeholder="Session name"
+                  />
+                  <select
+                    value={session.weekday}
+                    onChange={(e) => updateSession(index, { weekday: e.target.value })}
+                    className="col-span-2 px-2 py-2 border border-gray-300 rounded-md sm:text-sm"
+                  >
+                    {WEEKDAYS.map((day, value) => (
+                      <option key={day} value={value}>{day}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={session.template}
+                    onChange={(e) => chooseTemplate(index, e.target.value)}
+                    className="col-span-3 px-2 py-2 border border-gray-300 rounded-md sm:text-sm"
+                  >
+                    <option value="">No template</option>
+                    {templates.map(template => (
+                      <option key={template._id} value={template._id}>{template.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={session.type}
+                    onChange={(e) => updateSession(index, { type: e.target.value })}
+                    required
+                    className="col-span-2 px-2 py-2 border border-gray-300 rounded-md sm:text-sm"
+                    placeholder="Type"
+                    title="Workout type, e.g. strength or running"
+                  />
+                  <input
+                    type="number"
+                    value={session.duration}
+                    onChange={(e) => updateSession(index, { duration: e.target.value })}
+                    min="1"
+                    className="col-span-1 px-2 py-2 border border-gray-300 rounded-md sm:text-sm"
+                    placeholder="min"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setFormData({ ...formData, sessions: formData.sessions.filter((_, i) => i !== index) })}
+                    className="col-span-1 text-red-600 hover:text-red-900 text-sm"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setFormData({ ...formData, sessions: [...formData.sessions, emptySession()] })}
+                className="text-blue-600 hover:text-blue-900 text-sm font-medium"
+              >
+                + Add session
+              </button>
+            </div>
+
+            <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition-colors">
+              {editingId ? 'Update Plan' : 'Save Plan'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {plans.length === 0 ? (
+          <div className="bg-white shadow rounded-lg px-4 py-12 text-center">
+            <p className="text-gray-500">No training plans yet.</p>
+          </div>
+        ) : plans.map(plan => {
+          const status = statuses[plan._id];
+          return (
+            <div key={plan._id} className="bg-white shadow rounded-lg p-6">
+              <div className="flex items-start justify-between">
+                <div>
+                  <p className="text-lg font-medium text-blue-600">
+                    {plan.name}
+                    {!plan.active && <span className="ml-2 text-xs text-gray-500">(paused)</span>}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {formatDay(plan.startDate)} – {formatDay(new Date(new Date(plan.endDate).getTime() - 86400000))} · {plan.weeks} weeks ·{' '}
+                    {plan.sessions.map(session => `${session.name} (${WEEKDAYS[session.weekday].slice(0, 3)})`).join(', ')}
+                  </p>
+                </div>
+                <div className="ml-4 flex-shrink-0 flex space-x-2">
+                  <button onClick={() => setExpandedId(expandedId === plan._id ? null : plan._id)} className="text-gray-600 hover:text-gray-900 text-sm font-medium">
+                    {expandedId === plan._id ? 'Hide' : 'Details'}
+                  </button>
+                  <button onClick={() => toggleActive(plan)} className="text-gray-600 hover:text-gray-900 text-sm font-medium">
+                    {plan.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button onClick={() => openEditor(plan)} className="text-blue-600 hover:text-blue-900 text-sm font-medium">
+                    Edit
+                  </button>
+                  <button onClick={() => handleDelete(plan._id)} className="text-red-600 hover:text-red-900 text-sm font-medium">
+                    Delete
+                  </button>
+                </div>
+              </div>
+
+              {status && (
+                <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+                  <div>
+                    <p className="text-2xl font-bold text-purple-600">{status.adherence === null ? '–' : `${status.adherence}%`}</p>
+                    <p className="text-xs text-gray-500">adherence</p>
+                  </div>
+                  <div>
+                    <p className="text-2xl font-bold text-green-600">{status.completed}</p>
+                    <p className="text-xs text-gray-500">completed</p>
+                  </div>
+                  <div>
+                    <p className="text-2xl font-bold text-red-600">{status.missed}</p>
+                    <p className="text-xs text-gray-500">missed</p>
+                  </div>
+                  <div>
+                    <p className="text-2xl font-bold text-gray-700">{status.scheduled}</p>
+                    <p className="text-xs text-gray-500">scheduled</p>
+                  </div>
+                </div>
+              )}
+
+              {expandedId === plan._id && status && (
+                <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-700 mb-2">Missed sessions</h4>
+                    {status.missedSessions.length === 0 ? (
+                      <p className="text-sm text-gray-500">None so far.</p>
+                    ) : (
+                      <ul className="text-sm text-gray-600 space-y-1">
+                        {status.missedSessions.map(session => (
+                          <li key={`${session.session}-${session.date}`}>
+                            {formatDay(session.date)} – {session.sessionName} (week {session.week})
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-700 mb-2">Coming up</h4>
+                    {status.upcoming.length === 0 ? (
+                      <p className="text-sm text-gray-500">Nothing left in this plan.</p>
+                    ) : (
+                      <ul className="text-sm text-gray-600 space-y-1">
+                        {status.upcoming.map(session => (
+                          <li key={`${session.session}-${session.date}`}>
+                            {formatDay(session.date)} – {session.sessionName}
+                            {session.isDeload && <span className="ml-1 text-yellow-700">(deload)</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TrainingPlans;
@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+
+const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const TwoFactorSettings = () => {
+  const [enabled, setEnabled] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await authAPI.getProfile();
+        setEnabled(Boolean(response.data.twoFactor?.enabled));
+      } catch (error) {
+        setError('Failed to load two-factor status');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStatus();
+  }, []);
+
+  const run = async (action) => {
+    setWorking(true);
+    setError('');
+    try {
+      await action();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Something went wrong');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    const response = await authAPI.setupTwoFactor();
+    setSetup(response.data);
+    setRecoveryCodes([]);
+  });
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authAPI.enableTwoFactor(code);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setEnabled(true);
+      setSetup(null);
+      setCode('');
+    });
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await authAPI.disableTwoFactor({ password, code });
+      setEnabled(false);
+      setRecoveryCodes([]);
+      setPassword('');
+      setCode('');
+    });
+  };
+
+  const regenerateCodes = () => run(async () => {
+    const response = await authAPI.regenerateRecoveryCodes(code);
+    setRecoveryCodes(response.data.recoveryCodes);
+    setCode('');
+  });
+
+  if (loading) {
+    return <div className="bg-white shadow rounded-lg p-6">Loading two-factor settings...</div>;
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Two-factor authentication</h3>
+        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+          enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+        }`}>
+          {enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-300 rounded p-4">
+          <p className="text-sm text-yellow-800 mb-2">
+            Save these recovery codes somewhere safe. Each can be used once if you lose your authenticator.
+          </p>
+          <ul className="grid grid-cols-2 gap-1 font-mono text-sm">
+            {recoveryCodes.map(recoveryCode => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!enabled && !setup && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Protect your account with a code from an authenticator app when you sign in.
+          </p>
+          <button
+            onClick={startSetup}
+            disabled={working}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition-colors"
+          >
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+
+      {!enabled && setup && (
+        <form onSubmit={confirmSetup} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, then enter the code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48" />
+          <p className="text-xs text-gray-500">
+            Can't scan? Enter this key manually: <span className="font-mono">{setup.secret}</span>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            className={inputClass}
+            placeholder="6-digit code"
+          />
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={working}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition-colors"
+            >
+              Turn on
+            </button>
+            <button
+              type="button"
+              onClick={() => setSetup(null)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-700 font-medium py-2 px-4 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {enabled && (
+        <form onSubmit={disable} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Enter a current code to turn two-factor authentication off or get new recovery codes.
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            className={inputClass}
+            placeholder="6-digit code"
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClass}
+            placeholder="Password (needed to turn off)"
+          />
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={working || !password}
+              className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition-colors"
+            >
+              Turn off
+            </button>
+            <button
+              type="button"
+              onClick={regenerateCodes}
+              disabled={working || !code}
+              className="bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition-colors"
+            >
+              New recovery codes
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { plansAPI } from '../services/api';
+
+const STATUS_STYLES = {
+  completed: 'bg-green-100 text-green-800',
+  today: 'bg-blue-100 text-blue-800',
+  upcoming: 'bg-gray-100 text-gray-700'
+};
+
+// Plan dates are whole UTC days
+const formatDay = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const UpcomingWorkouts = () => {
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchUpcoming = async () => {
+      try {
+        const response = await plansAPI.getUpcoming(7);
+        setSessions(response.data);
+      } catch (error) {
+        setError('Failed to load upcoming workouts');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUpcoming();
+  }, []);
+
+  const handleStart = async (session) => {
+    try {
+      const response = await plansAPI.startSession(session.plan, session.session, session.date);
+      navigate('/workouts', { state: { draft: response.data } });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to start workout');
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Upcoming Workouts</h3>
+        <Link to="/plans" className="text-sm text-blue-600 hover:text-blue-500">
+          Training plans
+        </Link>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {loading ? (
+        <p className="text-gray-500 text-sm">Loading schedule...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-gray-500 text-sm">
+          Nothing scheduled this week. <Link to="/plans" className="text-blue-600 hover:text-blue-500">Create a training plan</Link> to see your sessions here.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map(session => (
+            <li key={`${session.plan}-${session.session}-${session.date}`} className="py-3 flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {session.sessionName}
+                  {session.isDeload && (
+                    <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                      Deload
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatDay(session.date)} · {session.planName} · week {session.week}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_STYLES[session.status]}`}>
+                  {session.status}
+                </span>
+                {session.status !== 'completed' && (
+                  <button
+                    onClick={() => handleStart(session)}
+                    className="bg-green-600 hover:bg-green-700 text-white text-xs font-medium py-1 px-2 rounded-md transition-colors"
+                  >
+                    Start
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UpcomingWorkouts;
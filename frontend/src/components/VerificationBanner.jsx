@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+
+const VerificationBanner = () => {
+  const [status, setStatus] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const resend = async () => {
+    setSending(true);
+    try {
+      const response = await authAPI.resendVerification();
+      setStatus(response.data.message);
+    } catch (error) {
+      setStatus(error.response?.data?.message || 'Could not send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-300 text-yellow-800">
+      <div className="container mx-auto px-4 py-2 flex justify-between items-center text-sm">
+        <span>
+          {status || 'Please verify your email address. Unverified accounts have limited access.'}
+        </span>
+        <button
+          onClick={resend}
+          disabled={sending}
+          className="font-medium underline hover:text-yellow-900 disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerificationBanner;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const VerifyEmail = ({ user, setUser }) => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'missing');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail({ token });
+        setStatus('verified');
+        // Keep the cached user in sync so the reminder banner disappears
+        // (and a confirmed email change shows the new address)
+        setUser(current => {
+          if (!current) return current;
+          const updatedUser = { ...current, emailVerified: true, email: response.data.email || current.email };
+          localStorage.setItem('user', JSON.stringify(updatedUser));
+          return updatedUser;
+        });
+      } catch (error) {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Verification failed');
+      }
+    };
+
+    verify();
+  }, [token, setUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 text-center">
+        <h2 className="text-3xl font-extrabold text-gray-900">Email verification</h2>
+
+        {status === 'verifying' && (
+          <p className="text-gray-600">Verifying your email...</p>
+        )}
+
+        {status === 'verified' && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+            Your email has been verified.
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+            {message}
+          </div>
+        )}
+
+        {status === 'missing' && (
+          <p className="text-gray-600">This verification link is missing its token.</p>
+        )}
+
+        <Link to={user ? '/dashboard' : '/login'} className="text-blue-600 hover:text-blue-500">
+          {user ? 'Go to dashboard' : 'Go to sign in'}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { exercisesAPI } from '../services/api';
+
+export const EMPTY_FILTERS = {
+  from: '',
+  to: '',
+  type: '',
+  tag: '',
+  minDuration: '',
+  maxDuration: '',
+  minCalories: '',
+  maxCalories: '',
+  q: '',
+  sort: 'date',
+  order: 'desc'
+};
+
+const SORT_OPTIONS = [
+  { value: 'date:desc', label: 'Newest first' },
+  { value: 'date:asc', label: 'Oldest first' },
+  { value: 'calories:desc', label: 'Most calories' },
+  { value: 'calories:asc', label: 'Fewest calories' },
+  { value: 'duration:desc', label: 'Longest' },
+  { value: 'duration:asc', label: 'Shortest' }
+];
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+// Filter and sort controls for the workout history. Changes apply on submit,
+// except the sort order, which applies straight away.
+const WorkoutFilters = ({ filters, onChange }) => {
+  const [draft, setDraft] = useState(filters);
+  const [types, setTypes] = useState([]);
+
+  useEffect(() => {
+    setDraft(filters);
+  }, [filters]);
+
+  useEffect(() => {
+    const fetchTypes = async () => {
+      try {
+        const response = await exercisesAPI.getExercises({ limit: 200 });
+        setTypes(response.data);
+      } catch (error) {
+        console.error('Failed to fetch workout types:', error);
+      }
+    };
+
+    fetchTypes();
+  }, []);
+
+  const handleChange = (e) => {
+    setDraft({ ...draft, [e.target.name]: e.target.value });
+  };
+
+  const handleSort = (e) => {
+    const [sort, order] = e.target.value.split(':');
+    onChange({ ...draft, sort, order });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onChange(draft);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-6 mb-8 space-y-4">
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <div className="sm:col-span-2">
+          <label htmlFor="workoutSearch" className="block text-sm font-medium text-gray-700">Search notes</label>
+          <input id="workoutSearch" type="text" name="q" value={draft.q} onChange={handleChange} className={inputClass} placeholder="e.g. felt strong" />
+        </div>
+        <div>
+          <label htmlFor="workoutType" className="block text-sm font-medium text-gray-700">Type</label>
+          <select id="workoutType" name="type" value={draft.type} onChange={handleChange} className={inputClass}>
+            <option value="">All types</option>
+            {types.map(exercise => (
+              <option key={exercise._id} value={exercise.slug}>{exercise.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="workoutTag" className="block text-sm font-medium text-gray-700">Tag</label>
+          <input id="workoutTag" type="text" name="tag" value={draft.tag} onChange={handleChange} className={inputClass} placeholder="e.g. race" />
+        </div>
+        <div>
+          <label htmlFor="workoutSort" className="block text-sm font-medium text-gray-700">Sort</label>
+          <select id="workoutSort" value={`${draft.sort}:${draft.order}`} onChange={handleSort} className={inputClass}>
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="workoutFrom" className="block text-sm font-medium text-gray-700">From</label>
+          <input id="workoutFrom" type="date" name="from" value={draft.from} onChange={handleChange} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="workoutTo" className="block text-sm font-medium text-gray-700">To</label>
+          <input id="workoutTo" type="date" name="to" value={draft.to} onChange={handleChange} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Duration (minutes)</label>
+          <div className="flex space-x-2">
+            <input type="number" name="minDuration" value={draft.minDuration} onChange={handleChange} min="0" className={inputClass} placeholder="Min" />
+            <input type="number" name="maxDuration" value={draft.maxDuration} onChange={handleChange} min="0" className={inputClass} placeholder="Max" />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Calories</label>
+          <div className="flex space-x-2">
+            <input type="number" name="minCalories" value={draft.minCalories} onChange={handleChange} min="0" className={inputClass} placeholder="Min" />
+            <input type="number" name="maxCalories" value={draft.maxCalories} onChange={handleChange} min="0" className={inputClass} placeholder="Max" />
+          </div>
+        </div>
+      </div>
+
+      <div className="flex space-x-3">
+        <button
+          type="submit"
+          className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition-colors"
+        >
+          Apply Filters
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange(EMPTY_FILTERS)}
+          className="bg-gray-300 hover:bg-gray-400 text-gray-700 font-medium py-2 px-4 rounded-md transition-colors"
+        >
+          Reset
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default WorkoutFilters;
@@ -1,37 +1,131 @@
-import React, { useState, useEffect } from 'react';
-import { progressAPI } from '../services/api';
-
-// MET values for different workout types
-const MET_VALUES = {
-  running: 9.8,
-  walking: 3.8,
-  cycling: 7.5,
-  pushups: 8.0
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { progressAPI, exercisesAPI, recommendationsAPI } from '../services/api';
+import { distanceUnitFor, toDisplayDistance } from '../utils/units';
+
+const CATEGORY_LABELS = {
+  cardio: 'Cardio',
+  strength: 'Strength',
+  bodyweight: 'Bodyweight',
+  flexibility: 'Flexibility',
+  sport: 'Sport'
 };
 
-const WORKOUT_OPTIONS = [
-  { value: '', label: 'Select workout type' },
-  { value: 'running', label: 'Running' },
-  { value: 'walking', label: 'Walking' },
-  { value: 'cycling', label: 'Cycling' },
-  { value: 'pushups', label: 'Push-ups' },
-  { value: 'other', label: 'Other (manual calories)' }
+const SET_TYPE_OPTIONS = [
+  { value: 'warmup', label: 'Warm-up' },
+  { value: 'working', label: 'Working' },
+  { value: 'dropset', label: 'Drop set' }
+];
+
+// Borg CR-10 session RPE: how hard the whole session felt
+const RPE_OPTIONS = [
+  { value: 1, label: '1 - Very easy' },
+  { value: 2, label: '2 - Easy' },
+  { value: 3, label: '3 - Moderate' },
+  { value: 4, label: '4 - Somewhat hard' },
+  { value: 5, label: '5 - Hard' },
+  { value: 6, label: '6 - Hard' },
+  { value: 7, label: '7 - Very hard' },
+  { value: 8, label: '8 - Very hard' },
+  { value: 9, label: '9 - Very, very hard' },
+  { value: 10, label: '10 - Maximal' }
 ];
 
-const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
+const SCHEME_LABELS = {
+  linear: 'linear progression',
+  double: 'double progression',
+  percentage: '% of 1RM'
+};
+
+const recommendationKey = (name) => name.trim().toLowerCase();
+
+// Suggested load and reps for an exercise's next session, with a button to fill in the sets
+const RecommendationHint = ({ recommendation, onApply }) => (
+  <div className={`flex items-start justify-between rounded-md px-3 py-2 text-sm ${
+    recommendation.deload ? 'bg-orange-50 text-orange-800' : 'bg-blue-50 text-blue-800'
+  }`}>
+    <div>
+      <p className="font-medium">
+        {recommendation.deload ? 'Deload: ' : 'Next: '}
+        {recommendation.sets} × {recommendation.reps}
+        {recommendation.load > 0 ? ` @ ${recommendation.load} kg` : ' (bodyweight)'}
+        <span className="font-normal text-xs"> · {SCHEME_LABELS[recommendation.scheme]}</span>
+      </p>
+      <p className="text-xs">{recommendation.reason}</p>
+    </div>
+    <button
+      type="button"
+      onClick={onApply}
+      className="ml-2 shrink-0 text-blue-600 hover:text-blue-900 text-sm font-medium"
+    >
+      Use
+    </button>
+  </div>
+);
+
+const emptySet = (previous) => ({
+  reps: previous?.reps ?? '',
+  load: previous?.load ?? '',
+  setType: previous?.setType === 'warmup' ? 'working' : (previous?.setType || 'working')
+});
+
+const emptyExercise = () => ({ name: '', sets: [emptySet()] });
+
+// Same rule as the server: reps x load over every set except warm-ups
+const calculateVolume = (exercises) => exercises.reduce((total, exercise) => (
+  total + exercise.sets
+    .filter(set => set.setType !== 'warmup')
+    .reduce((sum, set) => sum + (parseFloat(set.reps) || 0) * (parseFloat(set.load) || 0), 0)
+), 0);
+
+// Stored distance (km) as shown in the form, in the user's unit
+const initialDistance = (workout, units) => (
+  workout?.distance ? String(Math.round(toDisplayDistance(workout.distance, units) * 100) / 100) : ''
+);
+
+// `workout` edits an existing session; `draft` pre-fills a new one (e.g. started from a template).
+// `units` is the user's preference, used for the distance field.
+const WorkoutForm = ({ onSubmit, workout = null, draft = null, onCancel, units = 'metric' }) => {
+  const initial = workout || draft;
   const [formData, setFormData] = useState({
-    type: workout?.type || '',
-    duration: workout?.duration || '',
+    type: initial?.type || '',
+    duration: initial?.duration || '',
+    distance: initialDistance(workout, units),
+    distanceUnit: distanceUnitFor(units),
     calories: workout?.calories || '',
-    date: workout?.date ? new Date(workout.date).toISOString().split('T')[0] : new Date().toISOString().split('T')[0],
-    customType: workout?.type && !['running', 'walking', 'cycling', 'pushups'].includes(workout.type) ? workout.type : ''
+    avgHeartRate: workout?.heartRate?.avg || '',
+    maxHeartRate: workout?.heartRate?.max || '',
+    rpe: workout?.rpe || '',
+    tags: workout?.tags?.join(', ') || '',
+    notes: workout?.notes || '',
+    date: (workout?.date || draft?.plannedSession?.date)
+      ? new Date(workout?.date || draft.plannedSession.date).toISOString().split('T')[0]
+      : new Date().toISOString().split('T')[0],
+    customType: ''
   });
 
+  const [exercises, setExercises] = useState(
+    initial?.exercises?.length
+      ? [...initial.exercises]
+          .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+          .map(exercise => ({
+            name: exercise.name,
+            exercise: exercise.exercise,
+            sets: exercise.sets.map(set => ({ ...set }))
+          }))
+      : []
+  );
+
+  // Next-session suggestions by exercise name; only offered when logging a new workout
+  const [recommendations, setRecommendations] = useState({});
+  // Names already asked for, so a suggestion is fetched once even while it is in flight
+  const requestedRef = useRef(new Set());
+  const [library, setLibrary] = useState([]);
+  const [loadingLibrary, setLoadingLibrary] = useState(true);
   const [showWeightAlert, setShowWeightAlert] = useState(false);
   const [latestWeight, setLatestWeight] = useState(null);
   const [loadingWeight, setLoadingWeight] = useState(false);
 
-  const { type, duration, calories, date, customType } = formData;
+  const { type, duration, distance, distanceUnit, calories, avgHeartRate, maxHeartRate, rpe, tags, notes, date, customType } = formData;
 
   // Fetch latest weight when component mounts or when we need auto-calculation
   useEffect(() => {
@@ -60,11 +154,102 @@ const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
     }
   }, [workout]);
 
+  // Load the exercise library (plus the user's custom exercises) for the pickers
+  useEffect(() => {
+    const initialType = (workout || draft)?.type;
+
+    const fetchLibrary = async () => {
+      try {
+        const response = await exercisesAPI.getExercises({ limit: 200 });
+        setLibrary(response.data);
+
+        // Types that aren't in the library were entered by hand
+        if (initialType && !response.data.some(exercise => exercise.slug === initialType)) {
+          setFormData(current => ({ ...current, type: 'other', customType: initialType }));
+        }
+      } catch (error) {
+        console.error('Failed to fetch exercise library:', error);
+      } finally {
+        setLoadingLibrary(false);
+      }
+    };
+
+    fetchLibrary();
+  }, [workout, draft]);
+
   const onChange = (e) => {
     const { name, value } = e.target;
     setFormData({ ...formData, [name]: value });
   };
 
+  const loadRecommendation = useCallback(async (exercise) => {
+    const key = recommendationKey(exercise.name || '');
+    if (workout || !key || requestedRef.current.has(key)) return;
+    requestedRef.current.add(key);
+
+    try {
+      const response = await recommendationsAPI.getRecommendation(exercise.name.trim(), { exerciseId: exercise.exercise });
+      setRecommendations(current => ({ ...current, [key]: response.data.recommendation }));
+    } catch (error) {
+      // Allow another try the next time the exercise is picked
+      requestedRef.current.delete(key);
+      console.error('Failed to fetch recommendation:', error);
+    }
+  }, [workout]);
+
+  // Suggestions for exercises a template or plan session starts with
+  useEffect(() => {
+    (draft?.exercises || []).forEach(loadRecommendation);
+  }, [draft, loadRecommendation]);
+
+  // Link an exercise row to its library entry when the name matches one
+  const renameExercise = (index, name) => {
+    const match = library.find(entry => entry.name.toLowerCase() === name.trim().toLowerCase());
+    updateExercise(index, { name, exercise: match ? match._id : undefined });
+    // Picking a library exercise counts as starting it
+    if (match) loadRecommendation({ name, exercise: match._id });
+  };
+
+  const applyRecommendation = (index, recommendation) => {
+    updateExercise(index, {
+      sets: Array.from({ length: recommendation.sets }, () => ({
+        reps: recommendation.reps,
+        load: recommendation.load,
+        setType: 'working'
+      }))
+    });
+  };
+
+  const updateExercise = (index, changes) => {
+    setExercises(exercises.map((exercise, i) => (i === index ? { ...exercise, ...changes } : exercise)));
+  };
+
+  const addExercise = () => setExercises([...exercises, emptyExercise()]);
+
+  const removeExercise = (index) => setExercises(exercises.filter((_, i) => i !== index));
+
+  const moveExercise = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= exercises.length) return;
+    const reordered = [...exercises];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setExercises(reordered);
+  };
+
+  const updateSet = (exerciseIndex, setIndex, changes) => {
+    const sets = exercises[exerciseIndex].sets.map((set, i) => (i === setIndex ? { ...set, ...changes } : set));
+    updateExercise(exerciseIndex, { sets });
+  };
+
+  const addSet = (exerciseIndex) => {
+    const sets = exercises[exerciseIndex].sets;
+    updateExercise(exerciseIndex, { sets: [...sets, emptySet(sets[sets.length - 1])] });
+  };
+
+  const removeSet = (exerciseIndex, setIndex) => {
+    updateExercise(exerciseIndex, { sets: exercises[exerciseIndex].sets.filter((_, i) => i !== setIndex) });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -72,17 +257,12 @@ const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
     let finalCalories = calories ? parseInt(calories) : null;
 
     // Check if we need auto-calculation and have the data for it
-    const canAutoCalculate = type && MET_VALUES[type.toLowerCase()] && duration && !requiresManualCalories;
+    const canAutoCalculate = metValue && duration && !requiresManualCalories;
     
-    if (!finalCalories && canAutoCalculate) {
-      if (!latestWeight) {
-        setShowWeightAlert(true);
-        return;
-      }
-      
-      // Calculate calories using MET formula
-      const metValue = MET_VALUES[type.toLowerCase()];
-      finalCalories = Math.round(metValue * latestWeight * (parseInt(duration) / 60));
+    // Left empty, calories are worked out by the server (from heart rate when given)
+    if (!finalCalories && canAutoCalculate && !latestWeight) {
+      setShowWeightAlert(true);
+      return;
     }
 
     // For 'other' workout types, calories must be provided manually
@@ -91,13 +271,47 @@ const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
       return;
     }
 
+    // An unchanged distance isn't sent back, so converting it for display doesn't round it
+    const distanceChanged = !workout
+      || distance !== initialDistance(workout, units)
+      || distanceUnit !== distanceUnitFor(units);
+
     try {
       const submitData = {
         type: workoutType,
         duration: parseInt(duration),
+        // Clearing the field on an edit removes the stored distance
+        ...(distanceChanged && {
+          distance: distance ? parseFloat(distance) : (workout ? null : undefined),
+          distanceUnit
+        }),
         calories: finalCalories,
         weight: latestWeight, // Include weight for backend reference
-        date
+        // Clearing both fields on an edit removes the stored heart rate
+        heartRate: avgHeartRate || maxHeartRate
+          ? { avg: avgHeartRate ? parseInt(avgHeartRate) : undefined, max: maxHeartRate ? parseInt(maxHeartRate) : undefined }
+          : (workout ? null : undefined),
+        // Clearing the rating on an edit removes it
+        rpe: rpe ? parseInt(rpe) : (workout ? null : undefined),
+        tags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        notes: notes.trim(),
+        date,
+        template: draft?.template,
+        plannedSession: draft?.plannedSession,
+        exercises: exercises
+          .filter(exercise => exercise.name.trim())
+          .map((exercise, order) => ({
+            name: exercise.name.trim(),
+            exercise: exercise.exercise,
+            order,
+            sets: exercise.sets
+              .filter(set => set.reps !== '')
+              .map(set => ({
+                reps: parseInt(set.reps),
+                load: set.load === '' ? 0 : parseFloat(set.load),
+                setType: set.setType
+              }))
+          }))
       };
 
       await onSubmit(submitData);
@@ -107,10 +321,18 @@ const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
         setFormData({
           type: '',
           duration: '',
+          distance: '',
+          distanceUnit: distanceUnitFor(units),
           calories: '',
+          avgHeartRate: '',
+          maxHeartRate: '',
+          rpe: '',
+          tags: '',
+          notes: '',
           date: new Date().toISOString().split('T')[0],
           customType: ''
         });
+        setExercises([]);
       }
     } catch (error) {
       console.error('Error submitting workout:', error);
@@ -123,18 +345,23 @@ const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
     }
   };
 
-  const canAutoCalculate = type && MET_VALUES[type.toLowerCase()] && duration && latestWeight;
+  const selectedExercise = library.find(exercise => exercise.slug === type);
+  const metValue = selectedExercise?.met;
+  const canAutoCalculate = metValue && duration && latestWeight;
   const showCustomTypeField = type === 'other';
   const requiresManualCalories = type === 'other';
 
   // Calculate preview calories for display
   const getPreviewCalories = () => {
     if (!canAutoCalculate || calories) return null;
-    const metValue = MET_VALUES[type.toLowerCase()];
     return Math.round(metValue * latestWeight * (parseInt(duration || 0) / 60));
   };
 
   const previewCalories = getPreviewCalories();
+  const showExercises = selectedExercise?.category === 'strength' || exercises.length > 0;
+  const showDistance = ['cardio', 'sport'].includes(selectedExercise?.category) || type === 'other' || !!workout?.distance;
+  const liftingExercises = library.filter(exercise => ['strength', 'bodyweight'].includes(exercise.category));
+  const totalVolume = calculateVolume(exercises);
 
   return (
     <div>
@@ -172,11 +399,19 @@ const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
             required
             className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
           >
-            {WORKOUT_OPTIONS.map(option => (
-              <option key={option.value} value={option.value}>
-                {option.label}
-              </option>
+            <option value="">{loadingLibrary ? 'Loading exercises...' : 'Select workout type'}</option>
+            {Object.entries(CATEGORY_LABELS).map(([category, label]) => (
+              <optgroup key={category} label={label}>
+                {library
+                  .filter(exercise => exercise.category === category)
+                  .map(exercise => (
+                    <option key={exercise._id} value={exercise.slug}>
+                      {exercise.name}{exercise.isCustom ? ' (custom)' : ''}
+                    </option>
+                  ))}
+              </optgroup>
             ))}
+            <option value="other">Other (manual calories)</option>
           </select>
         </div>
 
@@ -197,6 +432,132 @@ const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
           </div>
         )}
 
+        {showExercises && (
+          <div className="border border-gray-200 rounded-md p-4 space-y-4">
+            <div className="flex justify-between items-center">
+              <h4 className="text-sm font-medium text-gray-700">Exercises</h4>
+              <span className="text-xs text-gray-500">
+                Total volume: {Math.round(totalVolume)} kg
+              </span>
+            </div>
+
+            {exercises.map((exercise, exerciseIndex) => (
+              <div key={exerciseIndex} className="bg-gray-50 rounded-md p-3 space-y-2">
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    list="exercise-library"
+                    value={exercise.name}
+                    onChange={(e) => renameExercise(exerciseIndex, e.target.value)}
+                    onBlur={() => loadRecommendation(exercise)}
+                    required
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    placeholder="e.g. Back squat"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => moveExercise(exerciseIndex, -1)}
+                    disabled={exerciseIndex === 0}
+                    className="text-gray-500 hover:text-gray-700 disabled:opacity-30 text-sm"
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveExercise(exerciseIndex, 1)}
+                    disabled={exerciseIndex === exercises.length - 1}
+                    className="text-gray-500 hover:text-gray-700 disabled:opacity-30 text-sm"
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeExercise(exerciseIndex)}
+                    className="text-red-600 hover:text-red-900 text-sm"
+                  >
+                    Remove
+                  </button>
+                </div>
+
+                {recommendations[recommendationKey(exercise.name)] && (
+                  <RecommendationHint
+                    recommendation={recommendations[recommendationKey(exercise.name)]}
+                    onApply={() => applyRecommendation(exerciseIndex, recommendations[recommendationKey(exercise.name)])}
+                  />
+                )}
+
+                {exercise.sets.map((set, setIndex) => (
+                  <div key={setIndex} className="flex items-center space-x-2">
+                    <span className="w-12 text-xs text-gray-500">Set {setIndex + 1}</span>
+                    <input
+                      type="number"
+                      value={set.reps}
+                      onChange={(e) => updateSet(exerciseIndex, setIndex, { reps: e.target.value })}
+                      required
+                      min="0"
+                      step="1"
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-md sm:text-sm"
+                      placeholder="Reps"
+                    />
+                    <input
+                      type="number"
+                      value={set.load}
+                      onChange={(e) => updateSet(exerciseIndex, setIndex, { load: e.target.value })}
+                      min="0"
+                      step="0.5"
+                      className="w-24 px-2 py-1 border border-gray-300 rounded-md sm:text-sm"
+                      placeholder="Load (kg)"
+                    />
+                    <select
+                      value={set.setType}
+                      onChange={(e) => updateSet(exerciseIndex, setIndex, { setType: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded-md sm:text-sm"
+                    >
+                      {SET_TYPE_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => removeSet(exerciseIndex, setIndex)}
+                      disabled={exercise.sets.length === 1}
+                      className="text-red-600 hover:text-red-900 disabled:opacity-30 text-sm"
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+
+                <button
+                  type="button"
+                  onClick={() => addSet(exerciseIndex)}
+                  className="text-blue-600 hover:text-blue-900 text-sm font-medium"
+                >
+                  + Add set
+                </button>
+              </div>
+            ))}
+
+            <datalist id="exercise-library">
+              {liftingExercises.map(exercise => (
+                <option key={exercise._id} value={exercise.name} />
+              ))}
+            </datalist>
+
+            <button
+              type="button"
+              onClick={addExercise}
+              className="bg-gray-600 hover:bg-gray-700 text-white text-sm font-medium py-1 px-3 rounded-md transition-colors"
+            >
+              + Add exercise
+            </button>
+          </div>
+        )}
+
         <div>
           <label className="block text-sm font-medium text-gray-700">
             Duration (minutes)
@@ -213,6 +574,74 @@ const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
           />
         </div>
 
+        {showDistance && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Distance
+            </label>
+            <div className="mt-1 flex space-x-2">
+              <input
+                type="number"
+                name="distance"
+                value={distance}
+                onChange={onChange}
+                min="0"
+                step="0.01"
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                placeholder="Optional"
+              />
+              <select
+                name="distanceUnit"
+                value={distanceUnit}
+                onChange={onChange}
+                className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              >
+                <option value="km">km</option>
+                <option value="mi">mi</option>
+              </select>
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              For runs, walks and rides, calories are estimated from your speed over this distance.
+            </p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Avg heart rate (bpm)
+            </label>
+            <input
+              type="number"
+              name="avgHeartRate"
+              value={avgHeartRate}
+              onChange={onChange}
+              min="30"
+              max="250"
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              placeholder="Optional"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Max heart rate (bpm)
+            </label>
+            <input
+              type="number"
+              name="maxHeartRate"
+              value={maxHeartRate}
+              onChange={onChange}
+              min="30"
+              max="250"
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              placeholder="Optional"
+            />
+          </div>
+          <p className="col-span-2 text-xs text-gray-500">
+            With an average heart rate and your age and sex in your profile, calories are estimated from heart rate instead of MET values.
+          </p>
+        </div>
+
         <div>
           <label className="block text-sm font-medium text-gray-700">
             Calories Burned
@@ -221,7 +650,7 @@ const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
                 (Will be auto-calculated using {latestWeight}kg from Progress)
               </span>
             )}
-            {!latestWeight && !requiresManualCalories && type && MET_VALUES[type.toLowerCase()] && (
+            {!latestWeight && !requiresManualCalories && metValue && (
               <span className="text-xs text-orange-600 ml-1">
                 (Add weight in Progress for auto-calculation)
               </span>
@@ -268,6 +697,56 @@ const WorkoutForm = ({ onSubmit, workout = null, onCancel }) => {
           />
         </div>
 
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Effort (RPE)
+            </label>
+            <select
+              name="rpe"
+              value={rpe}
+              onChange={onChange}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            >
+              <option value="">Not rated</option>
+              {RPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Tags
+            </label>
+            <input
+              type="text"
+              name="tags"
+              value={tags}
+              onChange={onChange}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              placeholder="e.g. race, hotel gym"
+            />
+          </div>
+          <p className="col-span-2 text-xs text-gray-500">
+            Rate the whole session about 30 minutes after finishing. Rated sessions feed your training load on the Dashboard.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">
+            Notes
+          </label>
+          <textarea
+            name="notes"
+            value={notes}
+            onChange={onChange}
+            rows="2"
+            maxLength="1000"
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            placeholder="How did it feel? Anything to remember next time?"
+          />
+        </div>
+
         <div className="flex space-x-3">
           <button
             type="submit"
@@ -1,44 +1,154 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import WorkoutForm from './WorkoutForm';
-import { workoutsAPI } from '../services/api';
+import ActivityImport from './ActivityImport';
+import HeartRateZones from './HeartRateZones';
+import PaceChart from './PaceChart';
+import WorkoutFilters, { EMPTY_FILTERS } from './WorkoutFilters';
+import { workoutsAPI, templatesAPI, liveWorkoutAPI } from '../services/api';
+import { formatDistance, formatPace, formatSpeed } from '../utils/units';
 
-const Workouts = () => {
+const RECORD_LABELS = {
+  heaviest_weight: 'Heaviest weight',
+  estimated_1rm: 'Estimated 1RM',
+  most_reps: 'Most reps',
+  best_volume: 'Best volume',
+  longest_duration: 'Longest session',
+  longest_distance: 'Longest distance',
+  fastest_speed: 'Fastest average speed',
+};
+
+const Workouts = ({ user }) => {
+  const units = user?.units || 'metric';
+  const location = useLocation();
+  const navigate = useNavigate();
+  // A workout started from a template arrives as an editable draft
+  const [draft, setDraft] = useState(location.state?.draft || null);
   const [workouts, setWorkouts] = useState([]);
-  const [showForm, setShowForm] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Paging state from the server: more pages follow while there's a cursor
+  const [total, setTotal] = useState(0);
+  const [summary, setSummary] = useState({ calories: 0, duration: 0 });
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Bumped whenever workouts are saved or removed, so the pace chart reloads
+  const [version, setVersion] = useState(0);
+  // A live session left running, possibly on another device
+  const [liveWorkout, setLiveWorkout] = useState(null);
+  const [showForm, setShowForm] = useState(Boolean(location.state?.draft));
+  const [showImport, setShowImport] = useState(false);
+  // Time-in-zone breakdowns loaded on demand, keyed by workout id
+  const [zonesByWorkout, setZonesByWorkout] = useState({});
+  const [message, setMessage] = useState('');
+  // Personal records set by the workout just saved
+  const [newRecords, setNewRecords] = useState([]);
   const [editingWorkout, setEditingWorkout] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  useEffect(() => {
-    fetchWorkouts();
-  }, []);
+  // Responses for an older filter set are dropped
+  const requestRef = useRef(0);
+  const sentinelRef = useRef(null);
+
+  // Load the first page when `cursor` is null, otherwise the page after it
+  const fetchWorkouts = useCallback(async (cursor = null) => {
+    const request = ++requestRef.current;
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+    if (cursor) {
+      setLoadingMore(true);
+    }
 
-  const fetchWorkouts = async () => {
     try {
-      const response = await workoutsAPI.getWorkouts();
-      setWorkouts(response.data);
+      const response = await workoutsAPI.getWorkouts({ ...params, cursor: cursor || undefined });
+      if (request !== requestRef.current) return;
+      setWorkouts(current => (cursor ? [...current, ...response.data.workouts] : response.data.workouts));
+      setTotal(response.data.total);
+      setSummary(response.data.summary);
+      setNextCursor(response.data.nextCursor);
+      setError('');
     } catch (error) {
-      setError('Failed to fetch workouts');
+      if (request !== requestRef.current) return;
+      setError(error.response?.data?.message || 'Failed to fetch workouts');
     } finally {
-      setLoading(false);
+      if (request === requestRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
-  };
+  }, [filters]);
+
+  useEffect(() => {
+    fetchWorkouts();
+  }, [fetchWorkouts]);
+
+  useEffect(() => {
+    const fetchLiveWorkout = async () => {
+      try {
+        const response = await liveWorkoutAPI.getLiveWorkout();
+        setLiveWorkout(response.data);
+      } catch (error) {
+        // 404 when nothing is in progress
+        setLiveWorkout(null);
+      }
+    };
+
+    fetchLiveWorkout();
+  }, []);
+
+  // Infinite scroll: load the next page when the end of the list comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        fetchWorkouts(nextCursor);
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, fetchWorkouts]);
+
+  useEffect(() => {
+    // Clear the draft from history so a refresh doesn't start it again
+    if (location.state?.draft) {
+      navigate(location.pathname, { replace: true, state: null });
+    }
+  }, [location, navigate]);
 
   const handleAddWorkout = async (workoutData) => {
     try {
       const response = await workoutsAPI.createWorkout(workoutData);
-      setWorkouts([response.data, ...workouts]);
+      // Reload from the start so the new workout lands where the filters and sort put it
+      await fetchWorkouts();
+      setVersion(version + 1);
+      setNewRecords(response.data.personalRecords || []);
       setShowForm(false);
+      setDraft(null);
       setError('');
     } catch (error) {
       setError('Failed to add workout');
     }
   };
 
+  const handleImported = async (workout) => {
+    await fetchWorkouts();
+    setVersion(version + 1);
+    setNewRecords(workout.personalRecords || []);
+    setShowImport(false);
+    setError('');
+  };
+
   const handleUpdateWorkout = async (workoutData) => {
     try {
       const response = await workoutsAPI.updateWorkout(editingWorkout._id, workoutData);
       setWorkouts(workouts.map(w => w._id === editingWorkout._id ? response.data : w));
+      setSummary({
+        calories: summary.calories - editingWorkout.calories + response.data.calories,
+        duration: summary.duration - editingWorkout.duration + response.data.duration
+      });
+      setVersion(version + 1);
+      setNewRecords(response.data.personalRecords || []);
       setEditingWorkout(null);
       setError('');
     } catch (error) {
@@ -46,11 +156,49 @@ const Workouts = () => {
     }
   };
 
+  const toggleZones = async (id) => {
+    if (zonesByWorkout[id] !== undefined) {
+      const { [id]: hidden, ...rest } = zonesByWorkout;
+      setZonesByWorkout(rest);
+      return;
+    }
+
+    try {
+      const response = await workoutsAPI.getWorkout(id);
+      setZonesByWorkout({ ...zonesByWorkout, [id]: response.data.heartRateZones });
+      setError('');
+    } catch (error) {
+      setError('Failed to load heart-rate zones');
+    }
+  };
+
+  const handleSaveAsTemplate = async (workout) => {
+    const name = window.prompt('Template name', workout.type.replace(/-/g, ' '));
+    if (!name) return;
+
+    try {
+      await templatesAPI.createFromWorkout(workout._id, { name });
+      setMessage(`Saved "${name}" as a template.`);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save template');
+    }
+  };
+
   const handleDeleteWorkout = async (id) => {
     if (window.confirm('Are you sure you want to delete this workout?')) {
       try {
         await workoutsAPI.deleteWorkout(id);
+        const removed = workouts.find(w => w._id === id);
         setWorkouts(workouts.filter(w => w._id !== id));
+        setTotal(total - 1);
+        if (removed) {
+          setSummary({
+            calories: summary.calories - removed.calories,
+            duration: summary.duration - removed.duration
+          });
+        }
+        setVersion(version + 1);
         setError('');
       } catch (error) {
         setError('Failed to delete workout');
@@ -58,14 +206,6 @@ const Workouts = () => {
     }
   };
 
-  const getTotalCalories = () => {
-    return workouts.reduce((total, workout) => total + workout.calories, 0);
-  };
-
-  const getTotalDuration = () => {
-    return workouts.reduce((total, workout) => total + workout.duration, 0);
-  };
-
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -74,24 +214,21 @@ const Workouts = () => {
     });
   };
 
-  // Check if workout was likely auto-calculated based on common MET values
+  // Check if workout was likely auto-calculated from the MET value stored with it
   const isLikelyCalculated = (workout) => {
-    if (!workout.weight || !workout.duration) return false;
-    
-    const metValues = {
-      running: 9.8,
-      walking: 3.8,
-      cycling: 7.5,
-      pushups: 8.0
-    };
-    
-    const metValue = metValues[workout.type.toLowerCase()];
-    if (!metValue) return false;
+    // Newer workouts record how their calories were estimated
+    if (workout.calorieMethod) return workout.calorieMethod !== 'manual';
+    if (!workout.weight || !workout.duration || !workout.met) return false;
     
-    const calculatedCalories = Math.round(metValue * workout.weight * (workout.duration / 60));
+    const minutes = workout.movingTime ? workout.movingTime / 60 : workout.duration;
+    const calculatedCalories = Math.round(workout.met * workout.weight * (minutes / 60));
     return Math.abs(calculatedCalories - workout.calories) < 2; // Allow for small rounding differences
   };
 
+  // Sorting alone doesn't count as filtering
+  const isFiltered = Object.keys(EMPTY_FILTERS)
+    .some(key => !['sort', 'order'].includes(key) && filters[key] !== '');
+
   if (loading) {
     return (
       <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
@@ -115,6 +252,35 @@ const Workouts = () => {
         </div>
       )}
 
+      {liveWorkout && (
+        <div className="mb-4 bg-blue-100 border border-blue-400 text-blue-800 px-4 py-3 rounded">
+          You have a <span className="capitalize">{liveWorkout.type.replace(/-/g, ' ')}</span> workout in progress.{' '}
+          <Link to="/live" className="underline font-medium">Resume it</Link>
+        </div>
+      )}
+
+      {newRecords.length > 0 && (
+        <div className="mb-4 bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded">
+          <p className="font-semibold">New personal record{newRecords.length > 1 ? 's' : ''}!</p>
+          <ul className="mt-1 text-sm list-disc list-inside">
+            {newRecords.map(record => (
+              <li key={record._id}>
+                {record.exerciseName}: {RECORD_LABELS[record.recordType] || record.recordType}
+                {record.load ? ` at ${record.load} kg` : ''} {record.value} {record.unit}
+                <span className="text-yellow-700"> (previous {record.previousValue} {record.unit})</span>
+              </li>
+            ))}
+          </ul>
+          <Link to="/records" className="text-sm underline">View all records</Link>
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-4 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+          {message} <Link to="/templates" className="underline">View templates</Link>
+        </div>
+      )}
+
       {/* Total Summary */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
         <div className="bg-white overflow-hidden shadow rounded-lg">
@@ -124,7 +290,7 @@ const Workouts = () => {
                 Total Calories
               </h3>
               <p className="mt-2 text-3xl font-bold text-blue-600">
-                {getTotalCalories()}
+                {summary.calories}
               </p>
               <p className="mt-1 text-sm text-gray-500">calories burned</p>
             </div>
@@ -138,7 +304,7 @@ const Workouts = () => {
                 Total Duration
               </h3>
               <p className="mt-2 text-3xl font-bold text-green-600">
-                {getTotalDuration()}
+                {summary.duration}
               </p>
               <p className="mt-1 text-sm text-gray-500">minutes</p>
             </div>
@@ -152,7 +318,7 @@ const Workouts = () => {
                 Total Workouts
               </h3>
               <p className="mt-2 text-3xl font-bold text-purple-600">
-                {workouts.length}
+                {total}
               </p>
               <p className="mt-1 text-sm text-gray-500">sessions logged</p>
             </div>
@@ -161,22 +327,59 @@ const Workouts = () => {
       </div>
 
       {/* Add Workout Button */}
-      <div className="mb-6">
+      <div className="mb-6 flex space-x-3">
         <button
-          onClick={() => setShowForm(!showForm)}
+          onClick={() => {
+            setShowForm(!showForm);
+            setDraft(null);
+          }}
           className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md transition-colors"
         >
           {showForm ? 'Cancel' : 'Add New Workout'}
         </button>
+        <button
+          onClick={() => setShowImport(!showImport)}
+          className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-md transition-colors"
+        >
+          {showImport ? 'Cancel Import' : 'Import Activity File'}
+        </button>
+        <Link
+          to="/live"
+          className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-md transition-colors"
+        >
+          Start Live Workout
+        </Link>
+        <Link
+          to="/templates"
+          className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-md transition-colors"
+        >
+          Start from Template
+        </Link>
       </div>
 
+      {/* Import Activity File */}
+      {showImport && (
+        <div className="bg-white shadow rounded-lg p-6 mb-8">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Import Activity</h3>
+          <ActivityImport onImported={handleImported} onCancel={() => setShowImport(false)} />
+        </div>
+      )}
+
       {/* Add Workout Form */}
       {showForm && (
         <div className="bg-white shadow rounded-lg p-6 mb-8">
-          <h3 className="text-lg font-medium text-gray-900 mb-4">Add New Workout</h3>
+          <h3 className="text-lg font-medium text-gray-900 mb-4">
+            {draft ? (draft.plannedSession ? `Planned Workout${draft.isDeload ? ' (deload week)' : ''}` : 'New Workout from Template') : 'Add New Workout'}
+          </h3>
           <WorkoutForm
+            key={draft ? (draft.plannedSession?.session || draft.template) : 'new'}
+            draft={draft}
             onSubmit={handleAddWorkout}
-            onCancel={() => setShowForm(false)}
+            units={units}
+            onCancel={() => {
+              setShowForm(false);
+              setDraft(null);
+            }}
           />
         </div>
       )}
@@ -188,11 +391,16 @@ const Workouts = () => {
           <WorkoutForm
             workout={editingWorkout}
             onSubmit={handleUpdateWorkout}
+            units={units}
             onCancel={() => setEditingWorkout(null)}
           />
         </div>
       )}
 
+      <PaceChart units={units} refreshKey={version} />
+
+      <WorkoutFilters filters={filters} onChange={setFilters} />
+
       {/* Workouts List */}
       <div className="bg-white shadow overflow-hidden sm:rounded-md">
         <div className="px-4 py-5 sm:px-6">
@@ -200,13 +408,19 @@ const Workouts = () => {
             Your Workouts
           </h3>
           <p className="mt-1 max-w-2xl text-sm text-gray-500">
-            {workouts.length} workout{workouts.length !== 1 ? 's' : ''} logged
+            {!isFiltered
+              ? `${total} workout${total !== 1 ? 's' : ''} logged`
+              : `${total} workout${total !== 1 ? 's' : ''} match${total === 1 ? 'es' : ''} your filters`}
           </p>
         </div>
         
         {workouts.length === 0 ? (
           <div className="px-4 py-12 text-center">
-            <p className="text-gray-500">No workouts logged yet. Add your first workout to get started!</p>
+            <p className="text-gray-500">
+              {!isFiltered
+                ? 'No workouts logged yet. Add your first workout to get started!'
+                : 'No workouts match these filters.'}
+            </p>
           </div>
         ) : (
           <ul className="divide-y divide-gray-200">
@@ -216,14 +430,21 @@ const Workouts = () => {
                   <div className="flex-1">
                     <div className="flex items-center justify-between">
                       <p className="text-lg font-medium text-blue-600 truncate capitalize">
-                        {workout.type}
+                        {workout.type.replace(/-/g, ' ')}
                       </p>
                       <div className="ml-2 flex-shrink-0 flex space-x-2">
                         <p className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
                           {workout.calories} cal
                         </p>
-                        {isLikelyCalculated(workout) && (
-                          <p className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-100 text-blue-800">
+                        {workout.calorieMethod === 'heart_rate' ? (
+                          <p className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                            HR-based
+                          </p>
+                        ) : isLikelyCalculated(workout) && (
+                          <p
+                            className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-100 text-blue-800"
+                            title={workout.met ? `MET ${workout.met}${workout.metCode ? ` (Compendium code ${workout.metCode})` : ''}` : undefined}
+                          >
                             Auto-calc
                           </p>
                         )}
@@ -234,6 +455,46 @@ const Workouts = () => {
                         <p className="flex items-center text-sm text-gray-500">
                           Duration: {workout.duration} minutes
                         </p>
+                        {workout.distance > 0 && (
+                          <p className="flex items-center text-sm text-gray-500">
+                            Distance: {formatDistance(workout.distance, units)}
+                          </p>
+                        )}
+                        {workout.pace > 0 && (
+                          <p className="flex items-center text-sm text-gray-500">
+                            Pace: {formatPace(workout.pace, units)}
+                          </p>
+                        )}
+                        {workout.speed > 0 && (
+                          <p className="flex items-center text-sm text-gray-500">
+                            Avg speed: {formatSpeed(workout.speed, units)}
+                          </p>
+                        )}
+                        {workout.elevationGain > 0 && (
+                          <p className="flex items-center text-sm text-gray-500">
+                            Elevation: +{workout.elevationGain} m
+                          </p>
+                        )}
+                        {workout.heartRate?.avg && (
+                          <p className="flex items-center text-sm text-gray-500">
+                            HR: {workout.heartRate.avg} avg{workout.heartRate.max ? ` / ${workout.heartRate.max} max` : ''} bpm
+                          </p>
+                        )}
+                        {workout.power?.avg && (
+                          <p className="flex items-center text-sm text-gray-500">
+                            Power: {workout.power.avg} W avg
+                          </p>
+                        )}
+                        {workout.laps?.length > 1 && (
+                          <p className="flex items-center text-sm text-gray-500">
+                            {workout.laps.length} laps
+                          </p>
+                        )}
+                        {workout.totalVolume > 0 && (
+                          <p className="flex items-center text-sm text-gray-500">
+                            Volume: {Math.round(workout.totalVolume)} kg
+                          </p>
+                        )}
                         {workout.weight && (
                           <p className="flex items-center text-sm text-gray-500">
                             {isLikelyCalculated(workout) ? 
@@ -249,6 +510,36 @@ const Workouts = () => {
                         </p>
                       </div>
                     </div>
+                    {(workout.rpe || workout.tags?.length > 0) && (
+                      <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-500">
+                        {workout.rpe && <span>RPE {workout.rpe}/10 · Load {workout.rpe * workout.duration} AU</span>}
+                        {workout.tags?.map(tag => (
+                          <button
+                            key={tag}
+                            onClick={() => setFilters({ ...EMPTY_FILTERS, tag })}
+                            className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-700 hover:bg-gray-200"
+                          >
+                            #{tag}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {workout.notes && (
+                      <p className="mt-2 text-sm text-gray-600 italic">{workout.notes}</p>
+                    )}
+                    {workout.exercises?.length > 0 && (
+                      <ul className="mt-2 text-sm text-gray-600 space-y-1">
+                        {workout.exercises.map((exercise, index) => (
+                          <li key={index}>
+                            <span className="font-medium">{exercise.name}</span>
+                            {': '}
+                            {exercise.sets
+                              .map(set => `${set.reps}×${set.load}kg${set.setType === 'warmup' ? ' (w)' : set.setType === 'dropset' ? ' (d)' : ''}`)
+                              .join(', ')}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                   </div>
                   <div className="ml-4 flex-shrink-0 flex space-x-2">
                     <button
@@ -257,6 +548,22 @@ const Workouts = () => {
                     >
                       Edit
                     </button>
+                    {workout.heartRate?.avg && workout.source?.type && workout.source.type !== 'manual' && (
+                      <button
+                        onClick={() => toggleZones(workout._id)}
+                        className="text-red-600 hover:text-red-900 text-sm font-medium"
+                      >
+                        {zonesByWorkout[workout._id] !== undefined ? 'Hide Zones' : 'Zones'}
+                      </button>
+                    )}
+                    {workout.exercises?.length > 0 && (
+                      <button
+                        onClick={() => handleSaveAsTemplate(workout)}
+                        className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+                      >
+                        Save as Template
+                      </button>
+                    )}
                     <button
                       onClick={() => handleDeleteWorkout(workout._id)}
                       className="text-red-600 hover:text-red-900 text-sm font-medium"
@@ -265,10 +572,20 @@ const Workouts = () => {
                     </button>
                   </div>
                 </div>
+                {zonesByWorkout[workout._id] !== undefined && (
+                  <div className="mt-3">
+                    <HeartRateZones data={zonesByWorkout[workout._id]} />
+                  </div>
+                )}
               </li>
             ))}
           </ul>
         )}
+
+        <div ref={sentinelRef} />
+        {loadingMore && (
+          <div className="px-4 py-4 text-center text-sm text-gray-500">Loading more workouts...</div>
+        )}
       </div>
     </div>
   );
@@ -19,14 +19,75 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Response interceptor for better error handling
+// Auth endpoints that must never trigger a silent refresh
+const NO_REFRESH_URLS = [
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email',
+];
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Shared so that parallel 401s wait on a single refresh request
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .catch((error) => {
+        // Another tab refreshed with the same token first; use the tokens it stored
+        const storedRefreshToken = localStorage.getItem('refreshToken');
+        if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Response interceptor: refresh the access token once, then give up and go to login
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url)
+    ) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        clearSession();
+        window.location.href = '/login';
+        return Promise.reject(refreshError);
+      }
     }
     return Promise.reject(error);
   }
@@ -36,15 +97,103 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (userData) => api.post('/auth/login', userData),
+  verifyTwoFactor: (data) => api.post('/auth/login/2fa', data),
   getProfile: () => api.get('/auth/me'),
+  updateProfile: (profileData) => api.put('/auth/me', profileData),
+  deleteAccount: (password) => api.delete('/auth/me', { data: { password } }),
+  cancelDeletion: () => api.post('/auth/me/cancel-deletion'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  forgotPassword: (data) => api.post('/auth/forgot-password', data),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
+  verifyEmail: (data) => api.post('/auth/verify-email', data),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  changePassword: (data) => api.put('/auth/password', data),
+  changeEmail: (data) => api.put('/auth/email', data),
+  cancelEmailChange: () => api.delete('/auth/email'),
+};
+
+// Multipart body for an activity file upload, skipping empty fields
+const activityFormData = (file, fields) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') formData.append(key, value);
+  });
+  return formData;
 };
 
 // Workouts API
 export const workoutsAPI = {
-  getWorkouts: () => api.get('/workouts'),
+  // Filters, sort and paging: { from, to, type, minDuration, maxDuration, minCalories,
+  // maxCalories, q, sort, order, limit, cursor }. Returns { workouts, total, nextCursor, summary }.
+  getWorkouts: (params) => api.get('/workouts', { params }),
   createWorkout: (workoutData) => api.post('/workouts', workoutData),
   updateWorkout: (id, workoutData) => api.put(`/workouts/${id}`, workoutData),
   deleteWorkout: (id) => api.delete(`/workouts/${id}`),
+  getWorkout: (id) => api.get(`/workouts/${id}`),
+  // Upload a GPX/TCX/FIT file; optional fields (e.g. type) override what the file says.
+  // The preview reads the file without saving; importing saves it.
+  previewActivity: (file, fields = {}) => api.post('/workouts/import/preview', activityFormData(file, fields), { timeout: 60000 }),
+  importActivity: (file, fields = {}) => api.post('/workouts/import', activityFormData(file, fields), { timeout: 60000 }),
+};
+
+// Workout in progress; a user has at most one
+export const liveWorkoutAPI = {
+  getLiveWorkout: () => api.get('/live-workout'),
+  // Start empty ({ type }) or from a draft returned by starting a template or plan session
+  startLiveWorkout: (draft) => api.post('/live-workout', draft),
+  // Any of { exercises, notes, type, restSeconds, paused, rest: { seconds } | null }
+  updateLiveWorkout: (changes) => api.put('/live-workout', changes),
+  finishLiveWorkout: (details = {}) => api.post('/live-workout/finish', details),
+  discardLiveWorkout: () => api.delete('/live-workout'),
+};
+
+// Workout templates API
+export const templatesAPI = {
+  getTemplates: () => api.get('/templates'),
+  createTemplate: (templateData) => api.post('/templates', templateData),
+  createFromWorkout: (workoutId, data) => api.post(`/templates/from-workout/${workoutId}`, data),
+  updateTemplate: (id, templateData) => api.put(`/templates/${id}`, templateData),
+  deleteTemplate: (id) => api.delete(`/templates/${id}`),
+  startTemplate: (id) => api.post(`/templates/${id}/start`),
+};
+
+// Training plans API
+export const plansAPI = {
+  getPlans: () => api.get('/plans'),
+  getPlan: (id) => api.get(`/plans/${id}`),
+  createPlan: (planData) => api.post('/plans', planData),
+  updatePlan: (id, planData) => api.put(`/plans/${id}`, planData),
+  deletePlan: (id) => api.delete(`/plans/${id}`),
+  getAdherence: (id) => api.get(`/plans/${id}/adherence`),
+  getUpcoming: (days = 7) => api.get('/plans/upcoming', { params: { days } }),
+  startSession: (planId, sessionId, date) => api.post(`/plans/${planId}/sessions/${sessionId}/start`, { date }),
+};
+
+// Personal records API
+export const recordsAPI = {
+  getRecords: () => api.get('/records'),
+  getRecent: (limit = 10) => api.get('/records/recent', { params: { limit } }),
+  getHistory: (exerciseKey, params) => api.get(`/records/${exerciseKey}/history`, { params }),
+};
+
+// Next-session load and reps for an exercise, from its logged sets
+export const recommendationsAPI = {
+  getRecommendation: (exercise, params = {}) => api.get('/recommendations', { params: { exercise, ...params } }),
+};
+
+// Exercise library API
+export const exercisesAPI = {
+  getExercises: (params) => api.get('/exercises', { params }),
+  getFilters: () => api.get('/exercises/filters'),
+  createExercise: (exerciseData) => api.post('/exercises', exerciseData),
+  updateExercise: (id, exerciseData) => api.put(`/exercises/${id}`, exerciseData),
+  deleteExercise: (id) => api.delete(`/exercises/${id}`),
 };
 
 // Enhanced Nutrition API
@@ -134,6 +283,19 @@ export const analyticsAPI = {
   getMacrosData: () => api.get('/analytics/macros'),
   getWeightTrend: () => api.get('/analytics/weight-trend'),
   getForecast: () => api.get('/analytics/forecast'),
+  // Pace and speed over time for one workout type: { type, days }
+  getPace: (params) => api.get('/analytics/pace', { params }),
+  // Session-RPE load, monotony, strain and acute:chronic ratio over recent weeks
+  getTrainingLoad: (weeks = 8) => api.get('/analytics/training-load', { params: { weeks } }),
+  // Weekly hard sets and tonnage per muscle group against the user's targets
+  getMuscleVolume: (weeks = 4) => api.get('/analytics/muscle-volume', { params: { weeks } }),
+};
+
+// Personal API tokens
+export const tokensAPI = {
+  getTokens: () => api.get('/tokens'),
+  createToken: (tokenData) => api.post('/tokens', tokenData),
+  revokeToken: (id) => api.delete(`/tokens/${id}`),
 };
 
 // Utility functions for nutrition calculations
@@ -0,0 +1,38 @@
+// Distances come from the API in km, speeds in km/h and pace in seconds per km.
+// These helpers show them in the user's preferred units.
+
+const KM_PER_MILE = 1.609344;
+
+export const distanceUnitFor = (units) => (units === 'imperial' ? 'mi' : 'km');
+
+// A km distance in the user's unit, as a number
+export const toDisplayDistance = (km, units) => (
+  units === 'imperial' ? km / KM_PER_MILE : km
+);
+
+export const formatDistance = (km, units) => {
+  if (!km) return '-';
+  return `${toDisplayDistance(km, units).toFixed(2)} ${distanceUnitFor(units)}`;
+};
+
+export const formatSpeed = (kmh, units) => {
+  if (!kmh) return '-';
+  return units === 'imperial'
+    ? `${(kmh / KM_PER_MILE).toFixed(1)} mph`
+    : `${kmh.toFixed(1)} km/h`;
+};
+
+// Seconds per unit of distance, e.g. 5:12
+export const paceSeconds = (secondsPerKm, units) => (
+  units === 'imperial' ? secondsPerKm * KM_PER_MILE : secondsPerKm
+);
+
+export const formatPaceValue = (seconds) => {
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
+export const formatPace = (secondsPerKm, units) => {
+  if (!secondsPerKm) return '-';
+  return `${formatPaceValue(paceSeconds(secondsPerKm, units))} /${distanceUnitFor(units)}`;
+};